@@ -0,0 +1,100 @@
+//////////////////////////////
+//  app.js
+//  Builds the Express app from its collaborators; server.js wires in the real ones
+//////////////////////////////
+
+const express = require('express');
+const cors = require('cors');
+const { auditRequestContext } = require('./lib/audit');
+const { loadConfig } = require('./lib/config');
+const { createModels } = require('./lib/models');
+const { createAuth } = require('./lib/auth');
+const { createAccountService } = require('./lib/accounts');
+const { createUploadService } = require('./lib/uploads');
+const { createResolverFromEnv } = require('./lib/doiResolver');
+const { createMailTransportFromEnv } = require('./lib/mailer');
+const { errorHandler, notFoundHandler } = require('./lib/errors');
+const { createUserRouter } = require('./routes/users');
+const { createTeamRouter } = require('./routes/team');
+const { createPublicationRouter } = require('./routes/publications');
+const { createContentRouter } = require('./routes/content');
+const { createNewsRouter } = require('./routes/news');
+const { createProjectRouter } = require('./routes/projects');
+const { createSearchRouter } = require('./routes/search');
+const { createStatsRouter } = require('./routes/stats');
+const { createFeedRouter } = require('./routes/feeds');
+const { createSeoRouter } = require('./routes/seo');
+const { createAdminRouter } = require('./routes/admin');
+const { createDocsRouter } = require('./routes/docs');
+
+// createApp({ db, storage, config, mailer, doiResolver }) -> Express app
+//
+//   db           a mongoose Connection; models are registered on it (lib/models.js)
+//   storage      a blob store from lib/storage.js
+//   config       see lib/config.js (default: read from the environment)
+//   mailer       a transport from lib/mailer.js (default: MAIL_TRANSPORT)
+//   doiResolver  see lib/doiResolver.js (default: DOI_RESOLVER)
+//
+// Nothing here connects to a database or listens on a port, so tests can build
+// as many apps as they like against their own connection and stores.
+const createApp = ({
+  db,
+  storage,
+  config = loadConfig(),
+  mailer = createMailTransportFromEnv(),
+  doiResolver = createResolverFromEnv(),
+}) => {
+  const app = express();
+
+  // Allow requests from any origin (the frontend is deployed separately)
+  app.use(cors({
+    origin: '*',
+    methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH'],
+    credentials: true,
+  }));
+
+  if (config.trustProxy !== undefined) app.set('trust proxy', config.trustProxy);
+
+  app.use(express.json());
+
+  // Lets the audit hooks see who made a change (see lib/audit.js)
+  app.use(auditRequestContext);
+
+  const models = createModels(db);
+  const auth = createAuth({ models, config });
+  const accounts = createAccountService({ models, config, mailer });
+
+  // File uploads: size/type limits per field, image processing and a pluggable storage backend
+  const uploads = createUploadService({ storage });
+  if (storage.name === 'local') {
+    app.use('/uploads', express.static(storage.root));
+  }
+
+  const context = { models, auth, accounts, uploads, doiResolver, config };
+  app.use('/api', createUserRouter(context));
+  app.use('/api', createTeamRouter(context));
+  app.use('/api', createPublicationRouter(context));
+  app.use('/api', createContentRouter(context));
+  app.use('/api', createNewsRouter(context));
+  app.use('/api', createProjectRouter(context));
+  app.use('/api', createSearchRouter(context));
+  app.use('/api', createStatsRouter(context));
+  app.use('/api', createAdminRouter(context));
+  // GET /api/openapi.json and the browsable GET /api/docs
+  app.use('/api', createDocsRouter(context));
+  // Atom / RSS / JSON feeds under /feeds
+  app.use(createFeedRouter(context));
+  // /sitemap.xml, schema.org JSON-LD under /jsonld and HTML snapshots under /snapshots
+  app.use(createSeoRouter(context));
+
+  // Unknown routes and anything a handler passes to next(error) end up here as
+  // { error: { code, message, details } } (see lib/errors.js)
+  app.use(notFoundHandler);
+  app.use(errorHandler);
+
+  return app;
+};
+
+module.exports = {
+  createApp,
+};
@@ -0,0 +1,99 @@
+//////////////////////////////
+//  lib/accounts.js
+//  Single-use account tokens, invites and the account emails
+//////////////////////////////
+
+const crypto = require('crypto');
+const { hashToken } = require('./auth');
+
+// `mailer` is any transport from lib/mailer.js; links in the emails point at config.appUrl
+const createAccountService = ({ models, config, mailer }) => {
+  const { AccountToken, Invite } = models;
+
+  // Create a single-use token; any older unused token for the same purpose stops working
+  const issueAccountToken = async (user, purpose, ttlMs) => {
+      await AccountToken.updateMany(
+          { userId: user._id, purpose, usedAt: null },
+          { $set: { usedAt: new Date() } }
+      );
+      const token = crypto.randomBytes(32).toString('base64url');
+      await AccountToken.create({
+          userId: user._id,
+          purpose,
+          tokenHash: hashToken(token),
+          email: user.email,
+          expiresAt: new Date(Date.now() + ttlMs),
+      });
+      return token;
+  };
+
+  // Mark a token used and return it, or null if it is unknown, used or expired
+  const consumeAccountToken = async (token, purpose) => {
+      if (!token || typeof token !== 'string') return null;
+      return AccountToken.findOneAndUpdate(
+          { tokenHash: hashToken(token), purpose, usedAt: null, expiresAt: { $gt: new Date() } },
+          { $set: { usedAt: new Date() } },
+          { new: true }
+      ).exec();
+  };
+
+  const sendVerificationEmail = async (user) => {
+      const token = await issueAccountToken(user, 'email-verification', config.emailVerificationTtlHours * 60 * 60 * 1000);
+      const link = `${config.appUrl}/verify-email?token=${token}`;
+      await mailer.send({
+          to: user.email,
+          subject: 'Confirm your email address',
+          text: `Hi ${user.name},\n\nPlease confirm your email address by opening this link:\n${link}\n\nThe link expires in ${config.emailVerificationTtlHours} hours.`,
+      });
+  };
+
+  const sendPasswordResetEmail = async (user) => {
+      const token = await issueAccountToken(user, 'password-reset', config.passwordResetTtlMinutes * 60 * 1000);
+      const link = `${config.appUrl}/reset-password?token=${token}`;
+      await mailer.send({
+          to: user.email,
+          subject: 'Reset your password',
+          text: `Hi ${user.name},\n\nSomeone asked to reset the password for your account. If it was you, open this link:\n${link}\n\nThe link expires in ${config.passwordResetTtlMinutes} minutes and can be used once. If you did not ask for this, you can ignore this email.`,
+      });
+  };
+
+  const sendInviteEmail = async (invite, code, role) => {
+      await mailer.send({
+          to: invite.email,
+          subject: 'You have been invited to join the lab website',
+          text: `Hello,\n\nYou have been invited to create an account${role ? ` as ${role.roleName}` : ''}. Register here:\n${config.appUrl}/register?invite=${code}${invite.expiresAt ? `\n\nThe invite expires on ${invite.expiresAt.toDateString()}.` : ''}`,
+      });
+  };
+
+  const sendRegistrationDecisionEmail = async (user, approved) => {
+      await mailer.send({
+          to: user.email,
+          subject: approved ? 'Your account has been approved' : 'Your registration was not approved',
+          text: approved
+              ? `Hi ${user.name},\n\nYour account has been approved. You can now sign in at ${config.appUrl}/login.`
+              : `Hi ${user.name},\n\nYour registration was not approved.${user.rejectionReason ? `\n\nReason: ${user.rejectionReason}` : ''}`,
+      });
+  };
+
+  // Look up a usable invite by its code, or null
+  const findOpenInvite = async (code) => {
+      if (!code || typeof code !== 'string') return null;
+      const invite = await Invite.findOne({ codeHash: hashToken(code), usedAt: null, revokedAt: null }).exec();
+      if (!invite || (invite.expiresAt && invite.expiresAt < new Date())) return null;
+      return invite;
+  };
+
+  return {
+    issueAccountToken,
+    consumeAccountToken,
+    sendVerificationEmail,
+    sendPasswordResetEmail,
+    sendInviteEmail,
+    sendRegistrationDecisionEmail,
+    findOpenInvite,
+  };
+};
+
+module.exports = {
+  createAccountService,
+};
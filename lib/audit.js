@@ -0,0 +1,168 @@
+//////////////////////////////
+//  lib/audit.js
+//  Record who changed what, through Mongoose hooks
+//////////////////////////////
+
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+
+// Every POST/PUT/PATCH/DELETE request runs inside a context holding the Express
+// request, so model hooks deep inside a handler can find the actor and IP.
+const requestContext = new AsyncLocalStorage();
+const MUTATING_METHODS = new Set(['POST', 'PUT', 'PATCH', 'DELETE']);
+
+const auditRequestContext = (req, res, next) => {
+  if (!MUTATING_METHODS.has(req.method)) return next();
+  requestContext.run({ req, requestId: crypto.randomUUID() }, next);
+};
+
+// Never written to the audit log in clear text
+const REDACTED_FIELDS = [
+  'password',
+  'tokenVersion',
+  'refreshTokenHash',
+  'previousRefreshTokenHash',
+  'tokenHash',
+  'codeHash',
+];
+const REDACTED = '[REDACTED]';
+
+const isRedactedKey = (key) => REDACTED_FIELDS.includes(String(key).split('.').pop());
+
+const maskSensitive = (value) => {
+  if (Array.isArray(value)) return value.map(maskSensitive);
+  if (!value || typeof value !== 'object') return value;
+  const masked = {};
+  Object.entries(value).forEach(([key, inner]) => {
+    masked[key] = isRedactedKey(key) ? REDACTED : maskSensitive(inner);
+  });
+  return masked;
+};
+
+// Plain JSON copy of a document (or a query/update object) with sensitive fields
+// masked at any depth, including dotted paths such as { $set: { password } }
+const redact = (doc) => {
+  if (!doc) return null;
+  const plain = typeof doc.toObject === 'function' ? doc.toObject({ depopulate: true }) : doc;
+  return maskSensitive(JSON.parse(JSON.stringify(plain)));
+};
+
+const IGNORED_DIFF_FIELDS = new Set(['__v', 'updatedAt']);
+
+// Top-level field diff: { field: { from, to } }. Redacted fields show up as changed
+// only when their real values differ.
+const diffDocuments = (before, after, rawBefore, rawAfter) => {
+  const diff = {};
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  fields.forEach((field) => {
+    if (IGNORED_DIFF_FIELDS.has(field)) return;
+    const from = before ? before[field] : undefined;
+    const to = after ? after[field] : undefined;
+
+    let changed = JSON.stringify(from) !== JSON.stringify(to);
+    if (isRedactedKey(field)) {
+      changed = JSON.stringify(rawBefore && rawBefore[field]) !== JSON.stringify(rawAfter && rawAfter[field]);
+    }
+    if (changed) diff[field] = { from, to };
+  });
+  return diff;
+};
+
+const toRaw = (doc) => (doc && typeof doc.toObject === 'function' ? doc.toObject({ depopulate: true }) : doc);
+
+// Build the log entry for the current request context
+const buildEntry = (action, resourceType, resourceId, rawBefore, rawAfter, extra = {}) => {
+  const store = requestContext.getStore();
+  const req = store && store.req;
+  const actor = req && req.user;
+  return {
+    actor: actor ? actor._id : null,
+    actorName: actor ? actor.name : null,
+    action,
+    resourceType,
+    resourceId,
+    changes: diffDocuments(redact(rawBefore), redact(rawAfter), toRaw(rawBefore), toRaw(rawAfter)),
+    requestId: store ? store.requestId : null,
+    method: req ? req.method : null,
+    path: req ? req.originalUrl : null,
+    ip: req ? req.ip : null,
+    ...extra,
+  };
+};
+
+// Mongoose plugin. Options:
+//   resourceType - name stored on each entry (e.g. 'publication')
+//   write(entry) - persists an entry; failures are logged and never break the request
+//
+// Only changes made during an HTTP mutation (see auditRequestContext) are recorded.
+const auditPlugin = (schema, { resourceType, write }) => {
+  const record = async (entry) => {
+    try {
+      await write(entry);
+    } catch (err) {
+      console.error('Error writing audit entry:', err);
+    }
+  };
+  const active = () => Boolean(requestContext.getStore());
+
+  // ---- document.save() (creates and in-place updates) ----
+  schema.pre('save', async function auditBeforeSave() {
+    if (!active()) return;
+    this.$locals.auditWasNew = this.isNew;
+    if (!this.isNew) {
+      this.$locals.auditBefore = await this.constructor.findById(this._id).setOptions({ withDeleted: true }).lean();
+    }
+  });
+  schema.post('save', async function auditAfterSave(doc) {
+    if (!active()) return;
+    let action = doc.$locals.auditWasNew ? 'create' : 'update';
+    if (!doc.$locals.auditWasNew && doc.deletedAt && !(doc.$locals.auditBefore || {}).deletedAt) action = 'trash';
+    if (!doc.$locals.auditWasNew && !doc.deletedAt && (doc.$locals.auditBefore || {}).deletedAt) action = 'restore';
+    await record(buildEntry(action, resourceType, doc._id, doc.$locals.auditBefore || null, doc));
+  });
+
+  // ---- findOneAndUpdate / findByIdAndUpdate ----
+  schema.pre('findOneAndUpdate', async function auditBeforeUpdate() {
+    if (!active()) return;
+    this._auditBefore = await this.model.findOne(this.getFilter()).setOptions({ withDeleted: true }).lean();
+  });
+  schema.post('findOneAndUpdate', async function auditAfterUpdate() {
+    if (!active() || !this._auditBefore) return;
+    const after = await this.model.findById(this._auditBefore._id).setOptions({ withDeleted: true }).lean();
+    await record(buildEntry('update', resourceType, this._auditBefore._id, this._auditBefore, after));
+  });
+
+  // ---- findOneAndDelete / deleteOne (query) ----
+  ['findOneAndDelete', 'deleteOne'].forEach((op) => {
+    schema.pre(op, { document: false, query: true }, async function auditBeforeDelete() {
+      if (!active()) return;
+      this._auditBefore = await this.model.findOne(this.getFilter()).setOptions({ withDeleted: true }).lean();
+    });
+    schema.post(op, { document: false, query: true }, async function auditAfterDelete() {
+      if (!active() || !this._auditBefore) return;
+      await record(buildEntry('delete', resourceType, this._auditBefore._id, this._auditBefore, null));
+    });
+  });
+
+  // ---- bulk updates: one entry per query, with the filter and update ----
+  ['updateOne', 'updateMany', 'deleteMany'].forEach((op) => {
+    schema.post(op, { document: false, query: true }, async function auditBulk(result) {
+      if (!active()) return;
+      const affected = result && (result.modifiedCount || result.deletedCount);
+      if (!affected) return;
+      await record(buildEntry(op === 'deleteMany' ? 'bulk-delete' : 'bulk-update', resourceType, null, null, null, {
+        query: redact(this.getFilter()),
+        update: redact(this.getUpdate() || {}),
+        affected,
+      }));
+    });
+  });
+};
+
+module.exports = {
+  REDACTED_FIELDS,
+  auditRequestContext,
+  auditPlugin,
+  diffDocuments,
+  redact,
+};
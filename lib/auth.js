@@ -0,0 +1,206 @@
+//////////////////////////////
+//  lib/auth.js
+//  Access/refresh tokens, sessions and the auth middleware
+//////////////////////////////
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { HttpError } = require('./errors');
+const { isActiveUser } = require('./models');
+const { SUPERUSER, hasPermission } = require('./permissions');
+const { userViewFor: viewForUser } = require('./serializers');
+
+// Refresh tokens, mailed tokens and invite codes are only ever stored as this hash
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Access tokens are short-lived JWTs carrying the session id (`sid`) and the
+// user's `tokenVersion` (`tv`). Both are checked on every request, so logging out,
+// revoking sessions or changing the password takes effect immediately.
+//
+// `models` comes from createModels(), `config` from loadConfig().
+const createAuth = ({ models, config }) => {
+  const { User, Role, Team, Session } = models;
+
+  const signAccessToken = (user, session) => jwt.sign(
+      { _id: user._id, role: user.role, sid: session._id, tv: user.tokenVersion || 0 },
+      config.jwtSecret,
+      { expiresIn: config.accessTokenTtl }
+  );
+
+  // Refresh tokens look like "<sessionId>.<random>" so the session can be found by id
+  const newRefreshToken = (session) => `${session._id}.${crypto.randomBytes(48).toString('base64url')}`;
+
+  const tokenResponse = (user, session, refreshToken) => {
+      const token = signAccessToken(user, session);
+      return {
+          token,
+          tokenType: 'Bearer',
+          expiresIn: jwt.decode(token).exp - Math.floor(Date.now() / 1000),
+          refreshToken,
+      };
+  };
+
+  // Start a new session for a freshly logged-in user
+  const createSession = async (user, req) => {
+      const session = new Session({
+          userId: user._id,
+          refreshTokenHash: 'pending',
+          expiresAt: new Date(Date.now() + config.refreshTokenTtlDays * 24 * 60 * 60 * 1000),
+          ip: req.ip,
+          userAgent: req.header('User-Agent'),
+      });
+      const refreshToken = newRefreshToken(session);
+      session.refreshTokenHash = hashToken(refreshToken);
+      await session.save();
+      return tokenResponse(user, session, refreshToken);
+  };
+
+  // Invalidate every access and refresh token a user holds
+  const revokeAllSessions = async (userId) => {
+      await User.updateOne({ _id: userId }, { $inc: { tokenVersion: 1 } });
+      await Session.updateMany({ userId, revokedAt: null }, { $set: { revokedAt: new Date() } });
+  };
+
+  // Verify an access token and load its user; throws HttpError
+  const verifyAccessToken = async (token) => {
+      let decoded;
+      try {
+          decoded = jwt.verify(token, config.jwtSecret);
+      } catch (err) {
+          if (err.name === 'TokenExpiredError') throw new HttpError(401, 'Token expired');
+          throw new HttpError(400, 'Invalid token');
+      }
+
+      const user = await User.findOne({ _id: decoded._id });
+      if (!user) throw new HttpError(403, 'No user found');
+      if (!isActiveUser(user)) throw new HttpError(403, 'Account is not active');
+      if ((decoded.tv || 0) !== (user.tokenVersion || 0)) throw new HttpError(401, 'Token revoked');
+
+      if (decoded.sid) {
+          const session = await Session.findById(decoded.sid).exec();
+          if (!session || session.revokedAt) throw new HttpError(401, 'Token revoked');
+      }
+      return { user, sessionId: decoded.sid };
+  };
+
+  const authenticate = async (req, res, next) => {
+      let token = req.header('Authorization');
+      if (!token) return next(new HttpError(401, 'Access denied'));
+      token = token.split(' ')[1];
+      try {
+          const { user, sessionId } = await verifyAccessToken(token);
+          req.user = user;
+          req.sessionId = sessionId;
+          next();
+      } catch (err) {
+          next(err);
+      }
+  };
+
+  // Like authenticate, but lets anonymous requests through (req.user stays undefined).
+  // Used by public routes that show more to admins or to the member themselves.
+  const identify = async (req, res, next) => {
+      const header = req.header('Authorization');
+      if (!header) return next();
+      try {
+          const { user, sessionId } = await verifyAccessToken(header.split(' ')[1]);
+          req.user = user;
+          req.sessionId = sessionId;
+      } catch (err) {
+          // Invalid tokens are treated as anonymous on public routes
+      }
+      next();
+  };
+
+  // Effective permissions of a user: direct grants + those of every Role in `roles`
+  const loadPermissions = async (user) => {
+      const roles = await Role.find({ _id: { $in: user.roles || [] } }, 'permissions').exec();
+      return new Set([
+          ...(user.permissions || []),
+          ...roles.flatMap((role) => role.permissions || []),
+      ]);
+  };
+
+  // Resolve (and memoise on req) whether the current user holds a permission
+  const can = async (req, permission) => {
+      if (!req.user) return false;
+      if (!req.permissions) req.permissions = await loadPermissions(req.user);
+      return hasPermission(req.permissions, permission);
+  };
+
+  // Route guard, used after authenticate: requirePermission('content:edit')
+  const requirePermission = (permission) => {
+      const guard = async (req, res, next) => {
+          try {
+              if (!(await can(req, permission))) throw new HttpError(403, 'Access denied');
+              next();
+          } catch (err) {
+              next(err);
+          }
+      };
+      guard.apiDoc = { permission };
+      return guard;
+  };
+
+  // Which serializer view the current (possibly anonymous) viewer gets for `user`
+  const userViewFor = async (req, user) => viewForUser(req.user, user, await can(req, 'users:manage'));
+
+  // Users holding the superuser permission, directly or through a role
+  const findSuperusers = async () => {
+      const superRoles = await Role.find({ permissions: SUPERUSER }, '_id').exec();
+      return User.find({
+          $or: [
+              { permissions: SUPERUSER },
+              { roles: { $in: superRoles.map((role) => role._id) } },
+          ],
+      }).exec();
+  };
+
+  // Middleware to check team membership
+  const checkTeamMembership = async (req, res, next) => {
+      try {
+          const isMember = await Team.findOne({ userId: req.user._id });
+          if (!isMember) throw new HttpError(403, 'Access denied: Not a team member');
+          next();
+      } catch (err) {
+          next(err);
+      }
+  };
+
+  // Unverified accounts can sign in and edit their own profile, but cannot publish content
+  const requireVerifiedEmail = (req, res, next) => {
+      if (req.user.emailVerified === false) {
+          return next(new HttpError(403, 'Access denied: Please verify your email address first'));
+      }
+      next();
+  };
+
+  // Read by lib/openapi.js to document security requirements
+  authenticate.apiDoc = { auth: 'required' };
+  identify.apiDoc = { auth: 'optional' };
+  checkTeamMembership.apiDoc = { teamMember: true };
+  requireVerifiedEmail.apiDoc = { verifiedEmail: true };
+
+  return {
+    signAccessToken,
+    newRefreshToken,
+    tokenResponse,
+    createSession,
+    revokeAllSessions,
+    verifyAccessToken,
+    authenticate,
+    identify,
+    loadPermissions,
+    can,
+    requirePermission,
+    userViewFor,
+    findSuperusers,
+    checkTeamMembership,
+    requireVerifiedEmail,
+  };
+};
+
+module.exports = {
+  hashToken,
+  createAuth,
+};
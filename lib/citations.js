@@ -0,0 +1,306 @@
+//////////////////////////////
+//  lib/citations.js
+//  BibTeX / RIS / CSL-JSON parsing and formatting for publications
+//////////////////////////////
+
+// A "citation" here is a plain object:
+//   { title, authors: [String], year: Number, doi: String, summary: String, id: String }
+
+// Export formats: file extension + content type for each ?format= value
+const FORMATS = {
+  bibtex: { extension: 'bib', contentType: 'application/x-bibtex' },
+  ris: { extension: 'ris', contentType: 'application/x-research-info-systems' },
+  csljson: { extension: 'json', contentType: 'application/vnd.citationstyles.csl+json' },
+};
+
+// Strip resolver prefixes ("https://doi.org/", "doi:") and surrounding whitespace.
+// DOIs are case-insensitive, so the result is lower-cased for comparisons.
+const normalizeDoi = (doi) => {
+  if (!doi) return '';
+  return String(doi)
+    .trim()
+    .replace(/^(https?:\/\/)?(dx\.)?doi\.org\//i, '')
+    .replace(/^doi:\s*/i, '')
+    .toLowerCase();
+};
+
+// "Last, First" -> { family: 'Last', given: 'First' }
+// "First Middle Last" -> { family: 'Last', given: 'First Middle' }
+const splitName = (name) => {
+  const trimmed = String(name || '').trim().replace(/\s+/g, ' ');
+  if (trimmed.includes(',')) {
+    const [family, ...rest] = trimmed.split(',');
+    return { family: family.trim(), given: rest.join(',').trim() };
+  }
+  const parts = trimmed.split(' ');
+  if (parts.length === 1) return { family: parts[0], given: '' };
+  return { family: parts.pop(), given: parts.join(' ') };
+};
+
+// Display form "First Last" for any of the name shapes accepted by splitName
+const displayName = (name) => {
+  const { family, given } = splitName(name);
+  return [given, family].filter(Boolean).join(' ');
+};
+
+// ===================
+// BIBTEX
+// ===================
+
+const LATEX_SYMBOLS = { backslash: '\\', asciitilde: '~', asciicircum: '^' };
+
+// Remove LaTeX grouping braces and the most common escapes from a field value
+// (in one pass, so an escaped brace or backslash survives)
+const cleanLatex = (value) => value
+  .replace(/\\(?:text(backslash|asciitilde|asciicircum)(?:\{\}|\s+)?|([&%$#_{}]))|[{}]/g, (match, symbol, escaped) => {
+    if (symbol) return LATEX_SYMBOLS[symbol];
+    return escaped || '';
+  })
+  .replace(/\s+/g, ' ')
+  .trim();
+
+// Escape everything LaTeX would otherwise read as markup; `\` `~` and `^` have no
+// backslash escape of their own and become text commands
+const escapeLatex = (value) => String(value).replace(/[&%$#_{}\\~^]/g, (ch) => ({
+  '\\': '\\textbackslash{}',
+  '~': '\\textasciitilde{}',
+  '^': '\\textasciicircum{}',
+}[ch] || `\\${ch}`));
+
+// A four-digit year out of a free-form date; a value without one is kept as-is
+// so that importing reports it instead of silently dropping it
+const parseYear = (value) => {
+  const year = /\d{4}/.exec(value);
+  return year ? parseInt(year[0], 10) : value;
+};
+
+// Read a braced, parenthesised or quoted value starting at text[start];
+// returns [innerValue, indexAfterClosingDelimiter]
+const readDelimited = (text, start) => {
+  const open = text[start];
+  const close = { '{': '}', '(': ')', '"': '"' }[open];
+  let depth = 0;
+  for (let i = start; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === '\\') { i++; continue; }
+    if (open !== '"') {
+      if (ch === open) depth++;
+      else if (ch === close) {
+        depth--;
+        if (depth === 0) return [text.slice(start + 1, i), i + 1];
+      }
+    } else if (i > start) {
+      if (ch === '{') depth++;
+      else if (ch === '}') depth--;
+      else if (ch === close && depth === 0) return [text.slice(start + 1, i), i + 1];
+    }
+  }
+  throw new Error('Unterminated value');
+};
+
+// Parse the body of a single entry ("key, field = {value}, ...")
+const parseBibtexFields = (body) => {
+  const fields = {};
+  let i = body.indexOf(',');
+  if (i === -1) return fields;
+  i++;
+
+  while (i < body.length) {
+    const match = /^\s*([A-Za-z][\w-]*)\s*=\s*/.exec(body.slice(i));
+    if (!match) break;
+    const name = match[1].toLowerCase();
+    i += match[0].length;
+
+    let value;
+    if (body[i] === '{' || body[i] === '"') {
+      [value, i] = readDelimited(body, i);
+    } else {
+      const bare = /^[^,\s}]+/.exec(body.slice(i));
+      value = bare ? bare[0] : '';
+      i += value.length;
+    }
+    fields[name] = cleanLatex(value);
+
+    const next = body.slice(i).search(/,/);
+    if (next === -1) break;
+    i += next + 1;
+  }
+  return fields;
+};
+
+// Parse a .bib file into citations. Each result carries `error` instead when
+// an entry could not be read, so one bad entry does not sink the whole file.
+const parseBibtex = (text) => {
+  const entries = [];
+  const entryStart = /@(\w+)\s*([{(])/g;
+  let match;
+
+  while ((match = entryStart.exec(text)) !== null) {
+    const type = match[1].toLowerCase();
+    const openIndex = match.index + match[0].length - 1;
+    let body;
+    try {
+      const [inner, end] = readDelimited(text, openIndex);
+      body = inner;
+      entryStart.lastIndex = end;
+    } catch (err) {
+      entries.push({ error: `Could not parse @${type} entry: ${err.message}` });
+      break;
+    }
+
+    if (['comment', 'preamble', 'string'].includes(type)) continue;
+
+    const fields = parseBibtexFields(body);
+    entries.push({
+      title: fields.title,
+      authors: fields.author ? fields.author.split(/\s+and\s+/i).map(displayName).filter(Boolean) : [],
+      year: fields.year ? parseYear(fields.year) : undefined,
+      doi: fields.doi ? normalizeDoi(fields.doi) : undefined,
+      summary: fields.abstract,
+    });
+  }
+  return entries;
+};
+
+const bibtexKey = (citation, index) => {
+  const first = citation.authors[0] ? splitName(citation.authors[0]).family : 'anon';
+  const word = (citation.title || '').split(/\s+/).find((w) => w.length > 3) || 'untitled';
+  const key = `${first}${citation.year || ''}${word}`.replace(/[^A-Za-z0-9]/g, '');
+  return key || `pub${index + 1}`;
+};
+
+const toBibtex = (citations) => citations.map((citation, index) => {
+  const fields = [
+    ['title', citation.title],
+    ['author', citation.authors.map((name) => {
+      const { family, given } = splitName(name);
+      return given ? `${family}, ${given}` : family;
+    }).join(' and ')],
+    ['year', citation.year],
+    ['doi', citation.doi],
+    ['abstract', citation.summary],
+  ].filter(([, value]) => value !== undefined && value !== null && value !== '');
+
+  const lines = fields.map(([name, value]) => `  ${name} = {${escapeLatex(value)}}`);
+  return `@article{${bibtexKey(citation, index)},\n${lines.join(',\n')}\n}\n`;
+}).join('\n');
+
+// ===================
+// RIS
+// ===================
+
+const parseRis = (text) => {
+  const entries = [];
+  let current = null;
+
+  text.split(/\r?\n/).forEach((line) => {
+    const match = /^([A-Z][A-Z0-9])  -\s?(.*)$/.exec(line);
+    if (!match) return;
+    const [, tag, rawValue] = match;
+    const value = rawValue.trim();
+
+    if (tag === 'TY') {
+      current = { authors: [] };
+      return;
+    }
+    if (!current) return;
+
+    switch (tag) {
+      case 'ER':
+        entries.push(current);
+        current = null;
+        break;
+      case 'TI':
+      case 'T1':
+        current.title = current.title || value;
+        break;
+      case 'AU':
+      case 'A1':
+        if (value) current.authors.push(displayName(value));
+        break;
+      case 'PY':
+      case 'Y1':
+      case 'DA': {
+        if (value && !current.year) current.year = parseYear(value);
+        break;
+      }
+      case 'DO':
+        current.doi = normalizeDoi(value);
+        break;
+      case 'AB':
+      case 'N2':
+        current.summary = current.summary || value;
+        break;
+      default:
+        break;
+    }
+  });
+
+  if (current) entries.push({ ...current, error: 'Entry is missing its ER terminator' });
+  return entries;
+};
+
+const toRis = (citations) => citations.map((citation) => {
+  const lines = ['TY  - JOUR'];
+  if (citation.title) lines.push(`TI  - ${citation.title}`);
+  citation.authors.forEach((name) => {
+    const { family, given } = splitName(name);
+    lines.push(`AU  - ${given ? `${family}, ${given}` : family}`);
+  });
+  if (citation.year) lines.push(`PY  - ${citation.year}`);
+  if (citation.doi) lines.push(`DO  - ${citation.doi}`);
+  if (citation.summary) lines.push(`AB  - ${citation.summary.replace(/\s*\n\s*/g, ' ')}`);
+  lines.push('ER  - ');
+  return lines.join('\r\n') + '\r\n';
+}).join('\r\n');
+
+// ===================
+// CSL-JSON
+// ===================
+
+const toCslJson = (citations) => JSON.stringify(citations.map((citation, index) => {
+  const item = {
+    id: citation.id || `pub${index + 1}`,
+    type: 'article-journal',
+    title: citation.title,
+    author: citation.authors.map((name) => splitName(name)),
+  };
+  if (citation.year) item.issued = { 'date-parts': [[citation.year]] };
+  if (citation.doi) item.DOI = citation.doi;
+  if (citation.summary) item.abstract = citation.summary;
+  return item;
+}), null, 2);
+
+// ===================
+// ENTRY POINTS
+// ===================
+
+const formatCitations = (citations, format) => {
+  switch (format) {
+    case 'bibtex': return toBibtex(citations);
+    case 'ris': return toRis(citations);
+    case 'csljson': return toCslJson(citations);
+    default: throw new Error(`Unsupported format: ${format}`);
+  }
+};
+
+// Pick a parser from the file name, falling back to sniffing the content
+const parseCitations = (text, filename = '') => {
+  if (/\.ris$/i.test(filename)) return parseRis(text);
+  if (/\.bib$/i.test(filename)) return parseBibtex(text);
+  return /^\s*TY  -/m.test(text) ? parseRis(text) : parseBibtex(text);
+};
+
+module.exports = {
+  FORMATS,
+  normalizeDoi,
+  splitName,
+  displayName,
+  parseBibtex,
+  parseRis,
+  parseCitations,
+  toBibtex,
+  toRis,
+  toCslJson,
+  formatCitations,
+};
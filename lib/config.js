@@ -0,0 +1,21 @@
+//////////////////////////////
+//  lib/config.js
+//  Settings read from the environment, in one place
+//////////////////////////////
+
+// createApp() only ever reads this object, so tests can pass their own values
+const loadConfig = (env = process.env) => ({
+  jwtSecret: env.JWT_SECRET,
+  accessTokenTtl: env.ACCESS_TOKEN_TTL || '15m',
+  refreshTokenTtlDays: parseInt(env.REFRESH_TOKEN_TTL_DAYS, 10) || 30,
+  appUrl: (env.APP_URL || 'http://localhost:3000').replace(/\/$/, ''),
+  siteName: env.SITE_NAME || 'Lab website', // used in feed titles
+  passwordResetTtlMinutes: parseInt(env.PASSWORD_RESET_TTL_MINUTES, 10) || 60,
+  emailVerificationTtlHours: parseInt(env.EMAIL_VERIFICATION_TTL_HOURS, 10) || 48,
+  // Behind Vercel's proxy the client address is in X-Forwarded-For (TRUST_PROXY=true)
+  trustProxy: env.TRUST_PROXY ? (env.TRUST_PROXY === 'true' || env.TRUST_PROXY) : undefined,
+});
+
+module.exports = {
+  loadConfig,
+};
@@ -0,0 +1,134 @@
+//////////////////////////////
+//  lib/doiResolver.js
+//  Look up publication metadata for a DOI
+//////////////////////////////
+
+const fs = require('fs');
+const path = require('path');
+const { normalizeDoi, displayName } = require('./citations');
+
+// Every resolver implements the same interface:
+//
+//   resolver.name                -> String, for logs/responses
+//   await resolver.resolve(doi)  -> { doi, title, year, abstract, authors: [String] } or null when unknown
+//
+// Network/parse failures are thrown as errors; "no such DOI" is a null result.
+
+// Crossref and DataCite return abstracts as JATS XML fragments
+const stripMarkup = (text) => (text ? String(text).replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim() : undefined);
+
+// ===================
+// RESPONSE MAPPERS
+// ===================
+
+// Crossref /works/{doi} -> message
+const fromCrossref = (message) => {
+  const dateParts = ['issued', 'published-print', 'published-online', 'created']
+    .map((key) => message[key] && message[key]['date-parts'] && message[key]['date-parts'][0])
+    .find((parts) => parts && parts[0]);
+
+  return {
+    doi: normalizeDoi(message.DOI),
+    title: stripMarkup(Array.isArray(message.title) ? message.title[0] : message.title),
+    year: dateParts ? Number(dateParts[0]) : undefined,
+    abstract: stripMarkup(message.abstract),
+    authors: (message.author || [])
+      .map((author) => author.name || [author.given, author.family].filter(Boolean).join(' '))
+      .filter(Boolean),
+  };
+};
+
+// DataCite /dois/{doi} -> data.attributes
+const fromDataCite = (attributes) => {
+  const abstract = (attributes.descriptions || []).find((d) => d.descriptionType === 'Abstract');
+  return {
+    doi: normalizeDoi(attributes.doi),
+    title: stripMarkup(attributes.titles && attributes.titles[0] && attributes.titles[0].title),
+    year: attributes.publicationYear ? Number(attributes.publicationYear) : undefined,
+    abstract: stripMarkup(abstract && abstract.description),
+    authors: (attributes.creators || [])
+      .map((creator) => (creator.givenName && creator.familyName
+        ? `${creator.givenName} ${creator.familyName}`
+        : creator.name && displayName(creator.name)))
+      .filter(Boolean),
+  };
+};
+
+// ===================
+// HTTP RESOLVER
+// ===================
+
+// Tries Crossref first (journal articles), then DataCite (datasets, preprints, software).
+// Options:
+//   fetch       - fetch implementation (defaults to the global one)
+//   mailto      - contact address sent to Crossref for its "polite" pool
+//   timeoutMs   - per-request timeout
+const createHttpResolver = ({
+  fetch = global.fetch,
+  mailto,
+  timeoutMs = 8000,
+  crossrefUrl = 'https://api.crossref.org/works/',
+  dataciteUrl = 'https://api.datacite.org/dois/',
+} = {}) => {
+  const getJson = async (url) => {
+    const headers = { Accept: 'application/json' };
+    if (mailto) headers['User-Agent'] = `cmlLabServer (mailto:${mailto})`;
+
+    const response = await fetch(url, { headers, signal: AbortSignal.timeout(timeoutMs) });
+    if (response.status === 404) return null;
+    if (!response.ok) throw new Error(`DOI lookup failed with status ${response.status} (${url})`);
+    return response.json();
+  };
+
+  return {
+    name: 'http',
+    async resolve(doi) {
+      const id = encodeURIComponent(normalizeDoi(doi));
+
+      const crossref = await getJson(crossrefUrl + id);
+      if (crossref && crossref.message) return fromCrossref(crossref.message);
+
+      const datacite = await getJson(dataciteUrl + id);
+      if (datacite && datacite.data && datacite.data.attributes) return fromDataCite(datacite.data.attributes);
+
+      return null;
+    },
+  };
+};
+
+// ===================
+// FIXTURE RESOLVER
+// ===================
+
+// Offline stub for development and tests. `fixtures` is either a map or a path
+// to a JSON file mapping DOI -> { crossref: <message> } | { datacite: <attributes> },
+// so the same mappers as the HTTP resolver are exercised.
+const createFixtureResolver = ({ fixtures = path.join(__dirname, '..', 'fixtures', 'doi.json') } = {}) => {
+  const raw = typeof fixtures === 'string' ? JSON.parse(fs.readFileSync(fixtures, 'utf8')) : fixtures;
+  const byDoi = new Map(Object.entries(raw).map(([doi, record]) => [normalizeDoi(doi), record]));
+
+  return {
+    name: 'fixture',
+    async resolve(doi) {
+      const record = byDoi.get(normalizeDoi(doi));
+      if (!record) return null;
+      return record.crossref ? fromCrossref(record.crossref) : fromDataCite(record.datacite);
+    },
+  };
+};
+
+// Pick an implementation from the environment: DOI_RESOLVER=fixture|http (default http)
+const createResolverFromEnv = (env = process.env) => {
+  if (env.DOI_RESOLVER === 'fixture') {
+    return createFixtureResolver(env.DOI_FIXTURES ? { fixtures: env.DOI_FIXTURES } : undefined);
+  }
+  return createHttpResolver({ mailto: env.CROSSREF_MAILTO });
+};
+
+module.exports = {
+  fromCrossref,
+  fromDataCite,
+  createHttpResolver,
+  createFixtureResolver,
+  createResolverFromEnv,
+};
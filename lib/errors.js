@@ -0,0 +1,88 @@
+//////////////////////////////
+//  lib/errors.js
+//  HTTP errors and the JSON error response every route shares
+//////////////////////////////
+
+// Every error response has the shape:
+//   { error: { code: 'not_found', message: 'User not found', details: ... } }
+
+const DEFAULT_CODES = {
+  400: 'bad_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  413: 'payload_too_large',
+  415: 'unsupported_media_type',
+  422: 'validation_failed',
+  502: 'bad_gateway',
+  500: 'internal_error',
+};
+
+class HttpError extends Error {
+  // new HttpError(404, 'User not found')
+  // new HttpError(409, 'Email already registered', { code: 'duplicate_key', details: { fields: ['email'] } })
+  constructor(status, message, { code, details } = {}) {
+    super(message);
+    this.status = status;
+    this.code = code || DEFAULT_CODES[status] || 'error';
+    this.details = details;
+  }
+}
+
+const errorBody = (code, message, details) => ({
+  error: { code, message, ...(details !== undefined ? { details } : {}) },
+});
+
+// Translate anything thrown by a route, Mongoose or body parsing into { status, body }
+const toErrorResponse = (err) => {
+  if (err instanceof HttpError) {
+    return { status: err.status, body: errorBody(err.code, err.message, err.details) };
+  }
+
+  // Malformed JSON request body (express.json)
+  if (err.type === 'entity.parse.failed') {
+    return { status: 400, body: errorBody('invalid_json', 'Request body is not valid JSON') };
+  }
+  if (err.type === 'entity.too.large') {
+    return { status: 413, body: errorBody('payload_too_large', 'Request body is too large') };
+  }
+
+  // Unique index violations, e.g. a second account with the same email
+  if (err.code === 11000 || err.code === 11001) {
+    const fields = Object.keys(err.keyValue || err.keyPattern || {});
+    const message = fields.length ? `${fields.join(', ')} already exists` : 'Duplicate value';
+    return { status: 409, body: errorBody('duplicate_key', message, { fields }) };
+  }
+
+  if (err.name === 'ValidationError' && err.errors) {
+    const details = Object.values(err.errors).map((e) => ({ path: e.path, message: e.message }));
+    return { status: 422, body: errorBody('validation_failed', 'Validation failed', details) };
+  }
+  if (err.name === 'CastError') {
+    return { status: 400, body: errorBody('bad_request', `Invalid value for ${err.path}`, { path: err.path }) };
+  }
+
+  return { status: 500, body: errorBody('internal_error', 'Internal Server Error') };
+};
+
+// Final Express error handler
+const errorHandler = (err, req, res, next) => {
+  if (res.headersSent) return next(err);
+  const { status, body } = toErrorResponse(err);
+  if (status >= 500) console.error(`Error handling ${req.method} ${req.originalUrl}:`, err);
+  res.status(status).json(body);
+};
+
+// Catch-all for unknown routes
+const notFoundHandler = (req, res) => {
+  res.status(404).json(errorBody('not_found', `No route for ${req.method} ${req.path}`));
+};
+
+module.exports = {
+  DEFAULT_CODES,
+  HttpError,
+  errorHandler,
+  notFoundHandler,
+  toErrorResponse,
+};
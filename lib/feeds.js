@@ -0,0 +1,105 @@
+//////////////////////////////
+//  lib/feeds.js
+//  Atom, RSS 2.0 and JSON Feed documents from a list of entries
+//////////////////////////////
+
+// A feed is a plain object:
+//   { id, title, homeUrl, feedUrl, updated: Date, entries: [entry] }
+// and an entry:
+//   { id, title, url, summary, authors: [String], published: Date, updated: Date, image }
+// `id`s are stable URIs (tag: or https:); `url` is where a reader goes (the DOI link).
+
+const FORMATS = {
+  atom: { contentType: 'application/atom+xml' },
+  rss: { contentType: 'application/rss+xml' },
+  json: { contentType: 'application/feed+json' },
+};
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+// Only elements with a value are written
+const element = (name, value, attributes = '') => (value ? `<${name}${attributes}>${escapeXml(value)}</${name}>` : '');
+
+const toAtom = (feed) => [
+  '<?xml version="1.0" encoding="utf-8"?>',
+  '<feed xmlns="http://www.w3.org/2005/Atom" xmlns:media="http://search.yahoo.com/mrss/">',
+  element('id', feed.id),
+  element('title', feed.title),
+  element('updated', feed.updated.toISOString()),
+  `<link rel="self" href="${escapeXml(feed.feedUrl)}"/>`,
+  `<link rel="alternate" href="${escapeXml(feed.homeUrl)}"/>`,
+  ...feed.entries.map((entry) => [
+    '<entry>',
+    element('id', entry.id),
+    element('title', entry.title),
+    entry.url ? `<link rel="alternate" href="${escapeXml(entry.url)}"/>` : '',
+    element('published', entry.published.toISOString()),
+    element('updated', entry.updated.toISOString()),
+    ...entry.authors.map((name) => `<author>${element('name', name)}</author>`),
+    element('summary', entry.summary),
+    entry.image ? `<media:content url="${escapeXml(entry.image)}" medium="image"/>` : '',
+    '</entry>',
+  ].join('')),
+  '</feed>',
+].join('\n');
+
+const toRss = (feed) => [
+  '<?xml version="1.0" encoding="utf-8"?>',
+  '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:media="http://search.yahoo.com/mrss/">',
+  '<channel>',
+  element('title', feed.title),
+  element('link', feed.homeUrl),
+  element('description', feed.title),
+  `<atom:link rel="self" type="${FORMATS.rss.contentType}" href="${escapeXml(feed.feedUrl)}"/>`,
+  element('lastBuildDate', feed.updated.toUTCString()),
+  ...feed.entries.map((entry) => [
+    '<item>',
+    element('title', entry.title),
+    element('link', entry.url),
+    element('guid', entry.id, ' isPermaLink="false"'),
+    element('pubDate', entry.published.toUTCString()),
+    ...entry.authors.map((name) => element('dc:creator', name)),
+    element('description', entry.summary),
+    entry.image ? `<media:content url="${escapeXml(entry.image)}" medium="image"/>` : '',
+    '</item>',
+  ].join('')),
+  '</channel>',
+  '</rss>',
+].join('\n');
+
+// https://www.jsonfeed.org/version/1.1/
+const toJsonFeed = (feed) => JSON.stringify({
+  version: 'https://jsonfeed.org/version/1.1',
+  title: feed.title,
+  home_page_url: feed.homeUrl,
+  feed_url: feed.feedUrl,
+  items: feed.entries.map((entry) => ({
+    id: entry.id,
+    url: entry.url || undefined,
+    title: entry.title,
+    summary: entry.summary || undefined,
+    content_text: entry.summary || entry.title,
+    image: entry.image || undefined,
+    date_published: entry.published.toISOString(),
+    date_modified: entry.updated.toISOString(),
+    authors: entry.authors.length ? entry.authors.map((name) => ({ name })) : undefined,
+  })),
+});
+
+const WRITERS = { atom: toAtom, rss: toRss, json: toJsonFeed };
+
+const formatFeed = (feed, format) => {
+  const write = WRITERS[format];
+  if (!write) throw new Error(`Unknown feed format: ${format}`);
+  return write(feed);
+};
+
+module.exports = {
+  FORMATS,
+  formatFeed,
+};
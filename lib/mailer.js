@@ -0,0 +1,105 @@
+//////////////////////////////
+//  lib/mailer.js
+//  Outgoing mail behind a small transport interface
+//////////////////////////////
+
+const fs = require('fs');
+const path = require('path');
+
+// Every transport implements:
+//
+//   transport.name                                  -> String
+//   await transport.send({ to, subject, text, html }) -> resolves once the message is handed off
+//
+// `from` defaults to the address the transport was created with.
+
+// ===================
+// SMTP
+// ===================
+const createSmtpTransport = ({ host, port = 587, secure = false, user, pass, from }) => {
+  // Loaded lazily so the file/console transports work without nodemailer configured
+  const nodemailer = require('nodemailer');
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined,
+  });
+
+  return {
+    name: 'smtp',
+    async send(message) {
+      await transporter.sendMail({ from, ...message });
+    },
+  };
+};
+
+// ===================
+// FILE (local development / tests)
+// ===================
+// Writes each message as a JSON file into `dir` so links can be copied out by hand or read by tests
+const createFileTransport = ({ dir, from }) => {
+  fs.mkdirSync(dir, { recursive: true });
+
+  return {
+    name: 'file',
+    async send(message) {
+      const safeTo = String(message.to).replace(/[^a-zA-Z0-9@._-]/g, '_');
+      const file = path.join(dir, `${Date.now()}-${safeTo}.json`);
+      await fs.promises.writeFile(file, JSON.stringify({ from, ...message, sentAt: new Date() }, null, 2));
+    },
+  };
+};
+
+// ===================
+// CONSOLE (default)
+// ===================
+const createConsoleTransport = ({ from, logger = console } = {}) => ({
+  name: 'console',
+  async send(message) {
+    logger.log(`[mail] from=${from} to=${message.to} subject="${message.subject}"\n${message.text}`);
+  },
+});
+
+// ===================
+// MEMORY (tests)
+// ===================
+// Keeps every message in `transport.sent` so tests can read the links out of them
+const createMemoryTransport = ({ from = 'no-reply@localhost' } = {}) => {
+  const sent = [];
+  return {
+    name: 'memory',
+    sent,
+    async send(message) {
+      sent.push({ from, ...message, sentAt: new Date() });
+    },
+  };
+};
+
+// Pick a transport from the environment: MAIL_TRANSPORT=smtp|file|console (default console)
+const createMailTransportFromEnv = (env = process.env) => {
+  const from = env.MAIL_FROM || 'no-reply@localhost';
+  switch (env.MAIL_TRANSPORT) {
+    case 'smtp':
+      return createSmtpTransport({
+        host: env.SMTP_HOST,
+        port: parseInt(env.SMTP_PORT, 10) || 587,
+        secure: env.SMTP_SECURE === 'true',
+        user: env.SMTP_USER,
+        pass: env.SMTP_PASS,
+        from,
+      });
+    case 'file':
+      return createFileTransport({ dir: env.MAIL_DIR || path.join(process.cwd(), 'tmp', 'mail'), from });
+    default:
+      return createConsoleTransport({ from });
+  }
+};
+
+module.exports = {
+  createSmtpTransport,
+  createFileTransport,
+  createConsoleTransport,
+  createMemoryTransport,
+  createMailTransportFromEnv,
+};
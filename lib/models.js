@@ -0,0 +1,542 @@
+//////////////////////////////
+//  lib/models.js
+//  Mongoose schemas and models
+//////////////////////////////
+
+const mongoose = require('mongoose');
+const softDelete = require('./softDelete');
+const { auditPlugin } = require('./audit');
+const { SUPERUSER, SUPERUSER_ROLE_NAME } = require('./permissions');
+
+// Accounts that may sign in and appear on the public site
+const INACTIVE_STATUSES = ['pending', 'rejected', 'disabled'];
+const ACTIVE_USER_FILTER = { status: { $nin: INACTIVE_STATUSES } };
+const isActiveUser = (user) => !INACTIVE_STATUSES.includes(user.status);
+
+// Publication workflow: draft -> submitted -> published, or rejected (with a comment),
+// revised and submitted again. Publications from before the workflow have no status
+// and count as published.
+const PUBLICATION_STATUSES = ['draft', 'submitted', 'published', 'rejected'];
+const PUBLISHED_FILTER = { status: { $in: ['published', null] } };
+const isPublished = (publication) => !publication.status || publication.status === 'published';
+
+// News items and events are public once their publish date has passed; without one
+// they are drafts
+const NEWS_KINDS = ['news', 'event'];
+const publishedNewsFilter = (now = new Date()) => ({ publishAt: { $lte: now } });
+const isNewsPublished = (item, now = new Date()) => Boolean(item.publishAt) && item.publishAt <= now;
+
+const PROJECT_STATUSES = ['planned', 'active', 'completed'];
+
+// Define every schema and register its model on `db`, a mongoose Connection.
+// Models already registered on that connection are returned as they are.
+const createModels = (db) => {
+  if (db.models.User) return { ...db.models };
+
+  const userSchema = new mongoose.Schema({
+      name: { type: String, required: true },
+      email: { type: String, required: true, unique: true, lowercase: true, trim: true },
+      address: { type: String },
+      role: { type: String, required: true },
+      bio: { type: String },
+      image: { type: String },
+      imageVariants: { thumb: String, small: String, medium: String }, // see lib/uploads.js
+      education: [{
+          institution: String,
+          degree: String,
+          startDate: Date,
+          endDate: Date,
+      }],
+      experience: [{
+          institution: String,
+          degree: String,
+          startDate: Date,
+          endDate: Date,
+      }],
+      links: [{
+          linkType: String,
+          link: String,
+      }],
+      password: { type: String, required: true },
+      // Permissions are granted directly here or through `roles` (Role documents).
+      // The display `role` string above grants nothing. Replaces the old isAdmin flag.
+      roles: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Role' }],
+      permissions: [{ type: String }],
+      showEmail: { type: Boolean, default: false }, // opt-in: show email on the public profile
+      tokenVersion: { type: Number, default: 0 }, // bumped to invalidate every token issued so far
+      // No default on purpose: accounts created before verification existed have no value
+      // and count as verified; new registrations are saved with `false`.
+      emailVerified: { type: Boolean },
+      // Same idea: existing accounts have no status and count as active.
+      // Registrations without an invite start as 'pending' until an admin approves them.
+      // 'disabled' is set by an admin and blocks sign-in without deleting anything.
+      status: { type: String, enum: ['pending', 'active', 'rejected', 'disabled'] },
+      rejectionReason: { type: String },
+      disabledAt: { type: Date },
+      disabledReason: { type: String },
+  }, { timestamps: true }); // updatedAt: see dataVersion in routes/stats.js
+
+  // SESSION
+  // One row per login. The refresh token is stored hashed and rotated on every use;
+  // the previous hash is kept so a replayed (stolen) refresh token can be detected.
+  const sessionSchema = new mongoose.Schema({
+      userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+      refreshTokenHash: { type: String, required: true },
+      previousRefreshTokenHash: { type: String },
+      expiresAt: { type: Date, required: true },
+      revokedAt: { type: Date },
+      lastUsedAt: { type: Date },
+      ip: String,
+      userAgent: String,
+  }, { timestamps: true });
+  // Let MongoDB drop sessions once their refresh token has expired
+  sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+  // ACCOUNT TOKEN
+  // Single-use, expiring tokens mailed to the user (password reset, email verification).
+  // Only the hash is stored.
+  const accountTokenSchema = new mongoose.Schema({
+      userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+      purpose: { type: String, enum: ['password-reset', 'email-verification'], required: true },
+      tokenHash: { type: String, required: true, unique: true },
+      email: String, // address the token was sent to; verification only counts for that address
+      expiresAt: { type: Date, required: true },
+      usedAt: { type: Date },
+  }, { timestamps: true });
+  accountTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+  // INVITE
+  // Created by an admin for one email address and one Role. The code itself is only
+  // shown once (in the creation response / invite email); the hash is stored.
+  const inviteSchema = new mongoose.Schema({
+      email: { type: String, required: true, lowercase: true, trim: true },
+      roleId: { type: mongoose.Schema.Types.ObjectId, ref: 'Role', required: true },
+      codeHash: { type: String, required: true, unique: true },
+      createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+      expiresAt: { type: Date },
+      usedAt: { type: Date },
+      usedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      revokedAt: { type: Date },
+  }, { timestamps: true });
+
+  // Latest change, read on every statistics request (dataVersion in routes/stats.js)
+  userSchema.index({ updatedAt: -1 });
+
+  // Site search (routes/search.js); a collection can have only one text index
+  userSchema.index({ name: 'text', bio: 'text' }, { weights: { name: 10, bio: 1 }, name: 'search' });
+
+  // Safety net: never serialize the password hash, even if a route forgets lib/serializers
+  userSchema.set('toJSON', {
+      transform: (doc, ret) => {
+          delete ret.password;
+          delete ret.tokenVersion;
+          return ret;
+      },
+  });
+
+  // PUBLICATION
+  // `authors` is the author list in publication order. Each entry is either a lab
+  // member (`user`) or an external author (`name`, optionally with affiliation/ORCID).
+  const authorSchema = new mongoose.Schema({
+      user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      name: { type: String, required: function nameRequired() { return !this.user; } },
+      affiliation: { type: String },
+      orcid: { type: String }, // 0000-0002-1825-0097
+      corresponding: { type: Boolean, default: false },
+      equalContribution: { type: Boolean, default: false },
+  });
+
+  const publicationSchema = new mongoose.Schema({
+      title: { type: String, required: true },
+      authors: [authorSchema],
+      summary: { type: String },
+      coverImage: { type: String },
+      coverImageVariants: { thumb: String, medium: String, large: String }, // see lib/uploads.js
+      doi: { type: String },
+      year: { type: Number, default: () => new Date().getFullYear() },
+      // Review workflow (see PUBLICATION_STATUSES). No default on purpose, see above;
+      // new publications are saved as drafts.
+      status: { type: String, enum: PUBLICATION_STATUSES },
+      createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      submittedAt: { type: Date },
+      submittedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      reviewedAt: { type: Date },
+      reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      reviewComment: { type: String }, // why it was rejected
+      publishedAt: { type: Date },
+  }, { timestamps: true });
+  publicationSchema.index({ status: 1, submittedAt: 1 });
+  publicationSchema.index({ updatedAt: -1 }); // see dataVersion in routes/stats.js
+
+  publicationSchema.index({ 'authors.user': 1 });
+  publicationSchema.index({ title: 'text', summary: 'text' }, { weights: { title: 10, summary: 1 }, name: 'search' });
+
+  // Works on plain and populated author lists
+  publicationSchema.methods.isAuthor = function isAuthor(userId) {
+      return this.authors.some((author) => author.user && String(author.user._id || author.user) === String(userId));
+  };
+
+  // PUBLICATION REVISION
+  // A snapshot of a publication each time it is submitted for review, with the
+  // changes since the previous submission, so reviewers can see what changed.
+  const publicationRevisionSchema = new mongoose.Schema({
+      publication: { type: mongoose.Schema.Types.ObjectId, ref: 'Publication', required: true },
+      number: { type: Number, required: true }, // 1 for the first submission
+      snapshot: { type: mongoose.Schema.Types.Mixed, required: true }, // title, authors, summary, doi, year, coverImage
+      changes: { type: mongoose.Schema.Types.Mixed }, // { field: { from, to } } since the previous revision
+      submittedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  }, { timestamps: { createdAt: true, updatedAt: false } });
+  publicationRevisionSchema.index({ publication: 1, number: 1 }, { unique: true });
+
+  // TEAM
+  // Membership is a history of periods, each in one role (Master's student, then PhD
+  // student, then postdoc...). A member whose periods are all closed is an alumnus;
+  // `isAlumni` is kept in sync below so queries can keep filtering on it.
+  const membershipPeriodSchema = new mongoose.Schema({
+      role: { type: String, required: true }, // Role.roleName held during the period
+      startDate: { type: Date, required: true },
+      endDate: { type: Date }, // unset while the period is open
+  });
+
+  const teamSchema = new mongoose.Schema({
+      userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, unique: true },
+      addedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+      isAlumni: { type: Boolean, default: false },
+      displayOrder: { type: Number }, // position within the member's role group on the roster (PUT /api/team/order)
+      periods: [membershipPeriodSchema],
+      // Where an alumnus went after leaving the lab
+      afterLeaving: {
+          position: String,
+          organization: String,
+          link: String,
+      },
+  }, { timestamps: true });
+  teamSchema.index({ updatedAt: -1 }); // see dataVersion in routes/stats.js
+
+  // Entries from before membership periods have none and keep their stored flag
+  // (see migrateTeamPeriods below)
+  teamSchema.pre('validate', function syncAlumniStatus() {
+      if (!this.periods.length) return;
+      this.periods.sort((a, b) => a.startDate - b.startDate);
+      this.isAlumni = this.periods.every((period) => period.endDate);
+  });
+
+  teamSchema.methods.currentPeriod = function currentPeriod() {
+      return this.periods.find((period) => !period.endDate) || null;
+  };
+
+  // ADDRESS
+  const addressSchema = new mongoose.Schema({
+    room: String,
+    department: String,
+    institution: String,
+    city: String,
+    state: String,
+    postalCode: String,
+    country: String
+  });
+
+  // ROLE
+  const roleSchema = new mongoose.Schema({
+    roleName: String, // e.g. "PhD Student"
+    permissions: [{ type: String }], // e.g. ['content:edit'], see lib/permissions.js
+    displayOrder: Number // position of this role's group on the team roster, lowest first
+  });
+
+  // ABOUT
+  const aboutSchema = new mongoose.Schema({
+    text: String // Could be a large string 
+  });
+
+  // TECHNOLOGY
+  const technologySchema = new mongoose.Schema({
+    name: String,
+    icon: String,         // e.g. URL to icon
+    description: String,
+    downloadLink: String  
+  });
+
+  // TUTORIAL
+  const tutorialSchema = new mongoose.Schema({
+    name: String,
+    newIcon: String,      
+    description: String,
+    tutorialLink: String
+  });
+
+  const notesSchema = new mongoose.Schema({
+    name: String,
+    newIcon: String,      
+    description: String,
+    noteLink: String
+  });
+
+  // NEWS
+  // Announcements (accepted papers, awards, new members) and events (seminars, talks),
+  // linked to the members and publications they are about. See publishedNewsFilter.
+  const newsSchema = new mongoose.Schema({
+      kind: { type: String, enum: NEWS_KINDS, required: true, default: 'news' },
+      title: { type: String, required: true },
+      body: { type: String }, // Markdown, rendered by the frontend
+      coverImage: { type: String },
+      coverImageVariants: { thumb: String, medium: String, large: String }, // see lib/uploads.js
+      tags: {
+          type: [String],
+          set: (tags) => [...new Set(tags.map((tag) => String(tag).trim().toLowerCase()).filter(Boolean))],
+      },
+      people: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+      publications: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Publication' }],
+      // Events only
+      startsAt: { type: Date },
+      endsAt: { type: Date },
+      location: {
+          address: { type: mongoose.Schema.Types.ObjectId, ref: 'Address' },
+          name: String, // e.g. "Seminar room 2" or "Online"
+          link: String, // e.g. a video call
+      },
+      publishAt: { type: Date }, // unset: draft; in the future: scheduled
+      createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  }, { timestamps: true });
+  newsSchema.index({ publishAt: -1 });
+  newsSchema.index({ kind: 1, startsAt: 1 });
+  newsSchema.index({ tags: 1 });
+  newsSchema.index({ title: 'text', tags: 'text', body: 'text' }, { weights: { title: 10, tags: 5, body: 1 }, name: 'search' });
+
+  // News items have no time or place, also when an event is turned into one
+  newsSchema.pre('validate', function clearEventFields() {
+      if (this.kind === 'event') return;
+      this.startsAt = undefined;
+      this.endsAt = undefined;
+      this.location = undefined;
+  });
+
+  // PROJECT
+  // A funded research project: who works on it (with their role in the project) and
+  // the publications, technologies and tutorials that came out of it
+  const projectMemberSchema = new mongoose.Schema({
+      user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+      role: { type: String }, // e.g. "Principal investigator", "Work package lead"
+  });
+
+  const projectSchema = new mongoose.Schema({
+      title: { type: String, required: true },
+      description: { type: String }, // Markdown, rendered by the frontend
+      funding: [{
+          agency: String,
+          grantNumber: String,
+      }],
+      startDate: { type: Date },
+      endDate: { type: Date },
+      status: { type: String, enum: PROJECT_STATUSES, required: true, default: 'active' },
+      coverImage: { type: String },
+      coverImageVariants: { thumb: String, medium: String, large: String }, // see lib/uploads.js
+      members: [projectMemberSchema],
+      publications: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Publication' }],
+      technologies: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Technology' }],
+      tutorials: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Tutorial' }],
+      createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  }, { timestamps: true });
+  projectSchema.index({ 'members.user': 1 });
+  projectSchema.index({ publications: 1 });
+  projectSchema.index({ title: 'text', description: 'text' }, { weights: { title: 10, description: 1 }, name: 'search' });
+
+  // Site search (routes/search.js)
+  [technologySchema, tutorialSchema, notesSchema].forEach((schema) => {
+    schema.index({ name: 'text', description: 'text' }, { weights: { name: 10, description: 1 }, name: 'search' });
+  });
+
+  // Content that can be trashed and restored (DELETE sets deletedAt, see lib/softDelete.js)
+  [publicationSchema, addressSchema, roleSchema, aboutSchema, technologySchema, tutorialSchema, notesSchema, newsSchema, projectSchema]
+    .forEach((schema) => schema.plugin(softDelete));
+
+  // AUDIT LOG
+  // Written by lib/audit.js hooks for every change made through a POST/PUT/PATCH/DELETE request
+  const auditLogSchema = new mongoose.Schema({
+      actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
+      actorName: String,
+      action: { type: String, required: true }, // create | update | trash | restore | delete | bulk-update | bulk-delete
+      resourceType: { type: String, required: true },
+      resourceId: { type: mongoose.Schema.Types.ObjectId },
+      changes: { type: mongoose.Schema.Types.Mixed }, // { field: { from, to } }, sensitive values redacted
+      query: { type: mongoose.Schema.Types.Mixed }, // bulk operations only
+      update: { type: mongoose.Schema.Types.Mixed },
+      affected: Number,
+      requestId: String,
+      method: String,
+      path: String,
+      ip: String,
+  }, { timestamps: { createdAt: true, updatedAt: false } });
+  auditLogSchema.index({ resourceType: 1, resourceId: 1, createdAt: -1 });
+  auditLogSchema.index({ createdAt: -1 });
+
+  // Audited models and the resourceType recorded for each. Sessions and mailed tokens
+  // are left out: they change on every login/refresh and hold nothing editorial.
+  const writeAuditEntry = (entry) => AuditLog.create(entry);
+  [
+      [userSchema, 'user'],
+      [publicationSchema, 'publication'],
+      [teamSchema, 'team'],
+      [addressSchema, 'address'],
+      [roleSchema, 'role'],
+      [aboutSchema, 'about'],
+      [technologySchema, 'technology'],
+      [tutorialSchema, 'tutorial'],
+      [notesSchema, 'note'],
+      [newsSchema, 'news'],
+      [projectSchema, 'project'],
+      [inviteSchema, 'invite'],
+  ].forEach(([schema, resourceType]) => schema.plugin(auditPlugin, { resourceType, write: writeAuditEntry }));
+
+  // Register models on this connection
+  const User = db.model('User', userSchema);
+  const Publication = db.model('Publication', publicationSchema);
+  const Team = db.model('Team', teamSchema);
+  const Address = db.model('Address', addressSchema);
+  const Role = db.model('Role', roleSchema);
+  const AboutText = db.model('AboutText', aboutSchema);
+  const Technology = db.model('Technology', technologySchema);
+  const Tutorial = db.model('Tutorial', tutorialSchema);
+  const Notes = db.model('Notes', notesSchema);
+  const Session = db.model('Session', sessionSchema);
+  const AccountToken = db.model('AccountToken', accountTokenSchema);
+  const Invite = db.model('Invite', inviteSchema);
+  const AuditLog = db.model('AuditLog', auditLogSchema);
+  const PublicationRevision = db.model('PublicationRevision', publicationRevisionSchema);
+  const News = db.model('News', newsSchema);
+  const Project = db.model('Project', projectSchema);
+
+  return {
+    User,
+    Publication,
+    Team,
+    Address,
+    Role,
+    AboutText,
+    Technology,
+    Tutorial,
+    Notes,
+    Session,
+    AccountToken,
+    Invite,
+    AuditLog,
+    PublicationRevision,
+    News,
+    Project,
+  };
+};
+
+// One-off migration: accounts that still carry the old `isAdmin: true` flag are moved
+// to the superuser role. Safe to run on every start.
+const migrateAdminsToSuperuser = async ({ User, Role }) => {
+  const legacyAdmins = await User.collection.countDocuments({ isAdmin: { $exists: true } });
+  if (legacyAdmins === 0) return;
+
+  let superRole = await Role.findOne({ roleName: SUPERUSER_ROLE_NAME }).exec();
+  if (!superRole) superRole = await Role.create({ roleName: SUPERUSER_ROLE_NAME, permissions: [SUPERUSER] });
+
+  await User.collection.updateMany({ isAdmin: true }, { $addToSet: { roles: superRole._id } });
+  await User.collection.updateMany({ isAdmin: { $exists: true } }, { $unset: { isAdmin: '' } });
+  console.log(`Migrated legacy admins to the ${SUPERUSER_ROLE_NAME} role`);
+};
+
+// One-off migration: team entries from before membership periods get an open period
+// in the role on their profile, starting when they were added to the team. Alumni
+// entries have no known dates and keep their isAlumni flag. Safe to run on every start.
+const migrateTeamPeriods = async ({ Team, User }) => {
+  const legacyMembers = await Team.collection.find({ periods: { $exists: false }, isAlumni: { $ne: true } }).toArray();
+  if (legacyMembers.length === 0) return;
+
+  const users = await User.collection
+    .find({ _id: { $in: legacyMembers.map((entry) => entry.userId) } }, { projection: { role: 1 } })
+    .toArray();
+  const roleOf = new Map(users.map((user) => [String(user._id), user.role]));
+
+  const updates = legacyMembers
+    .filter((entry) => roleOf.get(String(entry.userId)))
+    .map((entry) => ({
+      updateOne: {
+        filter: { _id: entry._id, periods: { $exists: false } },
+        update: {
+          $set: {
+            periods: [{ _id: new mongoose.Types.ObjectId(), role: roleOf.get(String(entry.userId)), startDate: entry._id.getTimestamp() }],
+          },
+        },
+      },
+    }));
+  if (updates.length) await Team.collection.bulkWrite(updates);
+  console.log(`Added membership periods to ${updates.length} team entries`);
+};
+
+// One-off migration: publications from before ordered author lists stored member ids
+// in `authors` and external names in `additionalAuthors`. Both become one author list,
+// members first, as citations listed them until now. Safe to run on every start.
+const migratePublicationAuthors = async ({ Publication }) => {
+  const legacy = Publication.collection.find({
+    $or: [{ 'authors.0': { $type: 'objectId' } }, { additionalAuthors: { $exists: true } }],
+  });
+
+  let migrated = 0;
+  let batch = [];
+  const flush = async () => {
+    if (batch.length) await Publication.collection.bulkWrite(batch);
+    migrated += batch.length;
+    batch = [];
+  };
+
+  for await (const publication of legacy) {
+    const entry = (fields) => ({ _id: new mongoose.Types.ObjectId(), corresponding: false, equalContribution: false, ...fields });
+    const authors = [
+      ...(publication.authors || []).map((author) => (author instanceof mongoose.mongo.ObjectId ? entry({ user: author }) : author)),
+      ...(publication.additionalAuthors || []).filter(Boolean).map((name) => entry({ name })),
+    ];
+    batch.push({
+      updateOne: {
+        filter: { _id: publication._id },
+        update: { $set: { authors }, $unset: { additionalAuthors: '' } },
+      },
+    });
+    if (batch.length === 500) await flush();
+  }
+  await flush();
+  if (migrated) console.log(`Migrated the author lists of ${migrated} publications`);
+};
+
+// One-off migration: emails are stored lower-cased (login and invites compare them that
+// way). Accounts whose address only differs in case from another account's are left as
+// they are and listed for an admin to resolve. Safe to run on every start.
+const migrateUserEmails = async ({ User }) => {
+  const mixedCase = await User.collection.find({ email: /[A-Z]|^\s|\s$/ }, { projection: { email: 1 } }).toArray();
+  if (mixedCase.length === 0) return;
+
+  const updates = [];
+  const conflicts = [];
+  for (const user of mixedCase) {
+    const email = user.email.trim().toLowerCase();
+    if (await User.collection.countDocuments({ email, _id: { $ne: user._id } })) {
+      conflicts.push(user.email);
+    } else {
+      updates.push({ updateOne: { filter: { _id: user._id }, update: { $set: { email } } } });
+    }
+  }
+  if (updates.length) await User.collection.bulkWrite(updates);
+  console.log(`Lower-cased the email of ${updates.length} accounts`);
+  if (conflicts.length) console.warn(`Accounts sharing an email up to case, left unchanged: ${conflicts.join(', ')}`);
+};
+
+module.exports = {
+  INACTIVE_STATUSES,
+  ACTIVE_USER_FILTER,
+  isActiveUser,
+  PUBLICATION_STATUSES,
+  PUBLISHED_FILTER,
+  isPublished,
+  NEWS_KINDS,
+  publishedNewsFilter,
+  isNewsPublished,
+  PROJECT_STATUSES,
+  createModels,
+  migrateAdminsToSuperuser,
+  migrateTeamPeriods,
+  migratePublicationAuthors,
+  migrateUserEmails,
+};
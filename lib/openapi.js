@@ -0,0 +1,425 @@
+//////////////////////////////
+//  lib/openapi.js
+//  OpenAPI 3.1 document built from the registered routes and their middleware
+//////////////////////////////
+
+const { describeRule, describeFields } = require('./validation');
+const { DEFAULT_CODES } = require('./errors');
+const { USER_VIEWS } = require('./serializers');
+
+// Routes are documented where they are declared:
+//
+//   const doc = describeRoute('Team');
+//   router.get('/team/:userId', doc('Show a member', { response: 'TeamMemberProfile' }), identify, handler)
+//
+// Everything else is read from the middleware of the route: validate() gives the
+// parameters and request body, uploads.single() the multipart file field, and
+// authenticate / identify / requirePermission / checkTeamMembership /
+// requireVerifiedEmail the security requirements and error responses. Each of
+// those middlewares carries an `apiDoc` object for this purpose.
+//
+// Response shorthand (`response`): a component name ('Publication'), a list of one
+// ('Publication[]'), 'text', a scalar type ('string', 'integer', 'boolean', 'date',
+// 'ObjectId'; a trailing '?' makes it nullable), an object whose values are
+// shorthands themselves, or [shorthand] for a list of those.
+// Options: description, status (default 200), response, content (extra OpenAPI
+// content map, for downloads), errors (extra error statuses the handler returns).
+const describeRoute = (tag) => (summary, options = {}) => {
+  const middleware = (req, res, next) => next();
+  middleware.apiDoc = { doc: { tag, summary, ...options } };
+  return middleware;
+};
+
+// ===================
+// ROUTES
+// ===================
+// The mount path of a router, recovered from the regexp Express 4 compiles for app.use(path, router)
+const mountPathOf = (layer) => {
+  if (!layer.regexp || layer.regexp.fast_slash) return '';
+  const match = layer.regexp.source.match(/^\^((?:\\\/[\w-]+)*)\\\/\?\(\?=\\\/\|\$\)$/);
+  return match ? match[1].replace(/\\\//g, '/') : '';
+};
+
+const toOpenApiPath = (path) => path.replace(/:(\w+)/g, '{$1}');
+
+// Every route registered on `app` (directly or through mounted routers):
+// [{ method: 'get', path: '/api/team/{userId}', expressPath, handlers }]
+const listRoutes = (app) => {
+  const routes = [];
+  const walk = (stack, prefix) => {
+    stack.forEach((layer) => {
+      if (layer.route) {
+        const expressPath = prefix + layer.route.path;
+        Object.keys(layer.route.methods).filter((method) => method !== '_all').forEach((method) => {
+          routes.push({
+            method,
+            path: toOpenApiPath(expressPath),
+            expressPath,
+            handlers: layer.route.stack.map((routeLayer) => routeLayer.handle),
+          });
+        });
+      } else if (layer.handle && layer.handle.stack) {
+        walk(layer.handle.stack, prefix + mountPathOf(layer));
+      }
+    });
+  };
+  walk(app._router ? app._router.stack : [], '');
+  return routes;
+};
+
+// ===================
+// SCHEMAS
+// ===================
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+const SCALARS = {
+  string: { type: 'string' },
+  integer: { type: 'integer' },
+  number: { type: 'number' },
+  boolean: { type: 'boolean' },
+  date: { type: 'string', format: 'date-time' },
+  ObjectId: ref('ObjectId'),
+  object: { type: 'object' },
+};
+
+// Expand the response shorthand described above
+const expandShorthand = (shorthand) => {
+  if (Array.isArray(shorthand)) return { type: 'array', items: expandShorthand(shorthand[0]) };
+  if (typeof shorthand !== 'string') {
+    const properties = {};
+    Object.entries(shorthand).forEach(([key, value]) => {
+      properties[key] = expandShorthand(value);
+    });
+    return { type: 'object', properties };
+  }
+  if (shorthand.endsWith('[]')) return { type: 'array', items: expandShorthand(shorthand.slice(0, -2)) };
+  if (shorthand.endsWith('?')) return { anyOf: [expandShorthand(shorthand.slice(0, -1)), { type: 'null' }] };
+  return SCALARS[shorthand] || ref(shorthand);
+};
+
+// JSON Schema of a Mongoose schema path
+const describeSchemaType = (type) => {
+  switch (type.instance) {
+    case 'String':
+      return type.enumValues && type.enumValues.length ? { type: 'string', enum: type.enumValues } : { type: 'string' };
+    case 'Number':
+      return { type: 'number' };
+    case 'Boolean':
+      return { type: 'boolean' };
+    case 'Date':
+      return { type: 'string', format: 'date-time' };
+    case 'ObjectId':
+      return ref('ObjectId');
+    case 'Array':
+      if (type.schema) return { type: 'array', items: describeMongooseSchema(type.schema) };
+      return { type: 'array', items: describeSchemaType(type.embeddedSchemaType || type.caster) };
+    case 'Embedded':
+      return describeMongooseSchema(type.schema);
+    default:
+      return {};
+  }
+};
+
+// JSON Schema of a Mongoose schema. `only` limits it to some top-level fields,
+// `omit` removes some (secrets never leave the API).
+const describeMongooseSchema = (schema, { only, omit = [] } = {}) => {
+  const result = { type: 'object', properties: {} };
+  const required = [];
+  schema.eachPath((path, type) => {
+    const [top] = path.split('.');
+    if (path === '__v' || omit.includes(top) || (only && !only.includes(top))) return;
+
+    // Nested paths ("imageVariants.thumb") become nested objects
+    const parts = path.split('.');
+    let target = result;
+    parts.slice(0, -1).forEach((part) => {
+      target.properties[part] = target.properties[part] || { type: 'object', properties: {} };
+      target = target.properties[part];
+    });
+    target.properties[parts[parts.length - 1]] = describeSchemaType(type);
+    if (type.isRequired && parts.length === 1) required.push(path);
+  });
+  if (required.length) result.required = required;
+  return result;
+};
+
+const ERROR_SCHEMA = {
+  type: 'object',
+  required: ['error'],
+  properties: {
+    error: {
+      type: 'object',
+      required: ['code', 'message'],
+      properties: {
+        code: { type: 'string', examples: ['validation_failed'] },
+        message: { type: 'string' },
+        details: {
+          description: 'For validation errors a list of { path, message }; other errors may add an object',
+          oneOf: [
+            { type: 'array', items: { type: 'object', properties: { path: { type: 'string' }, message: { type: 'string' } } } },
+            { type: 'object' },
+          ],
+        },
+      },
+    },
+  },
+};
+
+// Component schemas. Stored documents come straight from the Mongoose models so the
+// two cannot drift apart; `models` is the object returned by createModels().
+const buildComponentSchemas = (models) => {
+  const fromModel = (name, options) => describeMongooseSchema(models[name].schema, options);
+
+  const user = fromModel('User', { only: USER_VIEWS.admin });
+  user.description = 'Which fields are present depends on the viewer: the public see a profile '
+    + '(email only with showEmail), members their own account, and users:manage holders everything.';
+  delete user.required;
+
+  const teamMember = fromModel('Team');
+
+  const publication = fromModel('Publication');
+  publication.properties.authors.description = 'In publication order. Member entries have `user`, populated with '
+    + '{ _id, name, role, image, imageVariants } in listings; external authors have `name`.';
+  publication.properties.projects = {
+    type: 'array',
+    description: 'The projects this publication belongs to (listing and detail responses)',
+    items: { type: 'object', properties: { _id: ref('ObjectId'), title: { type: 'string' }, status: { type: 'string' } } },
+  };
+
+  const project = fromModel('Project');
+  project.description = 'In public responses members are populated with their public profile (hidden accounts are left out); '
+    + 'a single project also populates its published publications, technologies and tutorials.';
+
+  const news = fromModel('News');
+  news.description = 'A news item or an event. In public responses `people` and `publications` are populated '
+    + 'with the active members and published publications they link to.';
+
+  return {
+    ObjectId: { type: 'string', pattern: '^[a-f\\d]{24}$', description: 'A MongoDB ObjectId' },
+    Error: ERROR_SCHEMA,
+    Message: { type: 'object', properties: { message: { type: 'string' } } },
+    TrashedResponse: {
+      type: 'object',
+      description: 'The item can be restored from the admin trash',
+      properties: { message: { type: 'string' }, id: ref('ObjectId') },
+    },
+    TokenResponse: {
+      type: 'object',
+      properties: {
+        token: { type: 'string', description: 'Short-lived access token; send as "Authorization: Bearer <token>"' },
+        tokenType: { type: 'string', const: 'Bearer' },
+        expiresIn: { type: 'integer', description: 'Seconds until the access token expires' },
+        refreshToken: { type: 'string', description: 'Single-use; exchange at POST /api/users/refresh' },
+      },
+    },
+    User: user,
+    Publication: publication,
+    TeamMember: teamMember,
+    Membership: {
+      type: 'object',
+      description: 'A member\'s timeline; they are an alumnus once every period is closed',
+      properties: {
+        isAlumni: { type: 'boolean' },
+        periods: teamMember.properties.periods,
+        afterLeaving: teamMember.properties.afterLeaving,
+      },
+    },
+    RosterMember: {
+      description: 'A public profile on the team roster',
+      allOf: [ref('User'), {
+        type: 'object',
+        properties: {
+          publicationCount: { type: 'integer' },
+          displayOrder: { type: ['integer', 'null'] },
+          periods: teamMember.properties.periods,
+          afterLeaving: teamMember.properties.afterLeaving,
+        },
+      }],
+    },
+    Address: fromModel('Address'),
+    Role: fromModel('Role'),
+    AboutText: fromModel('AboutText'),
+    Technology: fromModel('Technology'),
+    Tutorial: fromModel('Tutorial'),
+    Note: fromModel('Notes'),
+    News: news,
+    Project: project,
+    Invite: fromModel('Invite', { omit: ['codeHash'] }),
+    AuditEntry: fromModel('AuditLog'),
+  };
+};
+
+// ===================
+// OPERATIONS
+// ===================
+const ERROR_RESPONSES = {
+  400: 'The request is malformed (invalid JSON, an id that is not an ObjectId, an invalid token, ...)',
+  401: 'Missing, expired or revoked access token',
+  403: 'The signed-in user is not allowed to do this',
+  404: 'The resource does not exist',
+  409: 'The request conflicts with the current state (duplicate, last admin, ...)',
+  413: 'The uploaded file is too large',
+  415: 'The uploaded file type is not accepted',
+  422: 'The request failed validation; details lists each { path, message }',
+  502: 'An upstream service (DOI metadata) failed',
+  500: 'Unexpected server error',
+};
+
+const responseName = (status) => DEFAULT_CODES[status].split('_').map((word) => word[0].toUpperCase() + word.slice(1)).join('');
+
+// Path parameters every router checks up front (see routes/helpers.js)
+const OBJECT_ID_PARAMS = ['id', 'userId'];
+
+// Multipart description of a body field: JSON-encoded arrays/objects are sent as strings
+const describeMultipartField = (rule) => {
+  const schema = describeRule(rule);
+  if (!rule.json) return schema;
+  return {
+    type: 'string',
+    contentMediaType: 'application/json',
+    contentSchema: schema,
+    description: 'JSON-encoded (a single value may also be sent as a plain field)',
+  };
+};
+
+const buildOperation = (route) => {
+  const notes = {};
+  route.handlers.forEach((handler) => {
+    if (!handler.apiDoc) return;
+    Object.entries(handler.apiDoc).forEach(([key, value]) => {
+      if (key === 'permission') notes.permissions = [...(notes.permissions || []), value];
+      else notes[key] = value;
+    });
+  });
+  const { doc } = notes;
+  if (!doc) return null;
+
+  const errors = new Set([500, ...(doc.errors || [])]);
+  const descriptions = doc.description ? [doc.description] : [];
+  const operation = { tags: [doc.tag], summary: doc.summary };
+
+  // Security
+  if (notes.auth === 'required') {
+    operation.security = [{ bearerAuth: [] }];
+    errors.add(400).add(401).add(403);
+  } else if (notes.auth === 'optional') {
+    operation.security = [{}, { bearerAuth: [] }];
+    descriptions.push('Anonymous requests are allowed; signed-in users may see more.');
+  } else {
+    operation.security = [];
+  }
+  const requirements = [];
+  (notes.permissions || []).forEach((permission) => requirements.push(`the \`${permission}\` permission`));
+  if (notes.teamMember) requirements.push('team membership');
+  if (notes.verifiedEmail) requirements.push('a verified email address');
+  if (requirements.length) {
+    descriptions.push(`Requires ${requirements.join(', ')}.`);
+    errors.add(403);
+  }
+  if (notes.permissions) operation['x-permissions'] = notes.permissions;
+
+  // Parameters
+  const { schemas = {}, partial = false } = notes.validate || {};
+  const parameters = [];
+  (route.expressPath.match(/:(\w+)/g) || []).map((param) => param.slice(1)).forEach((name) => {
+    const rule = schemas.params && schemas.params[name];
+    let schema = rule ? describeRule(rule) : { type: 'string' };
+    if (OBJECT_ID_PARAMS.includes(name)) {
+      schema = ref('ObjectId');
+      errors.add(400).add(404);
+    }
+    parameters.push({ name, in: 'path', required: true, schema });
+  });
+  Object.entries(schemas.query || {}).forEach(([name, rule]) => {
+    parameters.push({ name, in: 'query', required: Boolean(rule.required), schema: describeRule(rule) });
+  });
+  if (parameters.length) operation.parameters = parameters;
+
+  // Request body
+  const upload = notes.upload;
+  if (schemas.body || upload) {
+    const content = {};
+    if (schemas.body) {
+      content['application/json'] = { schema: describeFields(schemas.body, { partial }) };
+      errors.add(400);
+    }
+    if (upload) {
+      const form = { type: 'object', properties: {} };
+      Object.entries(schemas.body || {}).forEach(([name, rule]) => {
+        form.properties[name] = describeMultipartField(rule);
+      });
+      const limits = [`at most ${upload.maxBytes / (1024 * 1024)} MB`];
+      if (upload.extensions) limits.push(`extension ${upload.extensions.join(', ')}`);
+      form.properties[upload.field] = { type: 'string', format: 'binary', description: `Optional file, ${limits.join(', ')}` };
+      const required = describeFields(schemas.body || {}, { partial }).required;
+      if (required) form.required = required;
+      content['multipart/form-data'] = {
+        schema: form,
+        encoding: { [upload.field]: { contentType: upload.types.join(', ') } },
+      };
+      errors.add(413).add(415);
+    }
+    operation.requestBody = { required: !partial && Boolean(schemas.body), content };
+  }
+  if (notes.validate) errors.add(422);
+
+  if (descriptions.length) operation.description = descriptions.join('\n\n');
+
+  // Responses
+  const status = doc.status || 200;
+  const success = { description: doc.summary };
+  if (doc.response === 'text') {
+    success.content = { 'text/plain': { schema: { type: 'string' } } };
+  } else if (doc.response) {
+    success.content = { 'application/json': { schema: expandShorthand(doc.response) } };
+  }
+  if (doc.content) success.content = { ...success.content, ...doc.content };
+  operation.responses = { [status]: success };
+  [...errors].sort().forEach((code) => {
+    operation.responses[code] = { $ref: `#/components/responses/${responseName(code)}` };
+  });
+  return operation;
+};
+
+// Build the whole document. Routes without a describeRoute() doc are left out;
+// findUndocumentedRoutes() reports them.
+const buildOpenApiDocument = ({ app, models, info = {} }) => {
+  const paths = {};
+  listRoutes(app).forEach((route) => {
+    const operation = buildOperation(route);
+    if (!operation) return;
+    paths[route.path] = paths[route.path] || {};
+    paths[route.path][route.method] = operation;
+  });
+
+  const responses = {};
+  Object.entries(ERROR_RESPONSES).forEach(([code, description]) => {
+    responses[responseName(code)] = { description, content: { 'application/json': { schema: ref('Error') } } };
+  });
+
+  return {
+    openapi: '3.1.0',
+    info: { title: 'Lab website API', version: '1.0.0', ...info },
+    servers: [{ url: '/' }],
+    paths,
+    components: {
+      schemas: buildComponentSchemas(models),
+      responses,
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+      },
+    },
+  };
+};
+
+// Registered routes missing from `document`, as "GET /api/..." strings
+const findUndocumentedRoutes = (app, document) => listRoutes(app)
+  .filter((route) => !(document.paths[route.path] && document.paths[route.path][route.method]))
+  .map((route) => `${route.method.toUpperCase()} ${route.path}`);
+
+module.exports = {
+  describeRoute,
+  listRoutes,
+  buildOpenApiDocument,
+  findUndocumentedRoutes,
+};
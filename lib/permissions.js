@@ -0,0 +1,35 @@
+//////////////////////////////
+//  lib/permissions.js
+//  Named permissions checked by requirePermission()
+//////////////////////////////
+
+// Grants everything, including permissions added later
+const SUPERUSER = '*';
+
+const PERMISSIONS = {
+  'team:manage': 'Add and remove team members, change alumni status',
+  'users:manage': 'Manage user accounts, invites, registrations and sessions',
+  'roles:manage': 'Create and edit roles and assign permissions to roles and users',
+  'content:edit': 'Edit site content: about text, addresses, technologies, tutorials and notes',
+  'publications:edit-any': 'Edit and view any publication, not only ones you co-authored',
+  'publications:review': 'Review submitted publications: publish or reject them',
+  'news:edit': 'Write, schedule and publish news items and events',
+  'projects:edit': 'Create and edit research projects and what they link to',
+  'audit:view': 'Read the audit log of administrative and content changes',
+};
+
+// Name of the role existing admins are migrated to
+const SUPERUSER_ROLE_NAME = 'Superuser';
+
+const isKnownPermission = (permission) => permission === SUPERUSER || Object.prototype.hasOwnProperty.call(PERMISSIONS, permission);
+
+// `granted` is a Set of permission names
+const hasPermission = (granted, permission) => Boolean(granted) && (granted.has(SUPERUSER) || granted.has(permission));
+
+module.exports = {
+  SUPERUSER,
+  SUPERUSER_ROLE_NAME,
+  PERMISSIONS,
+  isKnownPermission,
+  hasPermission,
+};
@@ -0,0 +1,98 @@
+//////////////////////////////
+//  lib/search.js
+//  Query terms and highlighted snippets for site search
+//////////////////////////////
+
+// MongoDB text search stems words ("crystals" finds "crystal"), so highlighting
+// matches words that start with a roughly stemmed term rather than the exact term.
+const SUFFIXES = /(?:ing|ed|es|s)$/;
+const MIN_STEM_LENGTH = 3;
+
+// Search terms of a query: words of two or more characters, no duplicates; quoted phrases are split too
+const queryTerms = (q) => [...new Set(
+  String(q || '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((term) => term.length > 1)
+)];
+
+const stem = (term) => {
+  const stemmed = term.replace(SUFFIXES, '');
+  return stemmed.length >= MIN_STEM_LENGTH ? stemmed : term;
+};
+
+// Also used by the routers to match user input literally
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// A global regex matching every word that starts with one of the terms
+const termPattern = (terms) => {
+  if (!terms.length) return null;
+  const alternatives = terms.map((term) => escapeRegex(stem(term))).join('|');
+  return new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives})[\\p{L}\\p{N}]*`, 'giu');
+};
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Markdown and HTML down to plain text, good enough for a snippet
+const toPlainText = (text) => String(text || '')
+  .replace(/<[^>]*>/g, ' ')
+  .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+  .replace(/[*_`#>~]+/g, '')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+// Up to `length` characters of the first text with a match (else of the first text),
+// centred on that match. The result is HTML: escaped text with matches in <mark>.
+const buildSnippet = (texts, terms, { length = 160 } = {}) => {
+  const pattern = termPattern(terms);
+  const candidates = texts.map(toPlainText).filter(Boolean);
+  if (!candidates.length) return '';
+
+  let text = candidates[0];
+  let matchAt = -1;
+  if (pattern) {
+    candidates.some((candidate) => {
+      pattern.lastIndex = 0;
+      const match = pattern.exec(candidate);
+      if (!match) return false;
+      text = candidate;
+      matchAt = match.index;
+      return true;
+    });
+  }
+
+  let start = matchAt > length / 3 ? matchAt - Math.floor(length / 3) : 0;
+  if (start > 0) {
+    // Start on a word boundary
+    const space = text.indexOf(' ', start);
+    if (space !== -1 && space < matchAt) start = space + 1;
+  }
+  let excerpt = text.slice(start, start + length);
+  if (start + length < text.length) excerpt = excerpt.replace(/\s+\S*$/, '');
+
+  const parts = [];
+  let last = 0;
+  if (pattern) {
+    pattern.lastIndex = 0;
+    let match = pattern.exec(excerpt);
+    while (match) {
+      parts.push(escapeHtml(excerpt.slice(last, match.index)), `<mark>${escapeHtml(match[0])}</mark>`);
+      last = match.index + match[0].length;
+      match = pattern.exec(excerpt);
+    }
+  }
+  parts.push(escapeHtml(excerpt.slice(last)));
+
+  return `${start > 0 ? '… ' : ''}${parts.join('')}${start + excerpt.length < text.length ? ' …' : ''}`;
+};
+
+module.exports = {
+  queryTerms,
+  buildSnippet,
+  toPlainText,
+  escapeRegex,
+};
@@ -0,0 +1,185 @@
+//////////////////////////////
+//  lib/seo.js
+//  sitemap.xml, schema.org JSON-LD and HTML snapshots for crawlers
+//////////////////////////////
+
+const { toPlainText } = require('./search');
+
+// Pages of the frontend (config.appUrl) that have something to index
+const PAGES = {
+  home: () => '/',
+  team: () => '/team',
+  member: (id) => `/team/${id}`,
+  publications: () => '/publications',
+  publication: (id) => `/publications/${id}`,
+  technologies: () => '/technologies',
+  technology: (id) => `/technologies/${id}`,
+  tutorials: () => '/tutorials',
+  tutorial: (id) => `/tutorials/${id}`,
+};
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+// ===================
+// SITEMAP
+// ===================
+// urls: [{ loc, lastmod?: Date }], see https://www.sitemaps.org/protocol.html
+const sitemapXml = (urls) => [
+  '<?xml version="1.0" encoding="utf-8"?>',
+  '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+  ...urls.map(({ loc, lastmod }) => `<url><loc>${escapeXml(loc)}</loc>${lastmod ? `<lastmod>${lastmod.toISOString()}</lastmod>` : ''}</url>`),
+  '</urlset>',
+].join('\n');
+
+// ===================
+// JSON-LD
+// ===================
+// Builders take plain documents (populated where noted) and `site`:
+//   { name, url: frontend origin, origin: API origin (uploaded images are served there) }
+// and leave out properties without a value.
+
+const compact = (object) => {
+  const result = {};
+  Object.entries(object).forEach(([key, value]) => {
+    if (value === undefined || value === null || value === '' || (Array.isArray(value) && !value.length)) return;
+    result[key] = value;
+  });
+  return result;
+};
+
+const absoluteUrl = (path, origin) => (path ? new URL(path, origin).href : undefined);
+
+const organizationId = (site) => `${site.url}/#organization`;
+const personId = (site, id) => `${site.url}${PAGES.member(id)}#person`;
+
+const postalAddress = (address) => compact({
+  '@type': 'PostalAddress',
+  streetAddress: [address.room, address.department, address.institution].filter(Boolean).join(', '),
+  addressLocality: address.city,
+  addressRegion: address.state,
+  postalCode: address.postalCode,
+  addressCountry: address.country,
+});
+
+// abouts: AboutText documents, addresses: Address documents
+const organizationJsonLd = ({ abouts = [], addresses = [] }, site) => compact({
+  '@context': 'https://schema.org',
+  '@type': 'ResearchOrganization',
+  '@id': organizationId(site),
+  name: site.name,
+  url: site.url,
+  description: abouts.map((about) => toPlainText(about.text)).filter(Boolean).join('\n\n'),
+  address: addresses.length > 1 ? addresses.map(postalAddress) : addresses.map(postalAddress)[0],
+});
+
+// user: a User; role: their role on the roster. Email only when they opted in.
+const personJsonLd = (user, role, site) => compact({
+  '@context': 'https://schema.org',
+  '@type': 'Person',
+  '@id': personId(site, user._id),
+  name: user.name,
+  url: `${site.url}${PAGES.member(user._id)}`,
+  image: absoluteUrl((user.imageVariants && user.imageVariants.medium) || user.image, site.origin),
+  jobTitle: role,
+  description: toPlainText(user.bio),
+  email: user.showEmail ? user.email : undefined,
+  worksFor: { '@id': organizationId(site), '@type': 'ResearchOrganization', name: site.name },
+  alumniOf: (user.education || [])
+    .filter((entry) => entry.institution)
+    .map((entry) => ({ '@type': 'EducationalOrganization', name: entry.institution })),
+  sameAs: (user.links || []).map((link) => link.link).filter(Boolean),
+});
+
+const authorJsonLd = (author, site) => {
+  if (author.user) {
+    return { '@type': 'Person', '@id': personId(site, author.user._id), name: author.user.name, url: `${site.url}${PAGES.member(author.user._id)}` };
+  }
+  return compact({
+    '@type': 'Person',
+    name: author.name,
+    affiliation: author.affiliation ? { '@type': 'Organization', name: author.affiliation } : undefined,
+    sameAs: author.orcid ? `https://orcid.org/${author.orcid}` : undefined,
+  });
+};
+
+// publication: a Publication with authors.user populated (name)
+const publicationJsonLd = (publication, site) => compact({
+  '@context': 'https://schema.org',
+  '@type': 'ScholarlyArticle',
+  '@id': `${site.url}${PAGES.publication(publication._id)}`,
+  url: `${site.url}${PAGES.publication(publication._id)}`,
+  headline: publication.title,
+  name: publication.title,
+  abstract: toPlainText(publication.summary),
+  author: publication.authors.filter((author) => author.user || author.name).map((author) => authorJsonLd(author, site)),
+  datePublished: publication.year ? String(publication.year) : undefined,
+  image: absoluteUrl((publication.coverImageVariants && publication.coverImageVariants.large) || publication.coverImage, site.origin),
+  identifier: publication.doi ? { '@type': 'PropertyValue', propertyID: 'DOI', value: publication.doi } : undefined,
+  sameAs: publication.doi ? `https://doi.org/${publication.doi}` : undefined,
+  sourceOrganization: { '@id': organizationId(site) },
+});
+
+// ===================
+// HTML SNAPSHOTS
+// ===================
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// JSON in a <script> element must not close it
+const scriptJson = (value) => JSON.stringify(value).replace(/</g, '\\u003c');
+
+const DESCRIPTION_LENGTH = 200;
+
+const truncate = (text, length) => (text.length > length ? `${text.slice(0, length - 1).replace(/\s+\S*$/, '')}…` : text);
+
+// A minimal page for crawlers and link previews:
+//   { title, description, url: canonical frontend URL, image?, type: og:type, jsonLd, body: [String] }
+// `description` may be Markdown; `body` lines are plain text, shown as paragraphs under the title.
+const htmlSnapshot = (page, site) => {
+  const description = truncate(toPlainText(page.description), DESCRIPTION_LENGTH);
+  const meta = (attribute, key, value) => (value ? `<meta ${attribute}="${key}" content="${escapeHtml(value)}">` : '');
+  return [
+    '<!doctype html>',
+    '<html lang="en">',
+    '<head>',
+    '<meta charset="utf-8">',
+    `<title>${escapeHtml(page.title === site.name ? site.name : `${page.title} | ${site.name}`)}</title>`,
+    meta('name', 'description', description),
+    `<link rel="canonical" href="${escapeHtml(page.url)}">`,
+    meta('property', 'og:site_name', site.name),
+    meta('property', 'og:type', page.type),
+    meta('property', 'og:title', page.title),
+    meta('property', 'og:description', description),
+    meta('property', 'og:url', page.url),
+    meta('property', 'og:image', page.image),
+    meta('name', 'twitter:card', page.image ? 'summary_large_image' : 'summary'),
+    meta('name', 'twitter:title', page.title),
+    meta('name', 'twitter:description', description),
+    meta('name', 'twitter:image', page.image),
+    `<script type="application/ld+json">${scriptJson(page.jsonLd)}</script>`,
+    '</head>',
+    '<body>',
+    `<h1>${escapeHtml(page.title)}</h1>`,
+    ...(page.body || []).filter(Boolean).map((line) => `<p>${escapeHtml(line)}</p>`),
+    `<p><a href="${escapeHtml(page.url)}">${escapeHtml(page.url)}</a></p>`,
+    '</body>',
+    '</html>',
+  ].filter(Boolean).join('\n');
+};
+
+module.exports = {
+  PAGES,
+  sitemapXml,
+  organizationJsonLd,
+  personJsonLd,
+  publicationJsonLd,
+  htmlSnapshot,
+};
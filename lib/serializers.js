@@ -0,0 +1,54 @@
+//////////////////////////////
+//  lib/serializers.js
+//  Shape User documents for API responses
+//////////////////////////////
+
+// Views, from least to most privileged:
+//   public - anyone; email only when the member has opted in with `showEmail`
+//   self   - the member looking at their own account
+//   admin  - an administrator looking at any account
+// `password` is never part of any view.
+
+const PUBLIC_USER_FIELDS = ['_id', 'name', 'role', 'bio', 'image', 'imageVariants', 'address', 'education', 'experience', 'links'];
+const PRIVATE_USER_FIELDS = ['email', 'showEmail', 'emailVerified', 'status', 'roles', 'permissions'];
+const ADMIN_USER_FIELDS = ['rejectionReason', 'disabledAt', 'disabledReason'];
+
+const USER_VIEWS = {
+  public: PUBLIC_USER_FIELDS,
+  self: [...PUBLIC_USER_FIELDS, ...PRIVATE_USER_FIELDS],
+  admin: [...PUBLIC_USER_FIELDS, ...PRIVATE_USER_FIELDS, ...ADMIN_USER_FIELDS],
+};
+
+const serializeUser = (user, view = 'public') => {
+  if (!user) return null;
+  const fields = USER_VIEWS[view];
+  if (!fields) throw new Error(`Unknown user view: ${view}`);
+
+  const source = typeof user.toObject === 'function' ? user.toObject() : user;
+  const result = {};
+  fields.forEach((field) => {
+    if (source[field] !== undefined) result[field] = source[field];
+  });
+
+  if (view === 'public' && source.showEmail) result.email = source.email;
+  return result;
+};
+
+const serializeUsers = (users, view = 'public') => users.map((user) => serializeUser(user, view));
+
+// Pick the view a (possibly anonymous) viewer is entitled to for `user`.
+// `canManageUsers` is whether the viewer holds the users:manage permission.
+const userViewFor = (viewer, user, canManageUsers = false) => {
+  if (!viewer) return 'public';
+  if (canManageUsers) return 'admin';
+  if (user && String(viewer._id) === String(user._id)) return 'self';
+  return 'public';
+};
+
+module.exports = {
+  PUBLIC_USER_FIELDS,
+  USER_VIEWS,
+  serializeUser,
+  serializeUsers,
+  userViewFor,
+};
@@ -0,0 +1,44 @@
+//////////////////////////////
+//  lib/softDelete.js
+//  Mongoose plugin: DELETE marks documents as deleted instead of removing them
+//////////////////////////////
+
+// Adds `deletedAt` / `deletedBy` to a schema and hides deleted documents from
+// find, findOne (and findById), findOneAndUpdate and countDocuments.
+//
+// To see deleted documents as well (trash listing, restore, purge):
+//   Model.find({ deletedAt: { $ne: null } })        // any explicit deletedAt filter wins
+//   Model.findById(id).setOptions({ withDeleted: true })
+//
+// Bulk updateOne/updateMany and aggregate() are not filtered on purpose: data
+// migrations should keep trashed documents consistent too.
+
+const HIDDEN_QUERIES = ['find', 'findOne', 'findOneAndUpdate', 'countDocuments'];
+
+const softDeletePlugin = (schema) => {
+  schema.add({
+    deletedAt: { type: Date, default: null, index: true },
+    deletedBy: { type: schema.constructor.Types.ObjectId, ref: 'User' },
+  });
+
+  function excludeDeleted() {
+    if (this.getOptions().withDeleted) return;
+    if (Object.prototype.hasOwnProperty.call(this.getFilter(), 'deletedAt')) return;
+    this.where({ deletedAt: null });
+  }
+  HIDDEN_QUERIES.forEach((op) => schema.pre(op, excludeDeleted));
+
+  schema.methods.softDelete = function softDelete(userId) {
+    this.deletedAt = new Date();
+    this.deletedBy = userId;
+    return this.save();
+  };
+
+  schema.methods.restore = function restore() {
+    this.deletedAt = null;
+    this.deletedBy = undefined;
+    return this.save();
+  };
+};
+
+module.exports = softDeletePlugin;
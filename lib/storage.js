@@ -0,0 +1,118 @@
+//////////////////////////////
+//  lib/storage.js
+//  Where uploaded files live: Vercel Blob, local disk or memory
+//////////////////////////////
+
+const fs = require('fs');
+const path = require('path');
+
+// Every backend implements:
+//
+//   storage.name                                          -> String
+//   await storage.put(key, buffer, { contentType })       -> { url, key }
+//   await storage.remove(urls)                            -> deletes files this backend owns; unknown URLs are ignored
+//   storage.owns(url)                                     -> Boolean
+
+// ===================
+// VERCEL BLOB
+// ===================
+const createVercelBlobStorage = ({ token } = {}) => {
+  // Loaded lazily so local development does not need Blob credentials
+  const { put, del } = require('@vercel/blob');
+  const owns = (url) => typeof url === 'string' && /^https:\/\/[^/]+\.blob\.vercel-storage\.com\//.test(url);
+
+  return {
+    name: 'vercel-blob',
+    owns,
+    async put(key, buffer, { contentType } = {}) {
+      const { url } = await put(key, buffer, { access: 'public', contentType, token });
+      return { url, key };
+    },
+    async remove(urls) {
+      const mine = [].concat(urls).filter(owns);
+      if (mine.length) await del(mine, { token });
+    },
+  };
+};
+
+// ===================
+// LOCAL DISK (development)
+// ===================
+// Files are written under `dir` and served by express.static at `baseUrl`
+const createLocalDiskStorage = ({ dir, baseUrl }) => {
+  const root = path.resolve(dir);
+  const prefix = baseUrl.replace(/\/$/, '') + '/';
+  const owns = (url) => typeof url === 'string' && url.startsWith(prefix);
+
+  const fileFor = (url) => {
+    const file = path.resolve(root, decodeURIComponent(url.slice(prefix.length)));
+    // Never touch anything outside the storage directory
+    return file.startsWith(root + path.sep) ? file : null;
+  };
+
+  return {
+    name: 'local',
+    root,
+    owns,
+    async put(key, buffer) {
+      const file = path.join(root, key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file, buffer);
+      return { url: prefix + key.split('/').map(encodeURIComponent).join('/'), key };
+    },
+    async remove(urls) {
+      await Promise.all([].concat(urls).filter(owns).map(async (url) => {
+        const file = fileFor(url);
+        if (file) await fs.promises.rm(file, { force: true });
+      }));
+    },
+  };
+};
+
+// ===================
+// MEMORY (tests)
+// ===================
+const createMemoryStorage = () => {
+  const files = new Map();
+  const prefix = 'memory://';
+  const owns = (url) => typeof url === 'string' && url.startsWith(prefix);
+
+  return {
+    name: 'memory',
+    files,
+    owns,
+    async put(key, buffer, { contentType } = {}) {
+      files.set(key, { buffer, contentType });
+      return { url: prefix + key, key };
+    },
+    async remove(urls) {
+      [].concat(urls).filter(owns).forEach((url) => files.delete(url.slice(prefix.length)));
+    },
+  };
+};
+
+// STORAGE_BACKEND=vercel|local|memory. Defaults to Vercel Blob when a Blob token
+// is configured and to local disk otherwise.
+const createStorageFromEnv = (env = process.env) => {
+  const backend = env.STORAGE_BACKEND || (env.BLOB_READ_WRITE_TOKEN ? 'vercel' : 'local');
+  switch (backend) {
+    case 'vercel':
+      return createVercelBlobStorage({ token: env.BLOB_READ_WRITE_TOKEN });
+    case 'memory':
+      return createMemoryStorage();
+    case 'local':
+      return createLocalDiskStorage({
+        dir: env.LOCAL_STORAGE_DIR || path.join(process.cwd(), 'uploads'),
+        baseUrl: env.LOCAL_STORAGE_BASE_URL || `http://localhost:${env.PORT || 5000}/uploads`,
+      });
+    default:
+      throw new Error(`Unknown STORAGE_BACKEND: ${backend}`);
+  }
+};
+
+module.exports = {
+  createVercelBlobStorage,
+  createLocalDiskStorage,
+  createMemoryStorage,
+  createStorageFromEnv,
+};
@@ -0,0 +1,178 @@
+//////////////////////////////
+//  lib/uploads.js
+//  One upload path for every file field: limits, type checks, image processing
+//////////////////////////////
+
+const { AsyncResource } = require('async_hooks');
+const path = require('path');
+const multer = require('multer');
+const sharp = require('sharp');
+const { HttpError } = require('./errors');
+
+const MB = 1024 * 1024;
+const RASTER_FORMATS = ['jpeg', 'png', 'webp', 'gif'];
+const RASTER_TYPES = RASTER_FORMATS.map((format) => `image/${format}`);
+
+// Per-field rules. `field` is the multipart field name, `prefix` the storage folder.
+// `variants` are resized WebP copies: [width, height] crops to fill, [width] keeps the aspect ratio.
+const UPLOAD_POLICIES = {
+  userImage: {
+    field: 'image', prefix: 'user-images', maxBytes: 5 * MB, types: RASTER_TYPES,
+    variants: { thumb: [64, 64], small: [256, 256], medium: [512, 512] },
+  },
+  coverImage: {
+    field: 'coverImage', prefix: 'cover-images', maxBytes: 10 * MB, types: RASTER_TYPES,
+    variants: { thumb: [320], medium: [960], large: [1600] },
+  },
+  techIcon: { field: 'icon', prefix: 'tech-icons', maxBytes: 1 * MB, types: [...RASTER_TYPES, 'image/svg+xml'] },
+  tutorialIcon: { field: 'newIcon', prefix: 'tutorial-icons', maxBytes: 1 * MB, types: [...RASTER_TYPES, 'image/svg+xml'] },
+  noteIcon: { field: 'newIcon', prefix: 'note-icons', maxBytes: 1 * MB, types: [...RASTER_TYPES, 'image/svg+xml'] },
+  // Parsed in memory by the import route, never stored
+  citationFile: {
+    field: 'file', maxBytes: 2 * MB, extensions: ['.bib', '.ris', '.txt'],
+    types: ['application/x-bibtex', 'application/x-research-info-systems', 'text/plain', 'application/octet-stream'],
+  },
+};
+
+class UploadError extends HttpError {}
+
+const safeName = (name) => path.basename(String(name || 'file')).replace(/[^\w.-]+/g, '-').slice(-100);
+
+// SVGs are served as-is, so refuse anything that could run script
+const checkSvg = (buffer) => {
+  const text = buffer.toString('utf8');
+  if (!/<svg[\s>]/i.test(text)) throw new UploadError(415, 'File is not a valid SVG image');
+  if (/<script|\son\w+\s*=|javascript:/i.test(text)) throw new UploadError(415, 'SVG images may not contain scripts');
+};
+
+// Collect every URL from a mix of strings, arrays and { variant: url } objects
+const collectUrls = (...values) => values.flat(Infinity).flatMap((value) => {
+  if (!value) return [];
+  if (typeof value === 'string') return [value];
+  if (typeof value === 'object') {
+    const plain = typeof value.toObject === 'function' ? value.toObject() : value;
+    return Object.values(plain).filter((url) => typeof url === 'string');
+  }
+  return [];
+});
+
+const createUploadService = ({ storage, now = Date.now }) => {
+  // Express middleware parsing one file for a policy; rejections reach the error handler as UploadErrors
+  const single = (policyName) => {
+    const policy = UPLOAD_POLICIES[policyName];
+    if (!policy) throw new Error(`Unknown upload policy: ${policyName}`);
+
+    const parser = multer({
+      storage: multer.memoryStorage(),
+      limits: { fileSize: policy.maxBytes, files: 1 },
+      fileFilter: (req, file, cb) => {
+        const extension = path.extname(file.originalname || '').toLowerCase();
+        const typeOk = policy.types.includes(file.mimetype);
+        const extensionOk = !policy.extensions || policy.extensions.includes(extension);
+        if (!typeOk || !extensionOk) {
+          return cb(new UploadError(415, `Unsupported file type for ${policy.field}: ${file.mimetype}`));
+        }
+        cb(null, true);
+      },
+    }).single(policy.field);
+
+    // Busboy's stream callbacks lose the async context, so the callback is bound to the
+    // request's: the audit hooks (lib/audit.js) find their store again in the handler
+    const middleware = (req, res, next) => parser(req, res, AsyncResource.bind((err) => {
+      if (!err) return next();
+      if (err instanceof multer.MulterError && err.code === 'LIMIT_FILE_SIZE') {
+        return next(new UploadError(413, `${policy.field} must be at most ${policy.maxBytes / MB} MB`));
+      }
+      if (err instanceof multer.MulterError) return next(new UploadError(400, err.message));
+      next(err);
+    }));
+    // Read by lib/openapi.js to document the multipart field
+    middleware.apiDoc = { upload: policy };
+    return middleware;
+  };
+
+  // Store a parsed file. Raster images are auto-rotated and re-encoded, which drops
+  // EXIF/GPS metadata, and get their resized variants. Resolves to { url, variants }.
+  const save = async (policyName, file) => {
+    const policy = UPLOAD_POLICIES[policyName];
+    if (!policy.prefix) throw new Error(`Upload policy ${policyName} is not stored`);
+
+    const stamp = now();
+    const name = safeName(file.originalname);
+    const base = name.replace(/\.[^.]+$/, '');
+
+    if (file.mimetype === 'image/svg+xml') {
+      checkSvg(file.buffer);
+      const { url } = await storage.put(`${policy.prefix}/${stamp}-${name}`, file.buffer, { contentType: file.mimetype });
+      return { url, variants: undefined };
+    }
+
+    let metadata;
+    try {
+      metadata = await sharp(file.buffer).metadata();
+    } catch (err) {
+      throw new UploadError(415, `${policy.field} is not a readable image`);
+    }
+    if (!RASTER_FORMATS.includes(metadata.format)) {
+      throw new UploadError(415, `Unsupported image format for ${policy.field}: ${metadata.format}`);
+    }
+
+    const animated = metadata.format === 'gif' && metadata.pages > 1;
+    const original = animated
+      ? file.buffer // re-encoding would flatten the animation; GIFs carry no EXIF
+      : await sharp(file.buffer).rotate().toFormat(metadata.format).toBuffer();
+    const { url } = await storage.put(`${policy.prefix}/${stamp}-${name}`, original, { contentType: `image/${metadata.format}` });
+
+    let variants;
+    if (policy.variants) {
+      variants = {};
+      await Promise.all(Object.entries(policy.variants).map(async ([variant, [width, height]]) => {
+        const resized = await sharp(file.buffer)
+          .rotate()
+          .resize(width, height, { fit: height ? 'cover' : 'inside', withoutEnlargement: !height })
+          .webp({ quality: 82 })
+          .toBuffer();
+        const stored = await storage.put(`${policy.prefix}/${stamp}-${base}-${variant}.webp`, resized, { contentType: 'image/webp' });
+        variants[variant] = stored.url;
+      }));
+    }
+    return { url, variants };
+  };
+
+  // Best-effort delete: a missing file must never fail the request that replaced it
+  const remove = async (...values) => {
+    const urls = collectUrls(...values);
+    if (!urls.length) return;
+    try {
+      await storage.remove(urls);
+    } catch (err) {
+      console.error('Error deleting stored files:', err);
+    }
+  };
+
+  // Delete the files of `previous` that `next` no longer references
+  const replace = async (previous, next) => {
+    const keep = new Set(collectUrls(next));
+    await remove(collectUrls(previous).filter((url) => !keep.has(url)));
+  };
+
+  // A client may clear a stored file field (null) or send its current value back, never
+  // name another URL: it could be a file of another record, which `replace` would delete
+  // once this record moves on. `current` is the record's value; throws a 422 HttpError.
+  const checkFileField = (body, field, current) => {
+    const value = body[field];
+    if (value === undefined || value === null || value === current) return;
+    throw new HttpError(422, 'Validation failed', {
+      code: 'validation_failed',
+      details: [{ path: field, message: 'can only be cleared (null); upload a file to change it' }],
+    });
+  };
+
+  return { storage, single, save, remove, replace, checkFileField };
+};
+
+module.exports = {
+  UPLOAD_POLICIES,
+  UploadError,
+  createUploadService,
+};
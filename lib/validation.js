@@ -0,0 +1,300 @@
+//////////////////////////////
+//  lib/validation.js
+//  Declarative request validation: whitelist, coerce and check request fields
+//////////////////////////////
+
+const { HttpError } = require('./errors');
+const { normalizeDoi } = require('./citations');
+
+// A schema maps field names to rules:
+//
+//   {
+//     name: { type: 'string', required: true, maxLength: 200 },
+//     year: { type: 'integer', min: 1900, max: 2100 },
+//     links: { type: 'array', json: true, items: { type: 'object', fields: { label: ..., url: { type: 'url' } } } },
+//   }
+//
+// Types: string, email, url, doi, objectId, integer, number, boolean, date, array, object.
+// Common options: required, nullable, enum, min/max (numbers, dates, array length),
+// minLength/maxLength/pattern (strings), json (accept a JSON-encoded array/object, as
+// multipart forms send), items (array elements), fields (object properties), default.
+//
+// Fields missing from a schema are dropped, so a handler only ever sees fields it
+// declared writable.
+
+const OBJECT_ID = /^[a-f\d]{24}$/i;
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DOI = /^10\.\d{4,9}\/\S+$/;
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+const joinPath = (base, key) => {
+  if (typeof key === 'number') return `${base}[${key}]`;
+  return base ? `${base}.${key}` : key;
+};
+
+class Fail {
+  constructor(message) {
+    this.message = message;
+  }
+}
+
+const checkRange = (value, rule, describe) => {
+  if (rule.min !== undefined && value < rule.min) return new Fail(`must be at least ${describe(rule.min)}`);
+  if (rule.max !== undefined && value > rule.max) return new Fail(`must be at most ${describe(rule.max)}`);
+  return value;
+};
+
+const checkString = (value, rule) => {
+  if (typeof value !== 'string') return new Fail('must be a string');
+  const text = rule.trim === false ? value : value.trim();
+  if (rule.minLength !== undefined && text.length < rule.minLength) return new Fail(`must be at least ${rule.minLength} characters`);
+  if (rule.maxLength !== undefined && text.length > rule.maxLength) return new Fail(`must be at most ${rule.maxLength} characters`);
+  if (rule.pattern && !rule.pattern.test(text)) return new Fail('has an invalid format');
+  return text;
+};
+
+// Per-type checks: return the coerced value or a Fail
+const TYPES = {
+  string: checkString,
+
+  // Lower-cased: accounts and invites are stored and looked up that way
+  email(value, rule) {
+    const text = checkString(value, { maxLength: 254, ...rule });
+    if (text instanceof Fail) return text;
+    return EMAIL.test(text) ? text.toLowerCase() : new Fail('must be a valid email address');
+  },
+
+  url(value, rule) {
+    const text = checkString(value, { maxLength: 2048, ...rule });
+    if (text instanceof Fail) return text;
+    try {
+      const { protocol } = new URL(text);
+      if (protocol === 'http:' || protocol === 'https:') return text;
+    } catch (err) {
+      // fall through
+    }
+    return new Fail('must be an http(s) URL');
+  },
+
+  doi(value, rule) {
+    const text = checkString(value, rule);
+    if (text instanceof Fail) return text;
+    const doi = normalizeDoi(text);
+    return DOI.test(doi) ? doi : new Fail('must be a DOI such as 10.1000/xyz123');
+  },
+
+  objectId(value) {
+    const id = typeof value === 'object' && value && value._id ? String(value._id) : value;
+    return typeof id === 'string' && OBJECT_ID.test(id) ? id : new Fail('must be an ObjectId');
+  },
+
+  number(value, rule) {
+    const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (typeof number !== 'number' || !Number.isFinite(number)) return new Fail('must be a number');
+    return checkRange(number, rule, String);
+  },
+
+  integer(value, rule) {
+    const number = TYPES.number(value, rule);
+    if (number instanceof Fail) return number.message === 'must be a number' ? new Fail('must be an integer') : number;
+    return Number.isInteger(number) ? number : new Fail('must be an integer');
+  },
+
+  boolean(value) {
+    if (typeof value === 'boolean') return value;
+    if (value === 'true' || value === '1') return true;
+    if (value === 'false' || value === '0') return false;
+    return new Fail('must be true or false');
+  },
+
+  date(value, rule) {
+    const date = value instanceof Date ? value : new Date(typeof value === 'string' || typeof value === 'number' ? value : NaN);
+    if (Number.isNaN(date.getTime())) return new Fail('must be a valid date');
+    return checkRange(date, rule, (limit) => new Date(limit).toISOString());
+  },
+
+  array(value, rule, path, errors) {
+    // A lone multipart value for an array field arrives as a plain string
+    const list = Array.isArray(value) ? value : [value];
+    if (rule.min !== undefined && list.length < rule.min) return new Fail(`must have at least ${rule.min} items`);
+    if (rule.max !== undefined && list.length > rule.max) return new Fail(`must have at most ${rule.max} items`);
+    if (!rule.items) return list;
+    return list.map((item, index) => checkField(item, rule.items, joinPath(path, index), errors));
+  },
+
+  object(value, rule, path, errors) {
+    if (!isPlainObject(value)) return new Fail('must be an object');
+    return rule.fields ? checkFields(value, rule.fields, path, errors, rule) : value;
+  },
+};
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+// Check one value against its rule, pushing { path, message } into `errors`
+const checkField = (value, rule, path, errors) => {
+  let input = value;
+  // Only strings that look like JSON are parsed, so a single multipart value for an array still works
+  if (rule.json && typeof input === 'string' && /^\s*[[{]/.test(input)) {
+    try {
+      input = JSON.parse(input);
+    } catch (err) {
+      errors.push({ path, message: 'must be valid JSON' });
+      return undefined;
+    }
+  }
+
+  // An optional string may be sent empty ("leave unchanged" / "no value"); a nullable one is cleared below
+  if (input === '' && rule.type === 'string' && !rule.required && !rule.nullable) return '';
+
+  if (isBlank(input)) {
+    if (input === null && rule.nullable) return null;
+    // An empty multipart field clears a nullable value
+    if (input === '' && rule.nullable) return null;
+    if (rule.required) errors.push({ path, message: 'is required' });
+    return undefined;
+  }
+
+  const check = TYPES[rule.type];
+  if (!check) throw new Error(`Unknown validation type "${rule.type}" at ${path}`);
+  const result = check(input, rule, path, errors);
+  if (result instanceof Fail) {
+    errors.push({ path, message: result.message });
+    return undefined;
+  }
+  if (rule.required && result === '') {
+    errors.push({ path, message: 'is required' });
+    return undefined;
+  }
+  if (rule.enum && !rule.enum.includes(result)) {
+    errors.push({ path, message: `must be one of: ${rule.enum.join(', ')}` });
+    return undefined;
+  }
+  return result;
+};
+
+// Check an object against a field map. Undeclared keys are dropped; with
+// `partial` (PATCH bodies) required fields may be omitted.
+const checkFields = (input, fields, path, errors, { partial = false } = {}) => {
+  const output = {};
+  Object.entries(fields).forEach(([key, rule]) => {
+    const present = Object.prototype.hasOwnProperty.call(input, key) && input[key] !== undefined;
+    if (!present) {
+      if (rule.default !== undefined) output[key] = typeof rule.default === 'function' ? rule.default() : rule.default;
+      else if (rule.required && !partial) errors.push({ path: joinPath(path, key), message: 'is required' });
+      return;
+    }
+    // Present fields are checked in full even when partial, so PATCH cannot blank a required field
+    const value = checkField(input[key], rule, joinPath(path, key), errors);
+    if (value !== undefined) output[key] = value;
+  });
+  return output;
+};
+
+// Validate a plain object outside a middleware chain; returns the whitelisted copy or throws a 422 HttpError
+const validateObject = (input, fields, options = {}) => {
+  const errors = [];
+  const output = checkFields(isPlainObject(input) ? input : {}, fields, options.path || '', errors, options);
+  if (errors.length) {
+    throw new HttpError(422, options.message || 'Validation failed', { code: 'validation_failed', details: errors });
+  }
+  return output;
+};
+
+// Express middleware. `schemas` may declare `body`, `query` and `params`; each part
+// is replaced by its validated, whitelisted copy.
+//
+//   app.patch('/api/role', authenticate, validate({ body: roleSchema }, { partial: true }), handler)
+const validate = (schemas, { partial = false } = {}) => {
+  const middleware = (req, res, next) => {
+    const errors = [];
+    const validated = {};
+    ['params', 'query', 'body'].forEach((part) => {
+      if (!schemas[part]) return;
+      const prefix = part === 'body' ? '' : part;
+      validated[part] = checkFields(req[part] || {}, schemas[part], prefix, errors, { partial: part === 'body' && partial });
+    });
+    if (errors.length) {
+      return next(new HttpError(422, 'Validation failed', { code: 'validation_failed', details: errors }));
+    }
+    Object.entries(validated).forEach(([part, value]) => {
+      req[part] = value;
+    });
+    next();
+  };
+  // Read by lib/openapi.js to document the request
+  middleware.apiDoc = { validate: { schemas, partial } };
+  return middleware;
+};
+
+const isObjectId = (value) => typeof value === 'string' && OBJECT_ID.test(value);
+
+// ===================
+// JSON SCHEMA (used by lib/openapi.js)
+// ===================
+// The JSON Schema a rule accepts once coerced. `json` fields of multipart forms
+// are described separately by the caller.
+const describeRule = (rule) => {
+  let schema;
+  switch (rule.type) {
+    case 'email':
+      schema = { type: 'string', format: 'email', maxLength: rule.maxLength || 254 };
+      break;
+    case 'url':
+      schema = { type: 'string', format: 'uri', maxLength: rule.maxLength || 2048 };
+      break;
+    case 'doi':
+      schema = { type: 'string', pattern: DOI.source, description: 'A DOI; doi.org URLs and "doi:" prefixes are accepted' };
+      break;
+    case 'objectId':
+      schema = { type: 'string', pattern: OBJECT_ID.source };
+      break;
+    case 'date':
+      schema = { type: 'string', format: 'date-time' };
+      break;
+    case 'array':
+      schema = { type: 'array', items: rule.items ? describeRule(rule.items) : {} };
+      if (rule.min !== undefined) schema.minItems = rule.min;
+      if (rule.max !== undefined) schema.maxItems = rule.max;
+      break;
+    case 'object':
+      schema = rule.fields ? describeFields(rule.fields) : { type: 'object' };
+      break;
+    default:
+      schema = { type: rule.type };
+  }
+
+  if (rule.type === 'string') {
+    if (rule.minLength !== undefined) schema.minLength = rule.minLength;
+    if (rule.maxLength !== undefined) schema.maxLength = rule.maxLength;
+    if (rule.pattern) schema.pattern = rule.pattern.source;
+  }
+  if (rule.type === 'number' || rule.type === 'integer') {
+    if (rule.min !== undefined) schema.minimum = rule.min;
+    if (rule.max !== undefined) schema.maximum = rule.max;
+  }
+  if (rule.enum) schema.enum = rule.enum;
+  if (rule.default !== undefined && typeof rule.default !== 'function') schema.default = rule.default;
+  if (rule.nullable) schema.type = [schema.type, 'null'];
+  return schema;
+};
+
+// An object schema for a field map; `partial` drops `required` as PATCH bodies do
+const describeFields = (fields, { partial = false } = {}) => {
+  const schema = { type: 'object', properties: {} };
+  const required = [];
+  Object.entries(fields).forEach(([key, rule]) => {
+    schema.properties[key] = describeRule(rule);
+    if (rule.required && !partial) required.push(key);
+  });
+  if (required.length) schema.required = required;
+  return schema;
+};
+
+module.exports = {
+  validate,
+  validateObject,
+  isObjectId,
+  describeRule,
+  describeFields,
+};
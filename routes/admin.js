@@ -0,0 +1,733 @@
+//////////////////////////////
+//  routes/admin.js
+//  Admin: user management, invites, registrations, permissions, audit log and trash
+//////////////////////////////
+
+const bcrypt = require('bcrypt');
+const crypto = require('crypto');
+const { HttpError } = require('../lib/errors');
+const { validate } = require('../lib/validation');
+const { serializeUser, serializeUsers } = require('../lib/serializers');
+const { ACTIVE_USER_FILTER, isActiveUser } = require('../lib/models');
+const { hashToken } = require('../lib/auth');
+const {
+  SUPERUSER, SUPERUSER_ROLE_NAME, PERMISSIONS, isKnownPermission, hasPermission,
+} = require('../lib/permissions');
+const { describeRoute } = require('../lib/openapi');
+const { createRouter, escapeRegex, userProfileSchema } = require('./helpers');
+
+// Mounted under /api by createApp() (app.js)
+const createAdminRouter = ({ models, auth, accounts, uploads, config }) => {
+  const {
+    User, Publication, Team, Address, Role, AboutText, Technology, Tutorial, Notes, Session, AccountToken, Invite, AuditLog, PublicationRevision, News, Project,
+  } = models;
+  const {
+    revokeAllSessions, authenticate, can, requirePermission, findSuperusers, loadPermissions,
+  } = auth;
+  const { sendPasswordResetEmail, sendInviteEmail, sendRegistrationDecisionEmail } = accounts;
+  const router = createRouter();
+  const doc = describeRoute('Admin');
+
+  // ===================
+  // ADMIN: USER MANAGEMENT
+  // ===================
+  // Profile fields an admin may edit on someone else's account
+  const adminUserUpdateSchema = {
+      ...userProfileSchema,
+      showEmail: { type: 'boolean' },
+  };
+
+  // ?authors= / ?reassignTo= options shared by disable and delete
+  const authorshipOptionsSchema = {
+      authors: { type: 'string', enum: ['keep', 'convert', 'reassign'] },
+      reassignTo: { type: 'objectId' },
+  };
+
+  const getSuperuserRole = async () => {
+      const role = await Role.findOne({ roleName: SUPERUSER_ROLE_NAME }).exec();
+      return role || Role.create({ roleName: SUPERUSER_ROLE_NAME, permissions: [SUPERUSER] });
+  };
+
+  // True when `user` is the only active account left with the superuser permission
+  const isLastSuperuser = async (user) => {
+      const superusers = (await findSuperusers()).filter(isActiveUser);
+      return superusers.length <= 1 && superusers.some((su) => su._id.equals(user._id));
+  };
+
+  // users:manage is not enough for an admin's account: changing its email and asking for
+  // a reset link, or resetting, disabling or deleting it, would take it over or lock it out
+  const checkCanManage = async (req, user) => {
+      if (hasPermission(await loadPermissions(user), SUPERUSER) && !(await can(req, SUPERUSER))) {
+          throw new HttpError(403, 'Only admins can manage admin accounts');
+      }
+  };
+
+  // Detach a user from the publications they co-authored, keeping their place in the author list.
+  //   mode 'convert'  - turn their entry into an external author with their name
+  //   mode 'reassign' - replace them with `reassignTo` (dropped if already an author)
+  const releaseAuthorship = async (user, mode, reassignTo) => {
+      const theirEntry = { arrayFilters: [{ 'author.user': user._id }] };
+      if (mode === 'reassign') {
+          const replaced = await Publication.updateMany(
+              { $and: [{ 'authors.user': user._id }, { 'authors.user': { $ne: reassignTo } }] },
+              { $set: { 'authors.$[author].user': reassignTo } },
+              theirEntry
+          );
+          const dropped = await Publication.updateMany({ 'authors.user': user._id }, { $pull: { authors: { user: user._id } } });
+          return replaced.modifiedCount + dropped.modifiedCount;
+      }
+
+      const converted = await Publication.updateMany(
+          { 'authors.user': user._id },
+          { $set: { 'authors.$[author].name': user.name }, $unset: { 'authors.$[author].user': '' } },
+          theirEntry
+      );
+      return converted.modifiedCount;
+  };
+
+  // Resolve validated authorship options (authorshipOptionsSchema) to { mode, reassignTo }
+  const parseAuthorshipOptions = async (source, user, defaultMode) => {
+      const mode = source.authors || defaultMode;
+      if (mode !== 'reassign') return { mode };
+
+      const invalid = (message) => new HttpError(422, message, { details: [{ path: 'reassignTo', message }] });
+      if (!source.reassignTo) throw invalid('reassignTo is required when authors is reassign');
+      const target = await User.findById(source.reassignTo).exec();
+      if (!target) throw invalid('reassignTo user not found');
+      if (target._id.equals(user._id)) throw invalid('Cannot reassign publications to the same user');
+      return { mode, reassignTo: target._id };
+  };
+
+  // ?q= (name/email), ?status=
+  const adminUserListQuery = {
+      q: { type: 'string', maxLength: 200 },
+      status: { type: 'string', enum: ['active', 'pending', 'rejected', 'disabled'] },
+  };
+
+  router.get('/admin/users', [doc('List users', { response: 'User[]' }), authenticate, requirePermission('users:manage'), validate({ query: adminUserListQuery })], async (req, res, next) => {
+      try {
+          const filter = {};
+          if (req.query.q) {
+              const pattern = new RegExp(escapeRegex(req.query.q), 'i');
+              filter.$or = [{ name: pattern }, { email: pattern }];
+          }
+          if (req.query.status === 'active') Object.assign(filter, ACTIVE_USER_FILTER);
+          else if (req.query.status) filter.status = req.query.status;
+
+          const users = await User.find(filter).sort({ name: 1 }).exec();
+          res.status(200).json(serializeUsers(users, 'admin'));
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  router.get('/admin/users/:id', [doc('Show a user with their team entry and publication count', { response: { user: 'User', teamMember: 'TeamMember?', publicationCount: 'integer' } }), authenticate, requirePermission('users:manage')], async (req, res, next) => {
+      try {
+          const user = await User.findById(req.params.id).exec();
+          if (!user) throw new HttpError(404, 'User not found');
+
+          const [teamMember, publicationCount] = await Promise.all([
+              Team.findOne({ userId: user._id }).exec(),
+              Publication.countDocuments({ 'authors.user': user._id }),
+          ]);
+          res.status(200).json({ user: serializeUser(user, 'admin'), teamMember, publicationCount });
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  // Edit another member's profile (multipart, same JSON-string fields as PATCH /api/users)
+  router.patch('/admin/users/:id', [doc('Update a user', { response: 'User' }), authenticate, requirePermission('users:manage'), uploads.single('userImage'), validate({ body: adminUserUpdateSchema }, { partial: true })], async (req, res, next) => {
+      try {
+          const updates = req.body;
+
+          const previous = await User.findById(req.params.id).exec();
+          if (!previous) throw new HttpError(404, 'User not found');
+          await checkCanManage(req, previous);
+          // The roster and statistics group members by this name, so it must be a Role's
+          if (updates.role !== undefined && !(updates.role && await Role.exists({ roleName: updates.role }))) {
+              throw new HttpError(422, 'Unknown role', { details: [{ path: 'role', message: 'must be the name of an existing role' }] });
+          }
+
+          if (req.file) {
+              const { url, variants } = await uploads.save('userImage', req.file);
+              updates.image = url;
+              updates.imageVariants = variants;
+          }
+
+          const user = await User.findByIdAndUpdate(req.params.id, { $set: updates }, { new: true }).exec();
+          if (!user) throw new HttpError(404, 'User not found');
+          await uploads.replace([previous.image, previous.imageVariants], [user.image, user.imageVariants]);
+          res.status(200).json(serializeUser(user, 'admin'));
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  // Body: { isAdmin: true|false }. Grants or removes the superuser role (and any direct '*' grant).
+  router.post('/admin/users/:id/admin', [doc('Grant or remove superuser rights', { response: { message: 'string', user: 'User' }, errors: [409] }), authenticate, requirePermission(SUPERUSER), validate({ body: { isAdmin: { type: 'boolean', required: true } } })], async (req, res, next) => {
+      try {
+          const user = await User.findById(req.params.id).exec();
+          if (!user) throw new HttpError(404, 'User not found');
+
+          const makeAdmin = req.body.isAdmin;
+          if (makeAdmin) {
+              if (!isActiveUser(user)) throw new HttpError(409, 'Only active accounts can be made admins');
+              const superRole = await getSuperuserRole();
+              user.roles.addToSet(superRole._id);
+          } else {
+              if (await isLastSuperuser(user)) {
+                  throw new HttpError(409, 'Cannot remove admin rights from the last admin');
+              }
+              const superRoleIds = (await Role.find({ permissions: SUPERUSER }, '_id').exec()).map((role) => String(role._id));
+              user.roles = user.roles.filter((id) => !superRoleIds.includes(String(id)));
+              user.permissions = user.permissions.filter((permission) => permission !== SUPERUSER);
+          }
+
+          await user.save();
+          res.status(200).json({ message: makeAdmin ? 'Admin rights granted' : 'Admin rights removed', user: serializeUser(user, 'admin') });
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  // Locks the current password, signs the user out everywhere and emails a reset link
+  router.post('/admin/users/:id/force-password-reset', [doc('Force a password reset', { response: { message: 'string', emailed: 'boolean' }, description: 'Signs the user out everywhere and emails them a reset link.' }), authenticate, requirePermission('users:manage')], async (req, res, next) => {
+      try {
+          const user = await User.findById(req.params.id).exec();
+          if (!user) throw new HttpError(404, 'User not found');
+          await checkCanManage(req, user);
+
+          const salt = await bcrypt.genSalt(10);
+          user.password = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), salt);
+          await user.save();
+          await revokeAllSessions(user._id);
+
+          let emailed = false;
+          try {
+              await sendPasswordResetEmail(user);
+              emailed = true;
+          } catch (mailError) {
+              console.error('Error sending password reset email:', mailError);
+          }
+          res.status(200).json({ message: 'Password reset forced', emailed });
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  // Body: { reason?, team?: 'keep'|'alumni'|'remove' (default keep),
+  //         authors?: 'keep'|'convert'|'reassign' (default keep), reassignTo? }
+  const disableUserSchema = {
+      reason: { type: 'string', maxLength: 1000 },
+      team: { type: 'string', enum: ['keep', 'alumni', 'remove'], default: 'keep' },
+      ...authorshipOptionsSchema,
+  };
+
+  router.post('/admin/users/:id/disable', [doc('Disable a user', { response: { message: 'string', user: 'User', publicationsUpdated: 'integer' }, errors: [409] }), authenticate, requirePermission('users:manage'), validate({ body: disableUserSchema })], async (req, res, next) => {
+      try {
+          const user = await User.findById(req.params.id).exec();
+          if (!user) throw new HttpError(404, 'User not found');
+          await checkCanManage(req, user);
+          if (user._id.equals(req.user._id)) throw new HttpError(409, 'You cannot disable your own account');
+          if (await isLastSuperuser(user)) throw new HttpError(409, 'Cannot disable the last admin');
+
+          const { team } = req.body;
+          const authorship = await parseAuthorshipOptions(req.body, user, 'keep');
+
+          user.status = 'disabled';
+          user.disabledAt = new Date();
+          user.disabledReason = req.body.reason;
+          await user.save();
+          await revokeAllSessions(user._id);
+
+          const teamMember = team === 'alumni' ? await Team.findOne({ userId: user._id }).exec() : null;
+          if (teamMember) {
+              const period = teamMember.currentPeriod();
+              if (period) period.endDate = new Date();
+              else teamMember.isAlumni = true;
+              await teamMember.save();
+          }
+          if (team === 'remove') await Team.deleteOne({ userId: user._id });
+
+          const publicationsUpdated = authorship.mode === 'keep'
+              ? 0
+              : await releaseAuthorship(user, authorship.mode, authorship.reassignTo);
+
+          res.status(200).json({ message: 'User disabled', user: serializeUser(user, 'admin'), publicationsUpdated });
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  router.post('/admin/users/:id/enable', [doc('Enable a disabled user', { response: { message: 'string', user: 'User' } }), authenticate, requirePermission('users:manage')], async (req, res, next) => {
+      try {
+          const user = await User.findById(req.params.id).exec();
+          if (!user || user.status !== 'disabled') throw new HttpError(404, 'Disabled user not found');
+
+          user.status = 'active';
+          user.disabledAt = undefined;
+          user.disabledReason = undefined;
+          await user.save();
+          res.status(200).json({ message: 'User enabled', user: serializeUser(user, 'admin') });
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  // ?authors=convert (default) | reassign & reassignTo=<userId>
+  // Removes the Team entry, sessions and mailed tokens along with the account.
+  const deleteUserQuery = {
+      ...authorshipOptionsSchema,
+      authors: { type: 'string', enum: ['convert', 'reassign'] },
+  };
+
+  router.delete('/admin/users/:id', [doc('Delete a user', { response: { message: 'string', publicationsUpdated: 'integer' }, errors: [409] }), authenticate, requirePermission('users:manage'), validate({ query: deleteUserQuery })], async (req, res, next) => {
+      try {
+          const user = await User.findById(req.params.id).exec();
+          if (!user) throw new HttpError(404, 'User not found');
+          await checkCanManage(req, user);
+          if (user._id.equals(req.user._id)) throw new HttpError(409, 'You cannot delete your own account');
+          if (await isLastSuperuser(user)) throw new HttpError(409, 'Cannot delete the last admin');
+
+          const authorship = await parseAuthorshipOptions(req.query, user, 'convert');
+
+          const publicationsUpdated = await releaseAuthorship(user, authorship.mode, authorship.reassignTo);
+          await Promise.all([
+              Team.deleteOne({ userId: user._id }),
+              Project.updateMany({ 'members.user': user._id }, { $pull: { members: { user: user._id } } }),
+              News.updateMany({ people: user._id }, { $pull: { people: user._id } }),
+              Session.deleteMany({ userId: user._id }),
+              AccountToken.deleteMany({ userId: user._id }),
+          ]);
+          await User.deleteOne({ _id: user._id });
+          await uploads.remove(user.image, user.imageVariants);
+
+          res.status(200).json({ message: 'User deleted', publicationsUpdated });
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  // Revoke every session of a user (e.g. a lost laptop or a leaked token)
+  router.post('/admin/users/:id/revoke-sessions', [doc('Sign a user out everywhere', { response: 'Message' }), authenticate, requirePermission('users:manage')], async (req, res, next) => {
+      try {
+          const user = await User.findById(req.params.id).exec();
+          if (!user) throw new HttpError(404, 'User not found');
+          await checkCanManage(req, user);
+
+          await revokeAllSessions(user._id);
+          res.status(200).json({ message: 'All sessions revoked' });
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  // ===================
+  // INVITES
+  // ===================
+  // Body: { email, roleId, expiresInDays?, sendEmail? (default true) }
+  // The response is the only place the plain invite code appears.
+  const createInviteSchema = {
+      email: { type: 'email', required: true },
+      roleId: { type: 'objectId', required: true },
+      expiresInDays: { type: 'number', min: 0, max: 365 },
+      sendEmail: { type: 'boolean', default: true },
+  };
+
+  router.post('/admin/invites', [doc('Invite someone by email', { status: 201, response: { invite: 'Invite', code: 'string', link: 'string', emailed: 'boolean' }, errors: [404] }), authenticate, requirePermission('users:manage'), validate({ body: createInviteSchema })], async (req, res, next) => {
+      try {
+          const { email, roleId, expiresInDays: days, sendEmail } = req.body;
+
+          const role = await Role.findById(roleId).exec();
+          if (!role) throw new HttpError(404, 'Role not found');
+
+          const code = crypto.randomBytes(16).toString('base64url');
+          const invite = new Invite({
+              email,
+              roleId: role._id,
+              codeHash: hashToken(code),
+              createdBy: req.user._id,
+              expiresAt: days > 0 ? new Date(Date.now() + days * 24 * 60 * 60 * 1000) : undefined,
+          });
+          await invite.save();
+
+          let emailed = false;
+          if (sendEmail) {
+              try {
+                  await sendInviteEmail(invite, code, role);
+                  emailed = true;
+              } catch (mailError) {
+                  console.error('Error sending invite email:', mailError);
+              }
+          }
+
+          const { codeHash, ...inviteData } = invite.toObject();
+          res.status(201).json({ invite: inviteData, code, link: `${config.appUrl}/register?invite=${code}`, emailed });
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  router.get('/admin/invites', [doc('List open invites', { response: 'Invite[]' }), authenticate, requirePermission('users:manage')], async (req, res, next) => {
+      try {
+          const invites = await Invite.find({}, '-codeHash')
+              .sort({ createdAt: -1 })
+              .populate('roleId', 'roleName')
+              .exec();
+          res.status(200).json(invites);
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  router.delete('/admin/invites/:id', [doc('Revoke an invite', { response: { message: 'string', invite: 'Invite' } }), authenticate, requirePermission('users:manage')], async (req, res, next) => {
+      try {
+          const invite = await Invite.findOneAndUpdate(
+              { _id: req.params.id, usedAt: null, revokedAt: null },
+              { $set: { revokedAt: new Date() } },
+              { new: true, projection: '-codeHash' }
+          ).exec();
+          if (!invite) throw new HttpError(404, 'Open invite not found');
+          res.status(200).json({ message: 'Invite revoked', invite });
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  // ===================
+  // REGISTRATION APPROVAL QUEUE
+  // ===================
+  // ?status=pending (default) | rejected
+  const registrationListQuery = { status: { type: 'string', enum: ['pending', 'rejected'], default: 'pending' } };
+
+  router.get('/admin/registrations', [doc('List registrations', { response: 'User[]' }), authenticate, requirePermission('users:manage'), validate({ query: registrationListQuery })], async (req, res, next) => {
+      try {
+          const { status } = req.query;
+          const users = await User.find({ status }).sort({ _id: 1 }).exec();
+          res.status(200).json(serializeUsers(users, 'admin'));
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  // Body: { roleId?, addToTeam? }. roleId overrides the role picked at registration;
+  // addToTeam also creates the Team entry in the same step.
+  const approveRegistrationSchema = {
+      roleId: { type: 'objectId' },
+      addToTeam: { type: 'boolean', default: false },
+  };
+
+  router.post('/admin/registrations/:id/approve', [doc('Approve a registration', { response: { message: 'string', user: 'User', teamMember: 'TeamMember?' }, description: 'Adding the user to the team also requires team:manage.' }), authenticate, requirePermission('users:manage'), validate({ body: approveRegistrationSchema })], async (req, res, next) => {
+      try {
+          const user = await User.findById(req.params.id).exec();
+          if (!user || !['pending', 'rejected'].includes(user.status)) {
+              throw new HttpError(404, 'Pending registration not found');
+          }
+
+          const { roleId, addToTeam: wantsTeam } = req.body;
+          if (wantsTeam && !(await can(req, 'team:manage'))) throw new HttpError(403, 'Access denied');
+
+          if (roleId) {
+              const role = await Role.findById(roleId).exec();
+              if (!role) throw new HttpError(404, 'Role not found');
+              user.role = role.roleName;
+              user.roles.addToSet(role._id);
+          }
+
+          user.status = 'active';
+          user.rejectionReason = undefined;
+          await user.save();
+
+          let teamMember = null;
+          if (wantsTeam) {
+              teamMember = await Team.findOne({ userId: user._id }).exec();
+              if (!teamMember) {
+                  teamMember = new Team({ userId: user._id, addedBy: req.user._id, periods: [{ role: user.role, startDate: new Date() }] });
+                  await teamMember.save();
+              }
+          }
+
+          try {
+              await sendRegistrationDecisionEmail(user, true);
+          } catch (mailError) {
+              console.error('Error sending approval email:', mailError);
+          }
+
+          res.status(200).json({ message: 'Registration approved', user: serializeUser(user, 'admin'), teamMember });
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  // Body: { reason? }
+  router.post('/admin/registrations/:id/reject', [doc('Reject a registration', { response: { message: 'string', user: 'User' } }), authenticate, requirePermission('users:manage'), validate({ body: { reason: { type: 'string', maxLength: 1000 } } })], async (req, res, next) => {
+      try {
+          const user = await User.findById(req.params.id).exec();
+          if (!user || user.status !== 'pending') {
+              throw new HttpError(404, 'Pending registration not found');
+          }
+
+          user.status = 'rejected';
+          user.rejectionReason = req.body.reason;
+          await user.save();
+
+          try {
+              await sendRegistrationDecisionEmail(user, false);
+          } catch (mailError) {
+              console.error('Error sending rejection email:', mailError);
+          }
+
+          res.status(200).json({ message: 'Registration rejected', user: serializeUser(user, 'admin') });
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  // ===================
+  // PERMISSIONS
+  // ===================
+  const permissionListRule = { type: 'array', max: 100, items: { type: 'string', maxLength: 100 } };
+
+  // Check a requested permission list; only superusers may hand out (or take away) the superuser grant.
+  // Throws an HttpError (422 unknown names, 403 superuser change) when the change is not allowed.
+  const checkPermissionChange = async (req, current, requested) => {
+      const unknown = requested.filter((permission) => !isKnownPermission(permission));
+      if (unknown.length) {
+          throw new HttpError(422, `Unknown permissions: ${unknown.join(', ')}`, {
+              details: unknown.map((permission) => ({ path: `permissions[${requested.indexOf(permission)}]`, message: 'is not a known permission' })),
+          });
+      }
+
+      const touchesSuperuser = current.includes(SUPERUSER) !== requested.includes(SUPERUSER);
+      if (touchesSuperuser && !(await can(req, SUPERUSER))) {
+          throw new HttpError(403, 'Only superusers can change the superuser permission');
+      }
+  };
+
+  router.get('/admin/permissions', [doc('List the known permissions', { response: { superuser: 'string', permissions: 'object' } }), authenticate, requirePermission('roles:manage')], async (req, res, next) => {
+    try {
+      return res.json({ superuser: SUPERUSER, permissions: PERMISSIONS });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Body: { permissions: ['content:edit', ...] } - replaces the role's permissions
+  router.put('/admin/roles/:id/permissions', [doc('Set the permissions of a role', { response: 'Role', errors: [409] }), authenticate, requirePermission('roles:manage'), validate({ body: { permissions: { ...permissionListRule, required: true } } })], async (req, res, next) => {
+    try {
+      const role = await Role.findById(req.params.id).exec();
+      if (!role) throw new HttpError(404, 'Role not found');
+
+      const { permissions } = req.body;
+      await checkPermissionChange(req, role.permissions || [], permissions);
+
+      // Taking '*' away from a role must leave at least one admin who gets it some other way
+      if ((role.permissions || []).includes(SUPERUSER) && !permissions.includes(SUPERUSER)) {
+        const otherSuperRoleIds = (await Role.find({ permissions: SUPERUSER, _id: { $ne: role._id } }, '_id').exec())
+          .map((other) => String(other._id));
+        const remaining = (await findSuperusers()).filter(isActiveUser).filter((user) => user.permissions.includes(SUPERUSER)
+          || user.roles.some((id) => otherSuperRoleIds.includes(String(id))));
+        if (remaining.length === 0) throw new HttpError(409, 'Cannot remove admin rights from the last admin');
+      }
+
+      role.permissions = [...new Set(permissions)];
+      await role.save();
+      return res.json(role);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Body: { permissions?: [...], roleIds?: [...] } - replaces the user's direct grants and/or roles
+  const userPermissionsSchema = {
+    permissions: permissionListRule,
+    roleIds: { type: 'array', max: 100, items: { type: 'objectId' } },
+  };
+
+  router.put('/admin/users/:id/permissions', [doc('Set the roles and direct permissions of a user', { response: 'User', errors: [409] }), authenticate, requirePermission('roles:manage'), validate({ body: userPermissionsSchema })], async (req, res, next) => {
+    try {
+      const user = await User.findById(req.params.id).exec();
+      if (!user) throw new HttpError(404, 'User not found');
+
+      const { permissions, roleIds } = req.body;
+      if (permissions !== undefined) {
+        await checkPermissionChange(req, user.permissions || [], permissions);
+        user.permissions = [...new Set(permissions)];
+      }
+
+      if (roleIds !== undefined) {
+        const roles = await Role.find({ _id: { $in: roleIds } }).exec();
+        if (roles.length !== new Set(roleIds.map(String)).size) throw new HttpError(404, 'Role not found');
+
+        const superRoleIds = (await Role.find({ permissions: SUPERUSER }, '_id').exec()).map((role) => String(role._id));
+        const hadSuper = (user.roles || []).some((id) => superRoleIds.includes(String(id)));
+        const getsSuper = roles.some((role) => superRoleIds.includes(String(role._id)));
+        if (hadSuper !== getsSuper && !(await can(req, SUPERUSER))) {
+          throw new HttpError(403, 'Only superusers can change the superuser permission');
+        }
+        user.roles = roles.map((role) => role._id);
+      }
+
+      const superRoleIds = (await Role.find({ permissions: SUPERUSER }, '_id').exec()).map((role) => String(role._id));
+      const staysSuperuser = user.permissions.includes(SUPERUSER)
+        || user.roles.some((id) => superRoleIds.includes(String(id)));
+      if (!staysSuperuser && await isLastSuperuser(user)) {
+        throw new HttpError(409, 'Cannot remove admin rights from the last admin');
+      }
+
+      await user.save();
+      return res.json(serializeUser(user, 'admin'));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // ===================
+  // AUDIT LOG
+  // ===================
+  // ?actor=<userId> &resourceType= &resourceId= &action= &from=<date> &to=<date> &page= &limit=
+  const auditQuery = {
+    actor: { type: 'objectId' },
+    resourceType: { type: 'string', maxLength: 50 },
+    resourceId: { type: 'objectId' },
+    action: { type: 'string', maxLength: 50 },
+    from: { type: 'date' },
+    to: { type: 'date' },
+    page: { type: 'integer', min: 1, default: 1 },
+    limit: { type: 'integer', min: 1, default: 50 }, // capped at 200
+  };
+
+  router.get('/admin/audit', [doc('Query the audit log', { response: { entries: 'AuditEntry[]', total: 'integer', page: 'integer', limit: 'integer', totalPages: 'integer' } }), authenticate, requirePermission('audit:view'), validate({ query: auditQuery })], async (req, res, next) => {
+    try {
+      const {
+        actor, resourceType, resourceId, action, from, to, page,
+      } = req.query;
+      const filter = {};
+      if (actor) filter.actor = actor;
+      if (resourceId) filter.resourceId = resourceId;
+      if (resourceType) filter.resourceType = resourceType;
+      if (action) filter.action = action;
+
+      if (from || to) {
+        filter.createdAt = {};
+        if (from) filter.createdAt.$gte = from;
+        if (to) filter.createdAt.$lte = to;
+      }
+
+      const limit = Math.min(req.query.limit, 200);
+
+      const [entries, total] = await Promise.all([
+        AuditLog.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit).exec(),
+        AuditLog.countDocuments(filter),
+      ]);
+      return res.json({ entries, total, page, limit, totalPages: Math.ceil(total / limit) });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // ===================
+  // TRASH (restore / purge)
+  // ===================
+  // Every soft-deletable type: its model, the permission needed to manage its trash,
+  // and the fields holding uploaded file URLs that are deleted on purge.
+  const TRASH_TYPES = {
+    publication: { model: Publication, permission: 'publications:edit-any', files: ['coverImage', 'coverImageVariants'], label: 'title' },
+    technology: { model: Technology, permission: 'content:edit', files: ['icon'], label: 'name' },
+    tutorial: { model: Tutorial, permission: 'content:edit', files: ['newIcon'], label: 'name' },
+    note: { model: Notes, permission: 'content:edit', files: ['newIcon'], label: 'name' },
+    address: { model: Address, permission: 'content:edit', files: [], label: 'department' },
+    role: { model: Role, permission: 'roles:manage', files: [], label: 'roleName' },
+    about: { model: AboutText, permission: 'content:edit', files: [], label: 'text' },
+    news: { model: News, permission: 'news:edit', files: ['coverImage', 'coverImageVariants'], label: 'title' },
+    project: { model: Project, permission: 'projects:edit', files: ['coverImage', 'coverImageVariants'], label: 'title' },
+  };
+
+  // Resolve :type and check the caller may manage it; throws 404/403
+  const trashTypeFor = async (req) => {
+    const trashType = TRASH_TYPES[req.params.type];
+    if (!trashType) throw new HttpError(404, 'Unknown type. Use one of: ' + Object.keys(TRASH_TYPES).join(', '));
+    if (!(await can(req, trashType.permission))) throw new HttpError(403, 'Access denied');
+    return trashType;
+  };
+
+  const findTrashed = (trashType, id) => trashType.model.findOne({ _id: id, deletedAt: { $ne: null } }).exec();
+
+  // ?type=publication|technology|... (default: every type the caller may manage)
+  router.get('/admin/trash', [doc('List trashed items', { response: { total: 'integer', items: [{ type: 'string', id: 'ObjectId', label: 'string', deletedAt: 'date', deletedBy: 'ObjectId', document: 'object' }] }, description: 'Only lists the types the signed-in user has the permission to manage.' }), authenticate, validate({ query: { type: { type: 'string', enum: Object.keys(TRASH_TYPES) } } })], async (req, res, next) => {
+    try {
+      const types = req.query.type ? [req.query.type] : Object.keys(TRASH_TYPES);
+
+      const allowed = [];
+      for (const type of types) {
+        if (await can(req, TRASH_TYPES[type].permission)) allowed.push(type);
+      }
+      if (!allowed.length) throw new HttpError(403, 'Access denied');
+
+      const lists = await Promise.all(allowed.map(async (type) => {
+        const docs = await TRASH_TYPES[type].model.find({ deletedAt: { $ne: null } })
+          .populate('deletedBy', 'name')
+          .exec();
+        return docs.map((doc) => ({
+          type,
+          id: doc._id,
+          label: String(doc[TRASH_TYPES[type].label] || '').slice(0, 120),
+          deletedAt: doc.deletedAt,
+          deletedBy: doc.deletedBy,
+          document: doc,
+        }));
+      }));
+
+      const items = lists.flat().sort((a, b) => b.deletedAt - a.deletedAt);
+      return res.json({ total: items.length, items });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.post('/admin/trash/:type/:id/restore', doc('Restore a trashed item', { response: { message: 'string', type: 'string', document: 'object' }, errors: [403, 404], description: 'Requires the permission that manages the item type.' }), authenticate, async (req, res, next) => {
+    try {
+      const trashType = await trashTypeFor(req);
+
+      const doc = await findTrashed(trashType, req.params.id);
+      if (!doc) throw new HttpError(404, 'Item not found in trash');
+
+      await doc.restore();
+      return res.json({ message: 'Item restored', type: req.params.type, document: doc });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Permanently delete a trashed item and its uploaded files
+  router.delete('/admin/trash/:type/:id', doc('Permanently delete a trashed item', { response: { message: 'string', type: 'string', id: 'ObjectId' }, errors: [403, 404], description: 'Requires the permission that manages the item type.' }), authenticate, async (req, res, next) => {
+    try {
+      const trashType = await trashTypeFor(req);
+
+      const doc = await findTrashed(trashType, req.params.id);
+      if (!doc) throw new HttpError(404, 'Item not found in trash');
+
+      await uploads.remove(trashType.files.map((field) => doc[field]));
+      if (trashType.model === Role) await User.updateMany({ roles: doc._id }, { $pull: { roles: doc._id } });
+      if (trashType.model === Publication) {
+        await PublicationRevision.deleteMany({ publication: doc._id });
+        await News.updateMany({ publications: doc._id }, { $pull: { publications: doc._id } });
+      }
+      // Projects link publications, technologies and tutorials by id
+      const projectLink = { publication: 'publications', technology: 'technologies', tutorial: 'tutorials' }[req.params.type];
+      if (projectLink) await Project.updateMany({ [projectLink]: doc._id }, { $pull: { [projectLink]: doc._id } });
+      await trashType.model.deleteOne({ _id: doc._id });
+
+      return res.json({ message: 'Item permanently deleted', type: req.params.type, id: doc._id });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+};
+
+module.exports = {
+  createAdminRouter,
+};
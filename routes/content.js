@@ -0,0 +1,440 @@
+//////////////////////////////
+//  routes/content.js
+//  Site content: addresses, roles, about text, technologies, tutorials and notes
+//////////////////////////////
+
+const mongoose = require('mongoose');
+const { HttpError } = require('../lib/errors');
+const { validate } = require('../lib/validation');
+const { SUPERUSER } = require('../lib/permissions');
+const { describeRoute } = require('../lib/openapi');
+const { createRouter, storedFileRule } = require('./helpers');
+
+// Mounted under /api by createApp() (app.js)
+const createContentRouter = ({ models, auth, uploads }) => {
+  const {
+    Address, Role, AboutText, Technology, Tutorial, Notes, User, Team,
+  } = models;
+  const { authenticate, requirePermission } = auth;
+  const router = createRouter();
+  const doc = describeRoute('Content');
+
+  // Move a document to the trash; resolves to null if it does not exist (or is already trashed)
+  const softDeleteById = async (Model, id, userId) => {
+      if (!mongoose.Types.ObjectId.isValid(id)) return null;
+      const doc = await Model.findById(id).exec();
+      if (!doc) return null;
+      await doc.softDelete(userId);
+      return doc;
+  };
+
+  // ===================
+  // ADDRESS
+  // ===================
+  const addressFields = {
+    room: { type: 'string', maxLength: 100 },
+    department: { type: 'string', maxLength: 200 },
+    institution: { type: 'string', maxLength: 200 },
+    city: { type: 'string', maxLength: 100 },
+    state: { type: 'string', maxLength: 100 },
+    postalCode: { type: 'string', maxLength: 20 },
+    country: { type: 'string', maxLength: 100 },
+  };
+
+  router.post('/address', [doc('Add an address', { status: 201, response: 'Address' }), authenticate, requirePermission('content:edit'), validate({ body: addressFields })], async (req, res, next) => {
+    try {
+      const { room, department, institution, city, state, postalCode, country } = req.body;
+      const address = new Address({
+        room,
+        department,
+        institution,
+        city,
+        state,
+        postalCode,
+        country
+      });
+      await address.save();
+      return res.status(201).json(address);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.get('/address', doc('List addresses', { response: 'Address[]' }), async (req, res, next) => {
+    try {
+      const addresses = await Address.find().exec();
+      return res.json(addresses);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.patch('/address/:id', [doc('Update an address', { response: 'Address' }), authenticate, requirePermission('content:edit'), validate({ body: addressFields }, { partial: true })], async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const updates = req.body; 
+      const updated = await Address.findByIdAndUpdate(id, { $set: updates }, { new: true });
+      if (!updated) throw new HttpError(404, 'Address not found');
+      return res.json(updated);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.delete('/address/:id', [doc('Move an address to the trash', { response: 'TrashedResponse' }), authenticate, requirePermission('content:edit')], async (req, res, next) => {
+    try {
+      const deleted = await softDeleteById(Address, req.params.id, req.user._id);
+      if (!deleted) throw new HttpError(404, 'Address not found');
+      return res.json({ message: 'Address moved to trash', id: deleted._id });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // ===================
+  // ROLE
+  // ===================
+  // Permissions are changed through PUT /api/admin/roles/:id/permissions
+  const roleFields = {
+    roleName: { type: 'string', required: true, maxLength: 100 },
+    displayOrder: { type: 'integer', min: 0, nullable: true },
+  };
+
+  router.post('/role', [doc('Add a role', { status: 201, response: 'Role', errors: [409] }), authenticate, requirePermission('roles:manage'), validate({ body: roleFields })], async (req, res, next) => {
+    try {
+      const { roleName, displayOrder } = req.body;
+      const role = new Role({ roleName, displayOrder });
+      await role.save();
+      return res.status(201).json(role);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.get('/role', doc('List roles', { response: 'Role[]' }), async (req, res, next) => {
+    try {
+      const roles = await Role.find().exec();
+      return res.json(roles);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Profiles and membership periods hold the role by name, so a rename is carried over to them
+  router.patch('/role/:id', [doc('Rename a role or change its roster position', { response: 'Role', errors: [409] }), authenticate, requirePermission('roles:manage'), validate({ body: roleFields }, { partial: true })], async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const updates = req.body;
+      const previous = await Role.findById(id).exec();
+      if (!previous) throw new HttpError(404, 'Role not found');
+      const updated = await Role.findByIdAndUpdate(id, { $set: updates }, { new: true });
+      if (!updated) throw new HttpError(404, 'Role not found');
+
+      if (updated.roleName !== previous.roleName) {
+        const from = previous.roleName;
+        const to = updated.roleName;
+        await Promise.all([
+          User.updateMany({ role: from }, { $set: { role: to } }),
+          Team.updateMany({ 'periods.role': from }, { $set: { 'periods.$[period].role': to } }, { arrayFilters: [{ 'period.role': from }] }),
+        ]);
+      }
+      return res.json(updated);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.delete('/role/:id', [doc('Move a role to the trash', { response: 'TrashedResponse', errors: [409] }), authenticate, requirePermission('roles:manage')], async (req, res, next) => {
+    try {
+      const role = await Role.findById(req.params.id).exec();
+      if (role && (role.permissions || []).includes(SUPERUSER)) {
+        throw new HttpError(409, 'Roles that grant superuser rights cannot be deleted');
+      }
+      const deleted = await softDeleteById(Role, req.params.id, req.user._id);
+      if (!deleted) throw new HttpError(404, 'Role not found');
+      return res.json({ message: 'Role moved to trash', id: deleted._id });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // ===================
+  // ABOUT TEXT
+  // ===================
+  const aboutFields = {
+    text: { type: 'string', required: true, maxLength: 100000 },
+  };
+
+  router.post('/about', [doc('Add an about text', { status: 201, response: 'AboutText' }), authenticate, requirePermission('content:edit'), validate({ body: aboutFields })], async (req, res, next) => {
+    try {
+      const { text } = req.body;
+      const resource = new AboutText({ text });
+      await resource.save();
+      return res.status(201).json(resource);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.get('/about', doc('List about texts', { response: 'AboutText[]' }), async (req, res, next) => {
+    try {
+      const allResources = await AboutText.find().exec();
+      return res.json(allResources);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.patch('/about/:id', [doc('Update an about text', { response: 'AboutText' }), authenticate, requirePermission('content:edit'), validate({ body: aboutFields }, { partial: true })], async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const updates = req.body;
+      const updated = await AboutText.findByIdAndUpdate(id, { $set: updates }, { new: true });
+      if (!updated) throw new HttpError(404, 'Resource text not found');
+      return res.json(updated);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.delete('/about/:id', [doc('Move an about text to the trash', { response: 'TrashedResponse' }), authenticate, requirePermission('content:edit')], async (req, res, next) => {
+    try {
+      const deleted = await softDeleteById(AboutText, req.params.id, req.user._id);
+      if (!deleted) throw new HttpError(404, 'Resource text not found');
+      return res.json({ message: 'Resource text moved to trash', id: deleted._id });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // ===================
+  // TECHNOLOGY
+  // ===================
+  // `icon` is normally uploaded as a file; a URL (or empty, to clear it) is accepted on PATCH
+  const technologyFields = {
+    name: { type: 'string', required: true, maxLength: 200 },
+    description: { type: 'string', maxLength: 10000 },
+    downloadLink: { type: 'url' },
+  };
+
+  router.post('/technology', [doc('Add a technology', { status: 201, response: 'Technology' }), authenticate, requirePermission('content:edit'), uploads.single('techIcon'), validate({ body: technologyFields })], async (req, res, next) => {
+    try {
+      const { name, description, downloadLink } = req.body;
+
+      let iconUrl = null;
+      if (req.file) {
+        const { url } = await uploads.save('techIcon', req.file);
+        iconUrl = url;
+      }
+
+      const tech = new Technology({ 
+        name, 
+        icon: iconUrl, 
+        description, 
+        downloadLink 
+      });
+      await tech.save();
+      return res.status(201).json(tech);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.get('/technology', doc('List technologies', { response: 'Technology[]' }), async (req, res, next) => {
+    try {
+      const techs = await Technology.find().exec();
+      return res.json(techs);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Multipart: send a new `icon` file to replace the icon; the old file is deleted
+  router.patch('/technology/:id', [doc('Update a technology', { response: 'Technology' }), authenticate, requirePermission('content:edit'), uploads.single('techIcon'), validate({ body: { ...technologyFields, icon: storedFileRule } }, { partial: true })], async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const updates = req.body;
+      const previous = await Technology.findById(id).exec();
+      if (!previous) throw new HttpError(404, 'Technology not found');
+      uploads.checkFileField(updates, 'icon', previous.icon);
+
+      if (req.file) {
+        const { url } = await uploads.save('techIcon', req.file);
+        updates.icon = url;
+      }
+
+      const updated = await Technology.findByIdAndUpdate(id, { $set: updates }, { new: true });
+      if (!updated) throw new HttpError(404, 'Technology not found');
+      await uploads.replace(previous.icon, updated.icon);
+      return res.json(updated);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.delete('/technology/:id', [doc('Move a technology to the trash', { response: 'TrashedResponse' }), authenticate, requirePermission('content:edit')], async (req, res, next) => {
+    try {
+      const deleted = await softDeleteById(Technology, req.params.id, req.user._id);
+      if (!deleted) throw new HttpError(404, 'Technology not found');
+      return res.json({ message: 'Technology moved to trash', id: deleted._id });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // ===================
+  // TUTORIAL
+  // ===================
+  const tutorialFields = {
+    name: { type: 'string', required: true, maxLength: 200 },
+    description: { type: 'string', maxLength: 10000 },
+    tutorialLink: { type: 'url' },
+  };
+
+  router.post('/tutorial', [doc('Add a tutorial', { status: 201, response: 'Tutorial' }), authenticate, requirePermission('content:edit'), uploads.single('tutorialIcon'), validate({ body: tutorialFields })], async (req, res, next) => {
+    try {
+      const { name, description, tutorialLink } = req.body;
+
+      let newIconUrl = null;
+      if (req.file) {
+        const { url } = await uploads.save('tutorialIcon', req.file);
+        newIconUrl = url;
+      }
+
+      const tut = new Tutorial({ 
+        name, 
+        newIcon: newIconUrl, 
+        description, 
+        tutorialLink 
+      });
+      await tut.save();
+      return res.status(201).json(tut);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.get('/tutorial', doc('List tutorials', { response: 'Tutorial[]' }), async (req, res, next) => {
+    try {
+      const tutorials = await Tutorial.find().exec();
+      return res.json(tutorials);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Multipart: send a new `newIcon` file to replace the icon; the old file is deleted
+  router.patch('/tutorial/:id', [doc('Update a tutorial', { response: 'Tutorial' }), authenticate, requirePermission('content:edit'), uploads.single('tutorialIcon'), validate({ body: { ...tutorialFields, newIcon: storedFileRule } }, { partial: true })], async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const updates = req.body;
+      const previous = await Tutorial.findById(id).exec();
+      if (!previous) throw new HttpError(404, 'Tutorial not found');
+      uploads.checkFileField(updates, 'newIcon', previous.newIcon);
+
+      if (req.file) {
+        const { url } = await uploads.save('tutorialIcon', req.file);
+        updates.newIcon = url;
+      }
+
+      const updated = await Tutorial.findByIdAndUpdate(id, { $set: updates }, { new: true });
+      if (!updated) throw new HttpError(404, 'Tutorial not found');
+      await uploads.replace(previous.newIcon, updated.newIcon);
+      return res.json(updated);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.delete('/tutorial/:id', [doc('Move a tutorial to the trash', { response: 'TrashedResponse' }), authenticate, requirePermission('content:edit')], async (req, res, next) => {
+    try {
+      const deleted = await softDeleteById(Tutorial, req.params.id, req.user._id);
+      if (!deleted) throw new HttpError(404, 'Tutorial not found');
+      return res.json({ message: 'Tutorial moved to trash', id: deleted._id });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // ===================
+  // NOTES
+  // ===================
+  const noteFields = {
+    name: { type: 'string', required: true, maxLength: 200 },
+    description: { type: 'string', maxLength: 10000 },
+    noteLink: { type: 'url' },
+  };
+
+  router.post('/notes', [doc('Add a note', { status: 201, response: 'Note' }), authenticate, requirePermission('content:edit'), uploads.single('noteIcon'), validate({ body: noteFields })], async (req, res, next) => {
+    try {
+      const { name, description, noteLink } = req.body;
+
+      let newIconUrl = null;
+      if (req.file) {
+        const { url } = await uploads.save('noteIcon', req.file);
+        newIconUrl = url;
+      }
+
+      // Renamed "tut" -> "note" for clarity and consistent return
+      const note = new Notes({
+        name,
+        newIcon: newIconUrl,
+        description,
+        noteLink
+      });
+
+      await note.save();
+      return res.status(201).json(note);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.get('/notes', doc('List notes', { response: 'Note[]' }), async (req, res, next) => {
+    try {
+      const notes = await Notes.find().exec();
+      return res.json(notes);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Multipart: send a new `newIcon` file to replace the icon; the old file is deleted
+  router.patch('/notes/:id', [doc('Update a note', { response: 'Note' }), authenticate, requirePermission('content:edit'), uploads.single('noteIcon'), validate({ body: { ...noteFields, newIcon: storedFileRule } }, { partial: true })], async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const updates = req.body;
+      const previous = await Notes.findById(id).exec();
+      if (!previous) throw new HttpError(404, 'Note not found');
+      uploads.checkFileField(updates, 'newIcon', previous.newIcon);
+
+      if (req.file) {
+        const { url } = await uploads.save('noteIcon', req.file);
+        updates.newIcon = url;
+      }
+
+      const updated = await Notes.findByIdAndUpdate(id, { $set: updates }, { new: true });
+      if (!updated) throw new HttpError(404, 'Note not found');
+      await uploads.replace(previous.newIcon, updated.newIcon);
+      return res.json(updated);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.delete('/notes/:id', [doc('Move a note to the trash', { response: 'TrashedResponse' }), authenticate, requirePermission('content:edit')], async (req, res, next) => {
+    try {
+      const deleted = await softDeleteById(Notes, req.params.id, req.user._id);
+      if (!deleted) throw new HttpError(404, 'Note not found');
+      return res.json({ message: 'Note moved to trash', id: deleted._id });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+};
+
+module.exports = {
+  createContentRouter,
+};
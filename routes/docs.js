@@ -0,0 +1,51 @@
+//////////////////////////////
+//  routes/docs.js
+//  The OpenAPI document and a Swagger UI page to browse it
+//////////////////////////////
+
+const express = require('express');
+const swaggerUi = require('swagger-ui-dist');
+const { describeRoute, buildOpenApiDocument } = require('../lib/openapi');
+const { createRouter } = require('./helpers');
+
+const docsPage = (baseUrl) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Lab website API</title>
+  <link rel="stylesheet" href="${baseUrl}/docs/swagger-ui.css">
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="${baseUrl}/docs/swagger-ui-bundle.js"></script>
+  <script>
+    window.ui = SwaggerUIBundle({ url: '${baseUrl}/openapi.json', dom_id: '#swagger-ui', persistAuthorization: true });
+  </script>
+</body>
+</html>
+`;
+
+// Mounted under /api by createApp() (app.js)
+const createDocsRouter = ({ models }) => {
+  const router = createRouter();
+  const doc = describeRoute('Docs');
+
+  // Routes are fixed once the app is built, so the document is built on first request
+  let openApiDocument;
+
+  router.get('/openapi.json', doc('This OpenAPI document', { response: 'object' }), (req, res) => {
+    if (!openApiDocument) openApiDocument = buildOpenApiDocument({ app: req.app, models });
+    res.json(openApiDocument);
+  });
+
+  router.get('/docs', doc('Browse the API documentation', { content: { 'text/html': { schema: { type: 'string' } } } }), (req, res) => {
+    res.type('html').send(docsPage(req.baseUrl));
+  });
+  router.use('/docs', express.static(swaggerUi.getAbsoluteFSPath(), { index: false }));
+
+  return router;
+};
+
+module.exports = {
+  createDocsRouter,
+};
@@ -0,0 +1,123 @@
+//////////////////////////////
+//  routes/feeds.js
+//  Atom, RSS and JSON Feed syndication of publications
+//////////////////////////////
+
+const { HttpError } = require('../lib/errors');
+const { validate } = require('../lib/validation');
+const { ACTIVE_USER_FILTER, PUBLISHED_FILTER } = require('../lib/models');
+const { FORMATS, formatFeed } = require('../lib/feeds');
+const { describeRoute } = require('../lib/openapi');
+const { createRouter, memberPublicationsFilter } = require('./helpers');
+
+// Mounted at the site root by createApp() (app.js): feed readers expect plain URLs
+const createFeedRouter = ({ models, config }) => {
+  const { User, Team, Publication } = models;
+  const router = createRouter();
+  const doc = describeRoute('Feeds');
+
+  const FEED_SIZE = 50;
+
+  // Newest publications first; ones from before the review workflow have no publishedAt
+  const FEED_SORT = { publishedAt: -1, createdAt: -1 };
+
+  const publicationEntry = (publication, origin) => {
+      const cover = (publication.coverImageVariants && publication.coverImageVariants.large) || publication.coverImage;
+      return {
+          id: `${config.appUrl}/publications/${publication._id}`,
+          title: publication.title,
+          url: publication.doi ? `https://doi.org/${publication.doi}` : null,
+          summary: publication.summary,
+          authors: publication.authors
+              .map((author) => (author.user ? author.user.name : author.name))
+              .filter(Boolean),
+          published: publication.publishedAt || publication.createdAt,
+          updated: publication.updatedAt,
+          image: cover ? new URL(cover, origin).href : null,
+      };
+  };
+
+  // Send the feed of the publications matching `filter`. Polling is cheap: the ETag and
+  // Last-Modified come from a few small queries, and unchanged feeds get a 304 before any
+  // publication is loaded. Entries show the names of member authors, so a change to one
+  // of their accounts counts as a change of the feed.
+  const sendPublicationFeed = async (req, res, format, filter, title) => {
+      const [latest, count, authorIds] = await Promise.all([
+          Publication.findOne(filter, 'updatedAt').sort({ updatedAt: -1 }).exec(),
+          Publication.countDocuments(filter),
+          Publication.distinct('authors.user', filter),
+      ]);
+      const latestAuthor = authorIds.length
+          ? await User.findOne({ _id: { $in: authorIds } }, 'updatedAt').sort({ updatedAt: -1 }).exec()
+          : null;
+      const stamps = [latest, latestAuthor].filter(Boolean).map((doc) => doc.updatedAt.getTime());
+      const updated = new Date(Math.max(0, ...stamps));
+
+      res.set('Cache-Control', 'public, max-age=300');
+      res.set('ETag', `W/"${format}-${count}-${updated.getTime()}"`);
+      res.set('Last-Modified', updated.toUTCString());
+      res.type(`${FORMATS[format].contentType}; charset=utf-8`);
+      if (req.fresh) return res.status(304).end();
+
+      const publications = await Publication.find(filter)
+          .sort(FEED_SORT)
+          .limit(FEED_SIZE)
+          .populate('authors.user', 'name')
+          .exec();
+
+      const origin = `${req.protocol}://${req.get('host')}`;
+      const feedUrl = origin + req.originalUrl.split('?')[0];
+      return res.status(200).send(formatFeed({
+          id: feedUrl,
+          title: `${config.siteName}: ${title}`,
+          homeUrl: config.appUrl,
+          feedUrl,
+          updated,
+          entries: publications.map((publication) => publicationEntry(publication, origin)),
+      }, format));
+  };
+
+  // /feeds/publications.atom, .rss and .json, and the same per member and per year
+  Object.keys(FORMATS).forEach((format) => {
+      const feedContent = { [FORMATS[format].contentType]: { schema: { type: 'string' } } };
+
+      router.get(`/feeds/publications.${format}`, doc(`Latest publications (${format})`, { content: feedContent, description: 'Every feed supports conditional GET (ETag / Last-Modified).' }), async (req, res, next) => {
+          try {
+              await sendPublicationFeed(req, res, format, PUBLISHED_FILTER, 'publications');
+          } catch (error) {
+              next(error);
+          }
+      });
+
+      router.get(`/feeds/members/:userId/publications.${format}`, doc(`Latest publications of a member (${format})`, { content: feedContent }), async (req, res, next) => {
+          try {
+              const { userId } = req.params;
+              // Members only, with an active account, as on their profile (GET /api/team/:userId)
+              const [member, membership] = await Promise.all([
+                  User.findOne({ _id: userId, ...ACTIVE_USER_FILTER }, 'name').exec(),
+                  Team.exists({ userId }),
+              ]);
+              if (!member || !membership) throw new HttpError(404, 'Team member not found');
+
+              await sendPublicationFeed(req, res, format, memberPublicationsFilter(userId), `publications by ${member.name}`);
+          } catch (error) {
+              next(error);
+          }
+      });
+
+      router.get(`/feeds/years/:year/publications.${format}`, doc(`Publications of a year (${format})`, { content: feedContent }), validate({ params: { year: { type: 'integer', required: true } } }), async (req, res, next) => {
+          try {
+              const { year } = req.params;
+              await sendPublicationFeed(req, res, format, { year, ...PUBLISHED_FILTER }, `publications from ${year}`);
+          } catch (error) {
+              next(error);
+          }
+      });
+  });
+
+  return router;
+};
+
+module.exports = {
+  createFeedRouter,
+};
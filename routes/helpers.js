@@ -0,0 +1,119 @@
+//////////////////////////////
+//  routes/helpers.js
+//  Pieces shared by several routers
+//////////////////////////////
+
+const express = require('express');
+const citations = require('../lib/citations');
+const { HttpError } = require('../lib/errors');
+const { isObjectId } = require('../lib/validation');
+const { PUBLISHED_FILTER } = require('../lib/models');
+const { escapeRegex } = require('../lib/search');
+
+// A Router whose :id / :userId params are checked up front; anything that is not
+// an ObjectId cannot match a document
+const createRouter = () => {
+  const router = express.Router();
+  ['id', 'userId'].forEach((name) => router.param(name, (req, res, next, value) => {
+    if (!isObjectId(value)) return next(new HttpError(400, `${name} must be an ObjectId`, { details: [{ path: `params.${name}`, message: 'must be an ObjectId' }] }));
+    next();
+  }));
+  return router;
+};
+
+// ===================
+// REQUEST SCHEMAS (see lib/validation.js)
+// ===================
+// Multipart forms send education/experience/links as JSON strings, hence `json: true`.
+const datedEntrySchema = {
+  type: 'object',
+  fields: {
+    institution: { type: 'string', maxLength: 200 },
+    degree: { type: 'string', maxLength: 200 },
+    startDate: { type: 'date', nullable: true },
+    endDate: { type: 'date', nullable: true },
+  },
+};
+
+const userProfileSchema = {
+  name: { type: 'string', required: true, maxLength: 200 },
+  email: { type: 'email', required: true },
+  address: { type: 'string', maxLength: 500 },
+  role: { type: 'string', maxLength: 100 },
+  bio: { type: 'string', maxLength: 10000 },
+  education: { type: 'array', json: true, max: 50, items: datedEntrySchema },
+  experience: { type: 'array', json: true, max: 50, items: datedEntrySchema },
+  links: {
+    type: 'array', json: true, max: 50,
+    items: { type: 'object', fields: { linkType: { type: 'string', maxLength: 50 }, link: { type: 'url', required: true } } },
+  },
+};
+
+const passwordRule = { type: 'string', required: true, minLength: 8, maxLength: 200, trim: false };
+
+// A stored file field (image, coverImage, icon...) in an update body: files change by
+// upload only, so the value may be null (clear it) or the current URL, see uploads.checkFileField
+const storedFileRule = { type: 'string', nullable: true };
+
+// ===================
+// CITATIONS
+// ===================
+// ?format=bibtex|ris|csljson
+const citationFormatRule = { type: 'string', enum: Object.keys(citations.FORMATS) };
+
+// Flatten a publication (with `authors.user` populated) into the plain citation shape used by lib/citations
+const toCitation = (publication) => ({
+  id: publication._id.toString(),
+  title: publication.title,
+  authors: (publication.authors || [])
+    .map((author) => (author.user ? author.user.name : author.name))
+    .filter(Boolean),
+  year: publication.year,
+  doi: publication.doi,
+  summary: publication.summary,
+});
+
+const sendCitationExport = (res, publications, format, filename) => {
+  const { extension, contentType } = citations.FORMATS[format];
+  res.set('Content-Type', `${contentType}; charset=utf-8`);
+  res.set('Content-Disposition', `attachment; filename="${filename}.${extension}"`);
+  res.status(200).send(citations.formatCitations(publications.map(toCitation), format));
+};
+
+// Publications listed on a member's profile (GET /api/team/:userId) and in their feed
+const memberPublicationsFilter = (userId) => ({ 'authors.user': userId, ...PUBLISHED_FILTER });
+
+// OpenAPI response content of sendCitationExport, one media type per format
+const citationExportContent = {};
+Object.values(citations.FORMATS).forEach(({ contentType }) => {
+  citationExportContent[contentType] = { schema: { type: 'string' } };
+});
+
+// ===================
+// PROJECTS
+// ===================
+// Publications as plain objects, each with the projects it belongs to as `projects: [{ _id, title, status }]`
+const withProjects = async (Project, publications) => {
+  const projects = await Project.find({ publications: { $in: publications.map((publication) => publication._id) } }, 'title status publications').exec();
+  return publications.map((publication) => ({
+    ...publication.toJSON(),
+    projects: projects
+      .filter((project) => project.publications.some((id) => id.equals(publication._id)))
+      .map(({ _id, title, status }) => ({ _id, title, status })),
+  }));
+};
+
+module.exports = {
+  createRouter,
+  escapeRegex,
+  datedEntrySchema,
+  userProfileSchema,
+  passwordRule,
+  storedFileRule,
+  citationFormatRule,
+  toCitation,
+  sendCitationExport,
+  citationExportContent,
+  memberPublicationsFilter,
+  withProjects,
+};
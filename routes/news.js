@@ -0,0 +1,222 @@
+//////////////////////////////
+//  routes/news.js
+//  Lab news and events: public listings and authoring
+//////////////////////////////
+
+const { HttpError } = require('../lib/errors');
+const { validate } = require('../lib/validation');
+const {
+  ACTIVE_USER_FILTER, PUBLISHED_FILTER, NEWS_KINDS, publishedNewsFilter, isNewsPublished,
+} = require('../lib/models');
+const { describeRoute } = require('../lib/openapi');
+const { createRouter, storedFileRule } = require('./helpers');
+
+// Mounted under /api by createApp() (app.js)
+const createNewsRouter = ({ models, auth, uploads }) => {
+  const { User, Publication, Address, News } = models;
+  const { authenticate, identify, can, requirePermission } = auth;
+  const router = createRouter();
+  const doc = describeRoute('News');
+
+  // Writable fields. Multipart forms send tags, people, publications and location as JSON strings.
+  // `publishAt` schedules the item; leave it out (or null) to keep a draft.
+  const newsFields = {
+      kind: { type: 'string', enum: NEWS_KINDS },
+      title: { type: 'string', required: true, maxLength: 300 },
+      body: { type: 'string', maxLength: 100000 },
+      tags: { type: 'array', json: true, max: 20, items: { type: 'string', maxLength: 50 } },
+      people: { type: 'array', json: true, max: 100, items: { type: 'objectId' } },
+      publications: { type: 'array', json: true, max: 100, items: { type: 'objectId' } },
+      startsAt: { type: 'date', nullable: true },
+      endsAt: { type: 'date', nullable: true },
+      location: {
+          type: 'object',
+          json: true,
+          nullable: true,
+          fields: {
+              address: { type: 'objectId', nullable: true },
+              name: { type: 'string', maxLength: 200 },
+              link: { type: 'url' },
+          },
+      },
+      publishAt: { type: 'date', nullable: true },
+  };
+
+  const DEFAULT_NEWS_LIMIT = 20;
+  const MAX_NEWS_LIMIT = 100;
+
+  const newsListQuery = {
+      kind: { type: 'string', enum: NEWS_KINDS },
+      tag: { type: 'string', maxLength: 50 },
+      person: { type: 'objectId' },
+      page: { type: 'integer', min: 1, default: 1 },
+      limit: { type: 'integer', min: 1, max: MAX_NEWS_LIMIT, default: DEFAULT_NEWS_LIMIT },
+  };
+
+  // Linked members and publications as the public may see them
+  const PUBLIC_PERSON_FIELDS = 'name role image imageVariants';
+  const populateLinks = (query) => query
+      .populate({ path: 'people', select: PUBLIC_PERSON_FIELDS, match: ACTIVE_USER_FILTER })
+      .populate({ path: 'publications', select: 'title year doi coverImageVariants', match: PUBLISHED_FILTER })
+      .populate('location.address');
+
+  // Events need a start (and an end not before it); linked documents must exist.
+  // `item` is the request body on create and the merged document on update.
+  const checkNewsItem = async (item) => {
+      const errors = [];
+      if (item.kind === 'event') {
+          if (!item.startsAt) errors.push({ path: 'startsAt', message: 'is required for events' });
+          else if (item.endsAt && item.endsAt < item.startsAt) errors.push({ path: 'endsAt', message: 'must not be before startsAt' });
+      }
+
+      const checkExisting = async (Model, ids, path, what) => {
+          if (!ids.length) return;
+          const found = await Model.find({ _id: { $in: ids } }, '_id').exec();
+          const existing = new Set(found.map((entry) => String(entry._id)));
+          ids.forEach((id, index) => {
+              if (!existing.has(String(id))) errors.push({ path: `${path}[${index}]`, message: `must be an existing ${what}` });
+          });
+      };
+      await checkExisting(User, item.people || [], 'people', 'user');
+      await checkExisting(Publication, item.publications || [], 'publications', 'publication');
+
+      const address = item.location && item.location.address;
+      if (address && !(await Address.exists({ _id: address }))) {
+          errors.push({ path: 'location.address', message: 'must be an existing address' });
+      }
+
+      if (errors.length) throw new HttpError(422, 'Validation failed', { details: errors });
+  };
+
+  // ===================
+  // PUBLIC
+  // ===================
+  // Newest first. Query params: kind, tag, person (a linked User id), page, limit
+  router.get('/news', doc('List published news and events', { response: { items: 'News[]', total: 'integer', page: 'integer', limit: 'integer', totalPages: 'integer' } }), validate({ query: newsListQuery }), async (req, res, next) => {
+      try {
+          const { kind, tag, person, page, limit } = req.query;
+          const filter = publishedNewsFilter();
+          if (kind) filter.kind = kind;
+          if (tag) filter.tags = tag.toLowerCase();
+          if (person) filter.people = person;
+
+          const [items, total] = await Promise.all([
+              populateLinks(News.find(filter).sort({ publishAt: -1, _id: -1 }).skip((page - 1) * limit).limit(limit)).exec(),
+              News.countDocuments(filter),
+          ]);
+          res.status(200).json({ items, total, page, limit, totalPages: Math.ceil(total / limit) });
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  // Published events that have not ended yet (events without an end count until they start), soonest first
+  router.get('/events/upcoming', doc('List upcoming events', { response: 'News[]' }), validate({ query: { limit: { type: 'integer', min: 1, max: MAX_NEWS_LIMIT, default: 10 } } }), async (req, res, next) => {
+      try {
+          const now = new Date();
+          const events = await populateLinks(News.find({
+              ...publishedNewsFilter(now),
+              kind: 'event',
+              $or: [{ endsAt: { $gte: now } }, { endsAt: null, startsAt: { $gte: now } }],
+          }).sort({ startsAt: 1 }).limit(req.query.limit)).exec();
+          res.status(200).json(events);
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  // ===================
+  // AUTHORING
+  // ===================
+  // Drafts and scheduled items, next to be published first
+  router.get('/news/unpublished', [doc('List draft and scheduled news', { response: 'News[]' }), authenticate, requirePermission('news:edit')], async (req, res, next) => {
+      try {
+          const items = await News.find({ $or: [{ publishAt: null }, { publishAt: { $gt: new Date() } }] })
+              .sort({ publishAt: 1, updatedAt: -1 })
+              .exec();
+          res.status(200).json(items);
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  // Multipart form with an optional `coverImage` file
+  router.post('/news', [doc('Add a news item or event', { status: 201, response: 'News' }), authenticate, requirePermission('news:edit'), uploads.single('coverImage'), validate({ body: newsFields })], async (req, res, next) => {
+      try {
+          const fields = { kind: 'news', ...req.body };
+          await checkNewsItem(fields);
+
+          if (req.file) {
+              const { url, variants } = await uploads.save('coverImage', req.file);
+              fields.coverImage = url;
+              fields.coverImageVariants = variants;
+          }
+
+          const item = await News.create({ ...fields, createdBy: req.user._id });
+          res.status(201).json(item);
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  // Multipart: send a new `coverImage` file to replace the cover; the old files are deleted
+  router.patch('/news/:id', [doc('Update a news item or event', { response: 'News' }), authenticate, requirePermission('news:edit'), uploads.single('coverImage'), validate({ body: { ...newsFields, coverImage: storedFileRule } }, { partial: true })], async (req, res, next) => {
+      try {
+          const item = await News.findById(req.params.id).exec();
+          if (!item) throw new HttpError(404, 'News item not found');
+          const previous = { coverImage: item.coverImage, coverImageVariants: item.coverImageVariants };
+
+          const updates = req.body;
+          uploads.checkFileField(updates, 'coverImage', item.coverImage);
+          if (req.file) {
+              const { url, variants } = await uploads.save('coverImage', req.file);
+              updates.coverImage = url;
+              updates.coverImageVariants = variants;
+          } else if (updates.coverImage !== undefined && updates.coverImage !== item.coverImage) {
+              updates.coverImageVariants = null;
+          }
+
+          item.set(updates);
+          await checkNewsItem(item);
+          await item.save();
+
+          await uploads.replace(
+              [previous.coverImage, previous.coverImageVariants],
+              [item.coverImage, item.coverImageVariants]
+          );
+          res.status(200).json(item);
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  router.delete('/news/:id', [doc('Move a news item or event to the trash', { response: 'TrashedResponse' }), authenticate, requirePermission('news:edit')], async (req, res, next) => {
+      try {
+          const item = await News.findById(req.params.id).exec();
+          if (!item) throw new HttpError(404, 'News item not found');
+          await item.softDelete(req.user._id);
+          res.status(200).json({ message: 'News item moved to trash', id: item._id });
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  // Drafts and scheduled items are only shown to news:edit holders; to everyone else they do not exist
+  router.get('/news/:id', doc('Show a news item or event', { response: 'News' }), identify, async (req, res, next) => {
+      try {
+          const item = await populateLinks(News.findById(req.params.id)).exec();
+          if (!item || (!isNewsPublished(item) && !(await can(req, 'news:edit')))) {
+              throw new HttpError(404, 'News item not found');
+          }
+          res.status(200).json(item);
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  return router;
+};
+
+module.exports = {
+  createNewsRouter,
+};
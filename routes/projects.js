@@ -0,0 +1,192 @@
+//////////////////////////////
+//  routes/projects.js
+//  Research projects and the members, publications, technologies and tutorials they link
+//////////////////////////////
+
+const { HttpError } = require('../lib/errors');
+const { validate } = require('../lib/validation');
+const { ACTIVE_USER_FILTER, PUBLISHED_FILTER, PROJECT_STATUSES } = require('../lib/models');
+const { describeRoute } = require('../lib/openapi');
+const { createRouter, storedFileRule } = require('./helpers');
+
+// Mounted under /api by createApp() (app.js)
+const createProjectRouter = ({ models, auth, uploads }) => {
+  const { User, Publication, Technology, Tutorial, Project } = models;
+  const { authenticate, requirePermission } = auth;
+  const router = createRouter();
+  const doc = describeRoute('Projects');
+
+  // Writable fields. Multipart forms send funding, members and the linked ids as JSON strings.
+  const projectFields = {
+      title: { type: 'string', required: true, maxLength: 300 },
+      description: { type: 'string', maxLength: 100000 },
+      funding: {
+          type: 'array', json: true, max: 20,
+          items: { type: 'object', fields: { agency: { type: 'string', required: true, maxLength: 200 }, grantNumber: { type: 'string', maxLength: 100 } } },
+      },
+      startDate: { type: 'date', nullable: true },
+      endDate: { type: 'date', nullable: true },
+      status: { type: 'string', enum: PROJECT_STATUSES },
+      members: {
+          type: 'array', json: true, max: 200,
+          items: { type: 'object', fields: { user: { type: 'objectId', required: true }, role: { type: 'string', maxLength: 100 } } },
+      },
+      publications: { type: 'array', json: true, max: 500, items: { type: 'objectId' } },
+      technologies: { type: 'array', json: true, max: 100, items: { type: 'objectId' } },
+      tutorials: { type: 'array', json: true, max: 100, items: { type: 'objectId' } },
+  };
+
+  const projectListQuery = {
+      status: { type: 'string', enum: PROJECT_STATUSES },
+      member: { type: 'objectId' },
+  };
+
+  // What the public sees of linked documents. Listings only need the members;
+  // a single project shows everything it links to.
+  const PUBLIC_MEMBER_FIELDS = 'name role image imageVariants';
+  const populateMembers = (query) => query
+      .populate({ path: 'members.user', select: PUBLIC_MEMBER_FIELDS, match: ACTIVE_USER_FILTER });
+  const populateLinks = (query) => populateMembers(query)
+      .populate({ path: 'publications', select: 'title year doi coverImageVariants', match: PUBLISHED_FILTER })
+      .populate('technologies', 'name icon downloadLink')
+      .populate('tutorials', 'name newIcon tutorialLink');
+
+  // Members that are no longer shown (disabled or deleted accounts) come back as null users
+  const withoutHiddenMembers = (project) => {
+      const plain = project.toJSON();
+      plain.members = plain.members.filter((member) => member.user);
+      return plain;
+  };
+
+  // Dates in order, each member listed once and every linked document existing.
+  // `project` is the request body on create and the merged document on update.
+  const checkProject = async (project) => {
+      const errors = [];
+      if (project.startDate && project.endDate && project.endDate < project.startDate) {
+          errors.push({ path: 'endDate', message: 'must not be before startDate' });
+      }
+
+      const members = (project.members || []).map((member) => String(member.user));
+      members.forEach((user, index) => {
+          if (members.indexOf(user) !== index) errors.push({ path: `members[${index}].user`, message: 'is already a member' });
+      });
+
+      const checkExisting = async (Model, ids, path, what) => {
+          if (!ids.length) return;
+          const found = await Model.find({ _id: { $in: ids } }, '_id').exec();
+          const existing = new Set(found.map((entry) => String(entry._id)));
+          ids.forEach((id, index) => {
+              if (!existing.has(String(id))) errors.push({ path: path(index), message: `must be an existing ${what}` });
+          });
+      };
+      await checkExisting(User, members, (index) => `members[${index}].user`, 'user');
+      await checkExisting(Publication, project.publications || [], (index) => `publications[${index}]`, 'publication');
+      await checkExisting(Technology, project.technologies || [], (index) => `technologies[${index}]`, 'technology');
+      await checkExisting(Tutorial, project.tutorials || [], (index) => `tutorials[${index}]`, 'tutorial');
+
+      if (errors.length) throw new HttpError(422, 'Validation failed', { details: errors });
+  };
+
+  // ===================
+  // PUBLIC
+  // ===================
+  // Active projects first, then planned and completed ones; newest first within each.
+  // Query params: status, member (a User id)
+  const STATUS_ORDER = { active: 0, planned: 1, completed: 2 };
+
+  router.get('/projects', doc('List projects', { response: 'Project[]' }), validate({ query: projectListQuery }), async (req, res, next) => {
+      try {
+          const { status, member } = req.query;
+          const filter = {};
+          if (status) filter.status = status;
+          if (member) filter['members.user'] = member;
+
+          const projects = await populateMembers(Project.find(filter).sort({ startDate: -1, createdAt: -1 })).exec();
+          projects.sort((a, b) => STATUS_ORDER[a.status] - STATUS_ORDER[b.status]);
+          res.status(200).json(projects.map(withoutHiddenMembers));
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  router.get('/projects/:id', doc('Show a project with everything it links to', { response: 'Project' }), async (req, res, next) => {
+      try {
+          const project = await populateLinks(Project.findById(req.params.id)).exec();
+          if (!project) throw new HttpError(404, 'Project not found');
+          res.status(200).json(withoutHiddenMembers(project));
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  // ===================
+  // AUTHORING
+  // ===================
+  // Multipart form with an optional `coverImage` file
+  router.post('/projects', [doc('Add a project', { status: 201, response: 'Project' }), authenticate, requirePermission('projects:edit'), uploads.single('coverImage'), validate({ body: projectFields })], async (req, res, next) => {
+      try {
+          const fields = req.body;
+          await checkProject(fields);
+
+          if (req.file) {
+              const { url, variants } = await uploads.save('coverImage', req.file);
+              fields.coverImage = url;
+              fields.coverImageVariants = variants;
+          }
+
+          const project = await Project.create({ ...fields, createdBy: req.user._id });
+          res.status(201).json(project);
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  // Multipart: send a new `coverImage` file to replace the cover; the old files are deleted.
+  // Lists (members, publications...) are replaced as a whole.
+  router.patch('/projects/:id', [doc('Update a project', { response: 'Project' }), authenticate, requirePermission('projects:edit'), uploads.single('coverImage'), validate({ body: { ...projectFields, coverImage: storedFileRule } }, { partial: true })], async (req, res, next) => {
+      try {
+          const project = await Project.findById(req.params.id).exec();
+          if (!project) throw new HttpError(404, 'Project not found');
+          const previous = { coverImage: project.coverImage, coverImageVariants: project.coverImageVariants };
+
+          const updates = req.body;
+          uploads.checkFileField(updates, 'coverImage', project.coverImage);
+          if (req.file) {
+              const { url, variants } = await uploads.save('coverImage', req.file);
+              updates.coverImage = url;
+              updates.coverImageVariants = variants;
+          } else if (updates.coverImage !== undefined && updates.coverImage !== project.coverImage) {
+              updates.coverImageVariants = null;
+          }
+
+          project.set(updates);
+          await checkProject(project);
+          await project.save();
+
+          await uploads.replace(
+              [previous.coverImage, previous.coverImageVariants],
+              [project.coverImage, project.coverImageVariants]
+          );
+          res.status(200).json(project);
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  router.delete('/projects/:id', [doc('Move a project to the trash', { response: 'TrashedResponse' }), authenticate, requirePermission('projects:edit')], async (req, res, next) => {
+      try {
+          const project = await Project.findById(req.params.id).exec();
+          if (!project) throw new HttpError(404, 'Project not found');
+          await project.softDelete(req.user._id);
+          res.status(200).json({ message: 'Project moved to trash', id: project._id });
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  return router;
+};
+
+module.exports = {
+  createProjectRouter,
+};
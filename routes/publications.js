@@ -0,0 +1,824 @@
+//////////////////////////////
+//  routes/publications.js
+//  Publications: CRUD, DOI drafts, review workflow, listing and citation import/export
+//////////////////////////////
+
+const mongoose = require('mongoose');
+const citations = require('../lib/citations');
+const { HttpError } = require('../lib/errors');
+const { validate, validateObject } = require('../lib/validation');
+const { PUBLICATION_STATUSES, PUBLISHED_FILTER, isPublished } = require('../lib/models');
+const { diffDocuments } = require('../lib/audit');
+const { describeRoute } = require('../lib/openapi');
+const {
+  createRouter, escapeRegex, storedFileRule, citationFormatRule, sendCitationExport, citationExportContent, withProjects,
+} = require('./helpers');
+
+// Mounted under /api by createApp() (app.js)
+const createPublicationRouter = ({ models, auth, uploads, doiResolver }) => {
+  const { User, Publication, PublicationRevision, Project } = models;
+  const { authenticate, can, requirePermission, checkTeamMembership, requireVerifiedEmail } = auth;
+  const router = createRouter();
+  const doc = describeRoute('Publications');
+
+  // ===================
+  // PUBLICATIONS
+  // ===================
+  // Resolve a DOI into a Publication-shaped draft, matching author names to Users.
+  // Returns null when the resolver does not know the DOI.
+  const buildDoiDraft = async (doi) => {
+      const metadata = await doiResolver.resolve(doi);
+      if (!metadata) return null;
+
+      const matchAuthor = await buildAuthorMatcher();
+      const authorMatches = metadata.authors.map((name) => ({ name, userId: matchAuthor(name) }));
+
+      return {
+          draft: {
+              title: metadata.title,
+              authors: authorMatches.map(({ name, userId }) => (userId ? { user: userId } : { name })),
+              summary: metadata.abstract,
+              doi: metadata.doi || citations.normalizeDoi(doi),
+              year: metadata.year,
+          },
+          authorMatches,
+      };
+  };
+
+  // One entry of the ordered author list: a member ({ user }) or an external author
+  // ({ name, affiliation?, orcid? }), either with corresponding/equalContribution flags
+  const authorRule = {
+      type: 'object',
+      fields: {
+          user: { type: 'objectId' },
+          name: { type: 'string', maxLength: 200 },
+          affiliation: { type: 'string', maxLength: 300 },
+          orcid: { type: 'string', pattern: /^\d{4}-\d{4}-\d{4}-\d{3}[\dX]$/ },
+          corresponding: { type: 'boolean', default: false },
+          equalContribution: { type: 'boolean', default: false },
+      },
+  };
+
+  // Writable publication fields. Multipart forms send the author list as a JSON string.
+  const publicationFields = {
+      title: { type: 'string', required: true, maxLength: 500 },
+      authors: { type: 'array', json: true, max: 200, items: authorRule },
+      summary: { type: 'string', maxLength: 20000 },
+      doi: { type: 'doi' },
+      year: { type: 'integer', min: 1000, max: 9999 },
+  };
+
+  const createPublicationSchema = {
+      ...publicationFields,
+      title: { ...publicationFields.title, required: false }, // may come from the DOI; checked below
+      fromDoi: { type: 'boolean', default: false },
+  };
+
+  const updatePublicationSchema = {
+      ...publicationFields,
+      coverImage: storedFileRule,
+  };
+
+  // Author entries name either a member or an external author, and each member at most once.
+  // Member entries keep only the flags; the name shown is the one on the profile.
+  const checkAuthors = async (authors) => {
+      const errors = [];
+      const seen = new Set();
+      const checked = authors.map((author, index) => {
+          const { user, corresponding, equalContribution } = author;
+          if (!user) {
+              if (!author.name) errors.push({ path: `authors[${index}].name`, message: 'is required for external authors' });
+              return author;
+          }
+          if (seen.has(user)) errors.push({ path: `authors[${index}].user`, message: 'is already an author' });
+          seen.add(user);
+          return { user, corresponding, equalContribution };
+      });
+
+      const found = await User.find({ _id: { $in: [...seen] } }, '_id').exec();
+      const existing = new Set(found.map((user) => String(user._id)));
+      checked.forEach((author, index) => {
+          if (author.user && !existing.has(author.user)) errors.push({ path: `authors[${index}].user`, message: 'must be an existing user' });
+      });
+
+      if (errors.length) throw new HttpError(422, 'Validation failed', { details: errors });
+      return checked;
+  };
+
+  // Authors (or holders of publications:edit-any) only. Until it is published, whoever
+  // created the publication counts as an author too, so a draft they added for others
+  // (or imported without matching their own name) can still be finished or removed.
+  const isCreator = (req, publication) => !isPublished(publication)
+      && Boolean(publication.createdBy) && String(publication.createdBy) === String(req.user._id);
+
+  const checkAuthorOrEditor = async (req, publication) => {
+      if (!publication.isAuthor(req.user._id) && !isCreator(req, publication) && !(await can(req, 'publications:edit-any'))) {
+          throw new HttpError(403, 'Access denied: You are not an author of this publication');
+      }
+  };
+
+  // The fields a reviewer compares between submissions
+  const REVISION_FIELDS = ['title', 'authors', 'summary', 'doi', 'year', 'coverImage'];
+
+  const takeSnapshot = (publication) => {
+      const plain = publication.toObject({ depopulate: true });
+      const snapshot = {};
+      REVISION_FIELDS.forEach((field) => {
+          if (plain[field] !== undefined) snapshot[field] = plain[field];
+      });
+      snapshot.authors = (plain.authors || []).map(({ _id, ...author }) => author);
+      return JSON.parse(JSON.stringify(snapshot));
+  };
+
+  // Store what is being submitted, with the changes since the previous submission
+  const recordRevision = async (publication, userId) => {
+      const previous = await PublicationRevision.findOne({ publication: publication._id }).sort({ number: -1 }).exec();
+      const snapshot = takeSnapshot(publication);
+      return PublicationRevision.create({
+          publication: publication._id,
+          number: previous ? previous.number + 1 : 1,
+          snapshot,
+          changes: previous ? diffDocuments(previous.snapshot, snapshot) : null,
+          submittedBy: userId,
+      });
+  };
+
+  // Load a publication and check it is in one of the `from` statuses
+  const findForTransition = async (id, from) => {
+      const publication = await Publication.findById(id);
+      if (!publication) throw new HttpError(404, 'Publication not found');
+      if (!from.includes(publication.status)) {
+          throw new HttpError(409, `Publication is ${publication.status || 'published'}; expected ${from.join(' or ')}`);
+      }
+      return publication;
+  };
+
+  // Multipart form. Set `fromDoi=true` with a `doi` to fill title, year, summary and
+  // authors from the DOI metadata; any field sent in the form takes precedence.
+  // New publications are drafts until submitted for review and published.
+  router.post('/publications', [doc('Add a publication', { status: 201, response: 'text', errors: [404, 409, 502], description: 'With fromDoi=true the fields are filled from the DOI metadata.' }), authenticate, checkTeamMembership, requireVerifiedEmail, uploads.single('coverImage'), validate({ body: createPublicationSchema })], async (req, res, next) => {
+      try {
+          let {
+              title, authors = [], summary, doi, year,
+          } = req.body;
+
+          if (req.body.fromDoi) {
+              if (!doi) {
+                  throw new HttpError(422, 'doi is required when fromDoi is set', { details: [{ path: 'doi', message: 'is required' }] });
+              }
+
+              const existing = await Publication.findOne({
+                  doi: new RegExp(`^${escapeRegex(doi)}$`, 'i'),
+              }).exec();
+              if (existing) {
+                  throw new HttpError(409, 'A publication with this DOI already exists', { details: { id: existing._id } });
+              }
+
+              let resolved;
+              try {
+                  resolved = await buildDoiDraft(doi);
+              } catch (err) {
+                  throw new HttpError(502, 'DOI lookup failed', { details: { reason: err.message } });
+              }
+              if (!resolved) throw new HttpError(404, 'DOI not found');
+
+              const { draft } = resolved;
+              title = title || draft.title;
+              summary = summary || draft.summary;
+              year = year || draft.year;
+              doi = draft.doi;
+              authors = authors.length ? authors : draft.authors.map((author) => ({ ...author, user: author.user && String(author.user) }));
+          }
+          if (!title) throw new HttpError(422, 'Validation failed', { details: [{ path: 'title', message: 'is required' }] });
+          authors = await checkAuthors(authors);
+
+          let coverImage = {};
+          if (req.file) {
+            coverImage = await uploads.save('coverImage', req.file);
+          }
+
+          const publication = new Publication({
+              title,
+              authors,
+              summary,
+              coverImage: coverImage.url,
+              coverImageVariants: coverImage.variants,
+              doi,
+              year,
+              status: 'draft',
+              createdBy: req.user._id,
+          });
+
+          await publication.save();
+          res.status(201).send('Publication added successfully');
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  // ==============================
+  // DOI DRAFT
+  // ==============================
+  // GET /api/publications/draft?doi=10.xxxx/yyyy
+  // Returns a pre-filled publication draft; nothing is saved.
+  router.get('/publications/draft', [doc('Look up a DOI without saving anything', { response: { draft: 'object', resolver: 'string', existingPublicationId: 'ObjectId?' }, errors: [404, 502] }), authenticate, checkTeamMembership, validate({ query: { doi: { type: 'doi', required: true } } })], async (req, res, next) => {
+      try {
+          const { doi } = req.query;
+
+          let resolved;
+          try {
+              resolved = await buildDoiDraft(doi);
+          } catch (err) {
+              console.error('DOI lookup failed:', err);
+              throw new HttpError(502, 'DOI lookup failed', { details: { reason: err.message } });
+          }
+          if (!resolved) throw new HttpError(404, 'DOI not found');
+
+          const duplicate = await Publication.findOne({
+              doi: new RegExp(`^${escapeRegex(resolved.draft.doi)}$`, 'i'),
+          }, '_id').exec();
+
+          res.status(200).json({
+              ...resolved,
+              resolver: doiResolver.name,
+              existingPublicationId: duplicate ? duplicate._id : null,
+          });
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  // ------------------------------
+  // Publication listing helpers
+  // ------------------------------
+  // Fields of a User that are safe to embed in a public publication listing
+  const PUBLIC_AUTHOR_FIELDS = 'name role image imageVariants';
+
+  // Allowed ?sort= keys and the field each one sorts on
+  const PUBLICATION_SORT_FIELDS = {
+      year: 'year',
+      title: 'title',
+      createdAt: 'createdAt',
+  };
+
+  const DEFAULT_PUBLICATION_LIMIT = 20;
+  const MAX_PUBLICATION_LIMIT = 100;
+
+  // Filters shared by the listing and the citation export
+  const publicationFilterQuery = {
+      yearFrom: { type: 'integer' },
+      yearTo: { type: 'integer' },
+      author: { type: 'string', maxLength: 200 },
+      hasDoi: { type: 'boolean' },
+      q: { type: 'string', maxLength: 200 },
+      sort: { type: 'string', enum: Object.keys(PUBLICATION_SORT_FIELDS) },
+      order: { type: 'string', enum: ['asc', 'desc'] },
+  };
+
+  const publicationListQuery = {
+      ...publicationFilterQuery,
+      page: { type: 'integer', min: 1, default: 1 },
+      limit: { type: 'integer', min: 1, default: DEFAULT_PUBLICATION_LIMIT }, // capped at MAX_PUBLICATION_LIMIT
+      cursor: { type: 'string', maxLength: 500 },
+  };
+
+  // Build a Mongo filter from the validated listing query (publicationFilterQuery).
+  // Supported: yearFrom, yearTo, author (User id or external name), hasDoi, q (title keyword).
+  // Listings are public, so only published publications match.
+  const buildPublicationFilter = (query) => {
+      const conditions = [PUBLISHED_FILTER];
+
+      if (query.yearFrom !== undefined || query.yearTo !== undefined) {
+          const year = {};
+          if (query.yearFrom !== undefined) year.$gte = query.yearFrom;
+          if (query.yearTo !== undefined) year.$lte = query.yearTo;
+          conditions.push({ year });
+      }
+
+      if (query.author) {
+          if (mongoose.Types.ObjectId.isValid(query.author)) {
+              conditions.push({ 'authors.user': query.author });
+          } else {
+              conditions.push({ 'authors.name': new RegExp(escapeRegex(query.author), 'i') });
+          }
+      }
+
+      if (query.hasDoi === true) {
+          conditions.push({ doi: { $exists: true, $nin: [null, ''] } });
+      } else if (query.hasDoi === false) {
+          conditions.push({ $or: [{ doi: { $exists: false } }, { doi: { $in: [null, ''] } }] });
+      }
+
+      if (query.q) {
+          conditions.push({ title: new RegExp(escapeRegex(query.q), 'i') });
+      }
+
+      return { $and: conditions };
+  };
+
+  // Resolve ?sort=field&order=asc|desc into a Mongo sort spec.
+  // _id is always added as a tie-breaker so cursors are stable.
+  const buildPublicationSort = (query) => {
+      const field = PUBLICATION_SORT_FIELDS[query.sort] || 'createdAt';
+      const direction = query.order === 'asc' ? 1 : -1;
+      return { field, direction, spec: { [field]: direction, _id: direction } };
+  };
+
+  const encodeCursor = (publication, field) => Buffer.from(JSON.stringify({
+      value: publication[field] instanceof Date ? publication[field].toISOString() : publication[field],
+      id: publication._id.toString(),
+  })).toString('base64url');
+
+  // The cursor comes back from the client, so its value must be a plain value of the sort
+  // field's type: anything else (e.g. { $ne: null }) would end up as a query operator
+  const CURSOR_VALUE_CHECKS = {
+      year: (value) => value === null || Number.isInteger(value), // null: no year set
+      title: (value) => typeof value === 'string',
+      createdAt: (value) => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T/.test(value) && !Number.isNaN(Date.parse(value)),
+  };
+
+  const decodeCursor = (cursor, field) => {
+      try {
+          const { value = null, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+          if (typeof id !== 'string' || !mongoose.Types.ObjectId.isValid(id)) return null;
+          if (!CURSOR_VALUE_CHECKS[field](value)) return null;
+          return {
+              value: field === 'createdAt' ? new Date(value) : value,
+              id: new mongoose.Types.ObjectId(id),
+          };
+      } catch (err) {
+          return null;
+      }
+  };
+
+  // Keyset condition for "everything after the cursor" in the given sort order
+  const cursorCondition = ({ value, id }, field, direction) => {
+      const op = direction === 1 ? '$gt' : '$lt';
+      return {
+          $or: [
+              { [field]: { [op]: value } },
+              { [field]: value, _id: { [op]: id } },
+          ],
+      };
+  };
+
+  // ==============================
+  // LIST PUBLICATIONS
+  // ==============================
+  // Query params:
+  //   page, limit                 - page-based pagination (default page 1, limit 20, max 100)
+  //   cursor                      - opaque cursor from a previous response's nextCursor (overrides page)
+  //   yearFrom, yearTo            - inclusive year range
+  //   author                      - User id (a member author) or name (an external author)
+  //   hasDoi                      - 'true' | 'false'
+  //   q                           - title keyword
+  //   sort                        - 'year' | 'title' | 'createdAt' (default createdAt)
+  //   order                       - 'asc' | 'desc' (default desc)
+  // Without any query parameter the response keeps its original shape for older clients:
+  // a bare array of the LEGACY_LIST_SIZE most recently added publications. Any parameter
+  // (e.g. ?page=1) selects the paginated { publications, total, ... } response.
+  const LEGACY_LIST_SIZE = 5;
+
+  router.get('/publications', doc('List publications', {
+      response: { publications: 'Publication[]', total: 'integer', limit: 'integer', page: 'integer?', totalPages: 'integer', nextCursor: 'string?' },
+      description: `Without any query parameter the response is a plain array of the ${LEGACY_LIST_SIZE} most recently added publications, as in earlier versions; send at least one parameter (e.g. \`?page=1\`) to get this paginated object.`,
+  }), validate({ query: publicationListQuery }), async (req, res, next) => {
+      try {
+          if (!req.originalUrl.includes('?')) {
+              const latest = await Publication.find(PUBLISHED_FILTER)
+                  .sort({ createdAt: -1 })
+                  .limit(LEGACY_LIST_SIZE)
+                  .populate('authors.user', PUBLIC_AUTHOR_FIELDS)
+                  .exec();
+              return res.status(200).json(await withProjects(Project, latest));
+          }
+
+          const filter = buildPublicationFilter(req.query);
+          const { field, direction, spec } = buildPublicationSort(req.query);
+
+          const limit = Math.min(req.query.limit, MAX_PUBLICATION_LIMIT);
+          const { page } = req.query;
+
+          let pageFilter = filter;
+          let skip = (page - 1) * limit;
+          if (req.query.cursor) {
+              const cursor = decodeCursor(req.query.cursor, field);
+              if (!cursor) throw new HttpError(422, 'Invalid cursor', { details: [{ path: 'query.cursor', message: 'is not a cursor from this listing' }] });
+              pageFilter = { $and: [filter, cursorCondition(cursor, field, direction)] };
+              skip = 0;
+          }
+
+          const [publications, total] = await Promise.all([
+              Publication.find(pageFilter)
+                  .sort(spec)
+                  .skip(skip)
+                  .limit(limit + 1)
+                  .populate('authors.user', PUBLIC_AUTHOR_FIELDS)
+                  .exec(),
+              Publication.countDocuments(filter),
+          ]);
+
+          const hasMore = publications.length > limit;
+          if (hasMore) publications.pop();
+          const last = publications[publications.length - 1];
+
+          res.status(200).json({
+              publications: await withProjects(Project, publications),
+              total,
+              limit,
+              page: req.query.cursor ? null : page,
+              totalPages: Math.ceil(total / limit),
+              nextCursor: hasMore && last ? encodeCursor(last, field) : null,
+          });
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  // ------------------------------
+  // Author name matching (DOI drafts and citation imports)
+  // ------------------------------
+  // Lower-case, strip accents and punctuation so "José  García" matches "jose garcia"
+  const normalizePersonName = (name) => String(name || '')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^a-z\s]/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+
+  // Load every user once and return a lookup from an author name to a User id (or null)
+  const buildAuthorMatcher = async () => {
+      const users = await User.find({}, 'name').exec();
+      const byName = new Map();
+      users.forEach((user) => byName.set(normalizePersonName(user.name), user._id));
+      return (name) => byName.get(normalizePersonName(citations.displayName(name))) || null;
+  };
+
+  // ==============================
+  // EXPORT PUBLICATIONS
+  // ==============================
+  // ?format=bibtex|ris|csljson plus any of the listing filters (yearFrom, yearTo, author, hasDoi, q, sort, order)
+  router.get('/publications/export', doc('Download publications as citations', { content: citationExportContent }), validate({ query: { ...publicationFilterQuery, format: { ...citationFormatRule, default: 'bibtex' } } }), async (req, res, next) => {
+      try {
+          const { format } = req.query;
+
+          const { spec } = buildPublicationSort(req.query);
+          const publications = await Publication.find(buildPublicationFilter(req.query))
+              .sort(spec)
+              .populate('authors.user', 'name')
+              .exec();
+
+          sendCitationExport(res, publications, format, 'publications');
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  // ==============================
+  // IMPORT PUBLICATIONS (.bib / .ris)
+  // ==============================
+  // Multipart field `file`. Authors are matched to existing Users by name; unmatched
+  // names become external authors. Entries whose DOI already exists (in the trash too) are skipped.
+  // Imported publications are drafts.
+  router.post('/publications/import', [doc('Import publications from a BibTeX or RIS file', { response: { created: 'integer', skipped: 'integer', failed: 'integer', results: 'object[]' }, errors: [422] }), authenticate, checkTeamMembership, requireVerifiedEmail, uploads.single('citationFile')], async (req, res, next) => {
+      try {
+          if (!req.file) throw new HttpError(422, 'No file uploaded', { details: [{ path: 'file', message: 'is required' }] });
+
+          const entries = citations.parseCitations(req.file.buffer.toString('utf8'), req.file.originalname);
+          const matchAuthor = await buildAuthorMatcher();
+
+          // Trashed publications count too: restoring one would otherwise duplicate the import
+          const existing = await Publication.find({ doi: { $exists: true, $nin: [null, ''] } }, 'doi deletedAt')
+              .setOptions({ withDeleted: true })
+              .exec();
+          const knownDois = new Set(existing.map((pub) => citations.normalizeDoi(pub.doi)));
+          const trashedDois = new Set(existing.filter((pub) => pub.deletedAt).map((pub) => citations.normalizeDoi(pub.doi)));
+
+          const results = [];
+          for (const [index, entry] of entries.entries()) {
+              const result = { index, title: entry.title || null, doi: entry.doi || null };
+
+              if (entry.error) {
+                  results.push({ ...result, status: 'failed', reason: entry.error });
+                  continue;
+              }
+              if (!entry.title) {
+                  results.push({ ...result, status: 'failed', reason: 'Entry has no title' });
+                  continue;
+              }
+              if (entry.doi && knownDois.has(entry.doi)) {
+                  const reason = trashedDois.has(entry.doi) ? 'A publication with this DOI is in the trash' : 'A publication with this DOI already exists';
+                  results.push({ ...result, status: 'skipped', reason });
+                  continue;
+              }
+
+              // A member matched by two names of the entry is listed once, as checkAuthors requires
+              const matched = new Set();
+              const authors = [];
+              entry.authors.forEach((name) => {
+                  const userId = matchAuthor(name);
+                  if (!userId) {
+                      authors.push({ name });
+                  } else if (!matched.has(String(userId))) {
+                      matched.add(String(userId));
+                      authors.push({ user: userId });
+                  }
+              });
+
+              // The same field rules as a publication created by hand
+              let fields;
+              try {
+                  fields = validateObject({
+                      title: entry.title,
+                      authors,
+                      summary: entry.summary,
+                      doi: entry.doi,
+                      year: entry.year,
+                  }, publicationFields);
+              } catch (err) {
+                  if (!err.details) throw err;
+                  results.push({ ...result, status: 'failed', reason: err.details.map(({ path, message }) => `${path} ${message}`).join('; ') });
+                  continue;
+              }
+
+              try {
+                  const publication = new Publication({
+                      ...fields,
+                      status: 'draft',
+                      createdBy: req.user._id,
+                  });
+                  await publication.save();
+                  if (entry.doi) knownDois.add(entry.doi);
+                  results.push({
+                      ...result,
+                      status: 'created',
+                      id: publication._id,
+                      matchedAuthors: authors.filter((author) => author.user).length,
+                      unmatchedAuthors: authors.filter((author) => !author.user).map((author) => author.name),
+                  });
+              } catch (err) {
+                  results.push({ ...result, status: 'failed', reason: err.message });
+              }
+          }
+
+          const count = (status) => results.filter((r) => r.status === status).length;
+          res.status(200).json({
+              created: count('created'),
+              skipped: count('skipped'),
+              failed: count('failed'),
+              results,
+          });
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  router.get('/publications/year/:year', doc('List the publications of a year', { response: 'Publication[]' }), validate({ params: { year: { type: 'integer', required: true } } }), async (req, res, next) => {
+      try {
+          const { year } = req.params;
+          const publications = await Publication.find({ year, ...PUBLISHED_FILTER }).exec();
+          res.status(200).json(await withProjects(Project, publications));
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  // ==============================
+  // GET PUBLICATIONS BY USER AS AUTHOR
+  // ==============================
+  // Every status, drafts included; ?status= narrows it down
+  router.get('/publications/my', [doc('List the signed-in member\'s publications', { response: 'Publication[]' }), authenticate, checkTeamMembership, validate({ query: { status: { type: 'string', enum: PUBLICATION_STATUSES } } })], async (req, res, next) => {
+      try {
+          // Get the authenticated user's ID
+          const userId = req.user._id;
+          const { status } = req.query;
+
+          // Find all publications where the user is listed as an author, and the
+          // unpublished ones they created (see isCreator)
+          const filter = { $or: [{ 'authors.user': userId }, { createdBy: userId, status: { $nin: ['published', null] } }] };
+          if (status) Object.assign(filter, status === 'published' ? PUBLISHED_FILTER : { status });
+          const publications = await Publication.find(filter).sort({ updatedAt: -1 }).exec();
+
+          res.status(200).json(await withProjects(Project, publications));
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  // ==============================
+  // EDIT PUBLICATION BY ID
+  // ==============================
+  router.patch('/publications/:id', [doc('Update a publication', { response: 'Publication', errors: [409], description: 'Authors may edit drafts and rejected publications; holders of publications:edit-any may edit any publication.' }), authenticate, checkTeamMembership, requireVerifiedEmail, uploads.single('coverImage'), validate({ body: updatePublicationSchema }, { partial: true })], async (req, res, next) => {
+      try {
+          const { id } = req.params;
+          const updates = req.body;
+
+          // Check if the publication exists and the user is one of the authors
+          const publication = await Publication.findById(id);
+          if (!publication) throw new HttpError(404, 'Publication not found');
+
+          // Ensure the user is an author of the publication (or may edit any publication)
+          const editor = await can(req, 'publications:edit-any');
+          if (!editor && !publication.isAuthor(req.user._id)) {
+              throw new HttpError(403, 'Access denied: You are not an author of this publication');
+          }
+
+          // Authors work on drafts and rejected submissions; what is under review or
+          // published is only changed by editors
+          if (!editor) {
+              if (publication.status === 'submitted') {
+                  throw new HttpError(409, 'Publication is under review; withdraw the submission to edit it');
+              }
+              if (isPublished(publication)) {
+                  throw new HttpError(409, 'Published publications can only be changed by an editor');
+              }
+          }
+
+          if (updates.authors) updates.authors = await checkAuthors(updates.authors);
+
+          // Handle cover image upload
+          uploads.checkFileField(updates, 'coverImage', publication.coverImage);
+          if (req.file) {
+              const { url, variants } = await uploads.save('coverImage', req.file);
+              updates.coverImage = url;
+              updates.coverImageVariants = variants;
+          } else if (updates.coverImage !== undefined && updates.coverImage !== publication.coverImage) {
+              updates.coverImageVariants = null;
+          }
+
+          // Update the publication
+          const updatedPublication = await Publication.findByIdAndUpdate(id, { $set: updates }, { new: true });
+          if (!updatedPublication) throw new HttpError(404, 'Publication not found after update');
+
+          // Remove the replaced cover image and its variants
+          await uploads.replace(
+              [publication.coverImage, publication.coverImageVariants],
+              [updatedPublication.coverImage, updatedPublication.coverImageVariants]
+          );
+
+          res.status(200).json(updatedPublication);
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  // ==============================
+  // DELETE PUBLICATION BY ID (moves it to the trash)
+  // ==============================
+  router.delete('/publications/:id', [doc('Move a publication to the trash', { response: 'TrashedResponse', description: 'Only its authors (and its creator until it is published) and holders of publications:edit-any may delete a publication.' }), authenticate, checkTeamMembership], async (req, res, next) => {
+      try {
+          const { id } = req.params;
+          const publication = await Publication.findById(id);
+          if (!publication) throw new HttpError(404, 'Publication not found');
+
+          await checkAuthorOrEditor(req, publication);
+
+          await publication.softDelete(req.user._id);
+          res.status(200).json({ message: 'Publication moved to trash', id: publication._id });
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  // ==============================
+  // REVIEW WORKFLOW
+  // ==============================
+  // Oldest submission first, each with what changed since its previous submission
+  router.get('/publications/review', [doc('List publications waiting for review', { response: [{ publication: 'Publication', revision: { number: 'integer', changes: 'object?', createdAt: 'date' } }] }), authenticate, requirePermission('publications:review')], async (req, res, next) => {
+      try {
+          const publications = await Publication.find({ status: 'submitted' })
+              .sort({ submittedAt: 1 })
+              .populate('submittedBy', 'name')
+              .exec();
+
+          const revisions = await PublicationRevision.find({ publication: { $in: publications.map((publication) => publication._id) } })
+              .sort({ number: -1 })
+              .exec();
+          const latest = new Map();
+          revisions.forEach((revision) => {
+              const key = String(revision.publication);
+              if (!latest.has(key)) latest.set(key, revision);
+          });
+
+          res.status(200).json(publications.map((publication) => {
+              const revision = latest.get(String(publication._id));
+              return {
+                  publication,
+                  revision: revision ? { number: revision.number, changes: revision.changes, createdAt: revision.createdAt } : null,
+              };
+          }));
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  router.post('/publications/:id/submit', [doc('Submit a publication for review', { response: 'Publication', errors: [409] }), authenticate, checkTeamMembership, requireVerifiedEmail], async (req, res, next) => {
+      try {
+          const publication = await findForTransition(req.params.id, ['draft', 'rejected']);
+          await checkAuthorOrEditor(req, publication);
+
+          await recordRevision(publication, req.user._id);
+          publication.status = 'submitted';
+          publication.submittedAt = new Date();
+          publication.submittedBy = req.user._id;
+          await publication.save();
+
+          res.status(200).json(publication);
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  // Back to draft, so the authors can keep editing
+  router.post('/publications/:id/withdraw', [doc('Withdraw a publication from review', { response: 'Publication', errors: [409] }), authenticate, checkTeamMembership], async (req, res, next) => {
+      try {
+          const publication = await findForTransition(req.params.id, ['submitted']);
+          await checkAuthorOrEditor(req, publication);
+
+          publication.status = 'draft';
+          await publication.save();
+
+          res.status(200).json(publication);
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  router.post('/publications/:id/publish', [doc('Publish a submitted publication', { response: 'Publication', errors: [409] }), authenticate, requirePermission('publications:review')], async (req, res, next) => {
+      try {
+          const publication = await findForTransition(req.params.id, ['submitted']);
+
+          publication.status = 'published';
+          publication.publishedAt = new Date();
+          publication.reviewedAt = publication.publishedAt;
+          publication.reviewedBy = req.user._id;
+          publication.reviewComment = undefined;
+          await publication.save();
+
+          res.status(200).json(publication);
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  router.post('/publications/:id/reject', [doc('Reject a submitted publication', { response: 'Publication', errors: [409] }), authenticate, requirePermission('publications:review'), validate({ body: { comment: { type: 'string', required: true, maxLength: 5000 } } })], async (req, res, next) => {
+      try {
+          const publication = await findForTransition(req.params.id, ['submitted']);
+
+          publication.status = 'rejected';
+          publication.reviewedAt = new Date();
+          publication.reviewedBy = req.user._id;
+          publication.reviewComment = req.body.comment;
+          await publication.save();
+
+          res.status(200).json(publication);
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  // Newest first; `changes` is null on the first submission
+  router.get('/publications/:id/revisions', [doc('List the submitted revisions of a publication', { response: [{ _id: 'ObjectId', number: 'integer', snapshot: 'object', changes: 'object?', submittedBy: { _id: 'ObjectId', name: 'string' }, createdAt: 'date' }], errors: [403] }), authenticate], async (req, res, next) => {
+      try {
+          const publication = await Publication.findById(req.params.id);
+          if (!publication) throw new HttpError(404, 'Publication not found');
+          if (!(await can(req, 'publications:review'))) await checkAuthorOrEditor(req, publication);
+
+          const revisions = await PublicationRevision.find({ publication: publication._id })
+              .sort({ number: -1 })
+              .populate('submittedBy', 'name')
+              .exec();
+          res.status(200).json(revisions);
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  // GET publication by ID
+  router.get('/publications/:id', doc('Show a publication', { response: 'Publication', errors: [403], description: 'Only its authors (and its creator until it is published), reviewers and holders of publications:edit-any may see a single publication.' }), authenticate, async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const publication = await Publication.findById(id);
+
+      if (!publication) {
+        throw new HttpError(404, 'Publication not found');
+      }
+
+      // Optional: Ensure the requesting user is an author of the publication.
+      // If you want to allow public access, you can remove or adjust this check.
+      if (!(await can(req, 'publications:review'))) await checkAuthorOrEditor(req, publication);
+
+      const [withProject] = await withProjects(Project, [publication]);
+      res.status(200).json(withProject);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+};
+
+module.exports = {
+  createPublicationRouter,
+};
@@ -0,0 +1,168 @@
+//////////////////////////////
+//  routes/search.js
+//  Site search across publications, members and content, and autocomplete
+//////////////////////////////
+
+const { HttpError } = require('../lib/errors');
+const { validate } = require('../lib/validation');
+const { ACTIVE_USER_FILTER, PUBLISHED_FILTER, publishedNewsFilter } = require('../lib/models');
+const { queryTerms, buildSnippet, escapeRegex } = require('../lib/search');
+const { describeRoute } = require('../lib/openapi');
+const { createRouter } = require('./helpers');
+
+// Mounted under /api by createApp() (app.js)
+const createSearchRouter = ({ models }) => {
+  const {
+    User, Team, Publication, Technology, Tutorial, Notes, News, Project,
+  } = models;
+  const router = createRouter();
+  const doc = describeRoute('Search');
+
+  // Members are active accounts with a team entry (alumni included)
+  const memberFilter = async () => ({ ...ACTIVE_USER_FILTER, _id: { $in: await Team.distinct('userId') } });
+
+  // Every searchable type: its model, what the public may find (trashed documents are
+  // left out by lib/softDelete.js), the fields to load and how a hit is shown
+  const SEARCH_TYPES = {
+      publication: {
+          model: Publication, visible: () => PUBLISHED_FILTER, fields: 'title summary',
+          title: (hit) => hit.title, texts: (hit) => [hit.summary, hit.title],
+      },
+      member: {
+          model: User, visible: memberFilter, fields: 'name bio',
+          title: (hit) => hit.name, texts: (hit) => [hit.bio],
+      },
+      technology: {
+          model: Technology, visible: () => ({}), fields: 'name description',
+          title: (hit) => hit.name, texts: (hit) => [hit.description],
+      },
+      tutorial: {
+          model: Tutorial, visible: () => ({}), fields: 'name description',
+          title: (hit) => hit.name, texts: (hit) => [hit.description],
+      },
+      note: {
+          model: Notes, visible: () => ({}), fields: 'name description',
+          title: (hit) => hit.name, texts: (hit) => [hit.description],
+      },
+      news: {
+          model: News, visible: () => publishedNewsFilter(), fields: 'title body tags',
+          title: (hit) => hit.title, texts: (hit) => [hit.body, (hit.tags || []).join(', ')],
+      },
+      project: {
+          model: Project, visible: () => ({}), fields: 'title description',
+          title: (hit) => hit.title, texts: (hit) => [hit.description],
+      },
+  };
+
+  const MAX_SEARCH_LIMIT = 50;
+
+  const searchQuery = {
+      q: { type: 'string', required: true, maxLength: 200 },
+      type: { type: 'array', max: Object.keys(SEARCH_TYPES).length, items: { type: 'string', enum: Object.keys(SEARCH_TYPES) } },
+      limit: { type: 'integer', min: 1, max: MAX_SEARCH_LIMIT, default: 20 },
+  };
+
+  // ===================
+  // SEARCH
+  // ===================
+  // ?q= words (MongoDB text search: stemmed, "quoted phrases" and -excluded words work),
+  // ?type= one or more of SEARCH_TYPES (repeat the parameter), ?limit=.
+  // Text scores depend on each collection's text index (field weights, document lengths),
+  // so they are divided by the best score of their type before the results of every type
+  // are ranked together: each type's best hit scores 1, ties go to the higher raw score.
+  // `snippet` is HTML: escaped text with the matched words in <mark>.
+  router.get('/search', doc('Search the site', {
+      response: { q: 'string', results: [{ type: 'string', id: 'ObjectId', title: 'string', snippet: 'string', score: 'number' }], counts: 'object' },
+      description: '`score` is relative to the best match of the same type (1). `counts` has the number of matches of each searched type.',
+  }), validate({ query: searchQuery }), async (req, res, next) => {
+      try {
+          const { q, limit } = req.query;
+          const terms = queryTerms(q);
+          if (!terms.length) throw new HttpError(422, 'Validation failed', { details: [{ path: 'query.q', message: 'must contain a word' }] });
+          const types = req.query.type || Object.keys(SEARCH_TYPES);
+
+          const perType = await Promise.all(types.map(async (type) => {
+              const { model, visible, fields, title, texts } = SEARCH_TYPES[type];
+              const filter = { $text: { $search: q }, ...(await visible()) };
+              const [hits, total] = await Promise.all([
+                  model.find(filter)
+                      .select(fields)
+                      .select({ score: { $meta: 'textScore' } })
+                      .sort({ score: { $meta: 'textScore' } })
+                      .limit(limit)
+                      .lean()
+                      .exec(),
+                  model.countDocuments(filter),
+              ]);
+              const best = hits.length ? hits[0].score : 1;
+              return {
+                  type,
+                  total,
+                  results: hits.map((hit) => ({
+                      type,
+                      id: hit._id,
+                      title: title(hit),
+                      snippet: buildSnippet(texts(hit), terms),
+                      score: hit.score / best,
+                      textScore: hit.score,
+                  })),
+              };
+          }));
+
+          const counts = {};
+          perType.forEach(({ type, total }) => {
+              counts[type] = total;
+          });
+          const results = perType
+              .flatMap((entry) => entry.results)
+              .sort((a, b) => b.score - a.score || b.textScore - a.textScore)
+              .slice(0, limit)
+              .map(({ textScore, ...result }) => result);
+
+          res.status(200).json({ q, results, counts });
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  // ===================
+  // AUTOCOMPLETE
+  // ===================
+  // Member names and publication titles with a word starting with ?q=; those starting
+  // with it come first, then alphabetical
+  router.get('/search/suggest', doc('Suggest member names and publication titles', { response: [{ type: 'string', id: 'ObjectId', label: 'string' }] }), validate({ query: {
+      q: { type: 'string', required: true, minLength: 2, maxLength: 100 },
+      limit: { type: 'integer', min: 1, max: 20, default: 8 },
+  } }), async (req, res, next) => {
+      try {
+          const { q, limit } = req.query;
+          const wordStart = new RegExp(`(^|\\s)${escapeRegex(q)}`, 'i');
+
+          const [members, publications] = await Promise.all([
+              User.find({ name: wordStart, ...(await memberFilter()) }, 'name').limit(limit).lean().exec(),
+              Publication.find({ title: wordStart, ...PUBLISHED_FILTER }, 'title').limit(limit).lean().exec(),
+          ]);
+
+          const prefix = q.toLowerCase();
+          const suggestions = [
+              ...members.map((member) => ({ type: 'member', id: member._id, label: member.name })),
+              ...publications.map((publication) => ({ type: 'publication', id: publication._id, label: publication.title })),
+          ].sort((a, b) => {
+              const aFirst = a.label.toLowerCase().startsWith(prefix);
+              const bFirst = b.label.toLowerCase().startsWith(prefix);
+              if (aFirst !== bFirst) return aFirst ? -1 : 1;
+              return a.label.localeCompare(b.label);
+          });
+
+          res.status(200).json(suggestions.slice(0, limit));
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  return router;
+};
+
+module.exports = {
+  createSearchRouter,
+};
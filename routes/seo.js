@@ -0,0 +1,212 @@
+//////////////////////////////
+//  routes/seo.js
+//  sitemap.xml, schema.org JSON-LD and HTML snapshots for crawlers and link previews
+//////////////////////////////
+
+const { HttpError } = require('../lib/errors');
+const { ACTIVE_USER_FILTER, PUBLISHED_FILTER } = require('../lib/models');
+const {
+  PAGES, sitemapXml, organizationJsonLd, personJsonLd, publicationJsonLd, htmlSnapshot,
+} = require('../lib/seo');
+const { toPlainText } = require('../lib/search');
+const { describeRoute } = require('../lib/openapi');
+const { createRouter } = require('./helpers');
+
+// Mounted at the site root by createApp() (app.js), like the feeds: crawlers expect
+// /sitemap.xml there, and the frontend's host can proxy /snapshots/* to this app
+// for crawler user agents.
+const createSeoRouter = ({ models, config }) => {
+  const {
+    User, Team, Publication, Technology, Tutorial, AboutText, Address,
+  } = models;
+  const router = createRouter();
+  const doc = describeRoute('SEO');
+
+  const CACHE_CONTROL = 'public, max-age=3600';
+  const jsonLdContent = { 'application/ld+json': { schema: { type: 'object' } } };
+  const htmlContent = { 'text/html': { schema: { type: 'string' } } };
+
+  const siteFor = (req) => ({
+      name: config.siteName,
+      url: config.appUrl,
+      origin: `${req.protocol}://${req.get('host')}`,
+  });
+
+  // Members are active accounts with a team entry (alumni included), as on the roster.
+  // Resolves to { user, role } with their roster role, or throws a 404.
+  const findMember = async (userId) => {
+      const [user, entry] = await Promise.all([
+          User.findOne({ _id: userId, ...ACTIVE_USER_FILTER }).lean().exec(),
+          Team.findOne({ userId }, 'periods').lean().exec(),
+      ]);
+      if (!user || !entry) throw new HttpError(404, 'Member not found');
+      const periods = entry.periods || [];
+      return { user, role: periods.length ? periods[periods.length - 1].role : user.role };
+  };
+
+  // Authors whose account is no longer active are left out
+  const findPublication = async (id) => {
+      const publication = await Publication.findOne({ _id: id, ...PUBLISHED_FILTER })
+          .populate({ path: 'authors.user', select: 'name', match: ACTIVE_USER_FILTER })
+          .lean()
+          .exec();
+      if (!publication) throw new HttpError(404, 'Publication not found');
+      return publication;
+  };
+
+  const loadOrganization = async () => {
+      const [abouts, addresses] = await Promise.all([
+          AboutText.find().lean().exec(),
+          Address.find().lean().exec(),
+      ]);
+      return { abouts, addresses };
+  };
+
+  const sendJsonLd = (res, value) => {
+      res.set('Cache-Control', CACHE_CONTROL);
+      res.type('application/ld+json; charset=utf-8');
+      res.status(200).send(JSON.stringify(value));
+  };
+
+  const sendSnapshot = (res, page, site) => {
+      res.set('Cache-Control', CACHE_CONTROL);
+      res.type('html');
+      res.status(200).send(htmlSnapshot(page, site));
+  };
+
+  const authorNames = (publication) => publication.authors
+      .map((author) => (author.user ? author.user.name : author.name))
+      .filter(Boolean)
+      .join(', ');
+
+  // ===================
+  // SITEMAP
+  // ===================
+  // The listing pages, then every member, published publication, technology and tutorial
+  router.get('/sitemap.xml', doc('Sitemap of the public pages', { content: { 'application/xml': { schema: { type: 'string' } } } }), async (req, res, next) => {
+      try {
+          const entries = await Team.find({}, 'userId').lean().exec();
+          const [members, publications, technologies, tutorials] = await Promise.all([
+              User.find({ _id: { $in: entries.map((entry) => entry.userId) }, ...ACTIVE_USER_FILTER }, 'updatedAt').sort({ _id: 1 }).lean().exec(),
+              Publication.find(PUBLISHED_FILTER, 'updatedAt').sort({ _id: 1 }).lean().exec(),
+              Technology.find({}, '_id').sort({ _id: 1 }).lean().exec(),
+              Tutorial.find({}, '_id').sort({ _id: 1 }).lean().exec(),
+          ]);
+
+          const url = (path, lastmod) => ({ loc: `${config.appUrl}${path}`, lastmod });
+          const urls = [
+              ...['home', 'team', 'publications', 'technologies', 'tutorials'].map((page) => url(PAGES[page]())),
+              ...members.map((member) => url(PAGES.member(member._id), member.updatedAt)),
+              ...publications.map((publication) => url(PAGES.publication(publication._id), publication.updatedAt)),
+              ...technologies.map((technology) => url(PAGES.technology(technology._id))),
+              ...tutorials.map((tutorial) => url(PAGES.tutorial(tutorial._id))),
+          ];
+
+          res.set('Cache-Control', CACHE_CONTROL);
+          res.type('application/xml; charset=utf-8');
+          res.status(200).send(sitemapXml(urls));
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  // ===================
+  // JSON-LD
+  // ===================
+  router.get('/jsonld/organization', doc('The lab as a schema.org ResearchOrganization', { content: jsonLdContent, description: 'Built from the about texts and addresses.' }), async (req, res, next) => {
+      try {
+          sendJsonLd(res, organizationJsonLd(await loadOrganization(), siteFor(req)));
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  router.get('/jsonld/members/:userId', doc('A member as a schema.org Person', { content: jsonLdContent, errors: [404] }), async (req, res, next) => {
+      try {
+          const { user, role } = await findMember(req.params.userId);
+          sendJsonLd(res, personJsonLd(user, role, siteFor(req)));
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  router.get('/jsonld/publications/:id', doc('A publication as a schema.org ScholarlyArticle', { content: jsonLdContent, errors: [404] }), async (req, res, next) => {
+      try {
+          sendJsonLd(res, publicationJsonLd(await findPublication(req.params.id), siteFor(req)));
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  // ===================
+  // HTML SNAPSHOTS
+  // ===================
+  // Title, description, Open Graph / Twitter card tags, the JSON-LD above and a few
+  // lines of text; the canonical URL is the frontend page.
+  router.get('/snapshots', doc('Snapshot of the home page', { content: htmlContent }), async (req, res, next) => {
+      try {
+          const site = siteFor(req);
+          const organization = await loadOrganization();
+          const about = organization.abouts.map((entry) => toPlainText(entry.text));
+          sendSnapshot(res, {
+              title: site.name,
+              description: about.join(' '),
+              url: `${site.url}${PAGES.home()}`,
+              type: 'website',
+              jsonLd: organizationJsonLd(organization, site),
+              body: about,
+          }, site);
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  router.get('/snapshots/team/:userId', doc('Snapshot of a member page', { content: htmlContent, errors: [404] }), async (req, res, next) => {
+      try {
+          const site = siteFor(req);
+          const { user, role } = await findMember(req.params.userId);
+          const image = (user.imageVariants && user.imageVariants.medium) || user.image;
+          sendSnapshot(res, {
+              title: user.name,
+              description: toPlainText(user.bio) || `${role}, ${site.name}`,
+              url: `${site.url}${PAGES.member(user._id)}`,
+              image: image ? new URL(image, site.origin).href : null,
+              type: 'profile',
+              jsonLd: personJsonLd(user, role, site),
+              body: [role, toPlainText(user.bio)],
+          }, site);
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  router.get('/snapshots/publications/:id', doc('Snapshot of a publication page', { content: htmlContent, errors: [404] }), async (req, res, next) => {
+      try {
+          const site = siteFor(req);
+          const publication = await findPublication(req.params.id);
+          const cover = (publication.coverImageVariants && publication.coverImageVariants.large) || publication.coverImage;
+          const authors = authorNames(publication);
+          sendSnapshot(res, {
+              title: publication.title,
+              description: toPlainText(publication.summary) || authors,
+              url: `${site.url}${PAGES.publication(publication._id)}`,
+              image: cover ? new URL(cover, site.origin).href : null,
+              type: 'article',
+              jsonLd: publicationJsonLd(publication, site),
+              body: [
+                  authors,
+                  [publication.year, publication.doi && `https://doi.org/${publication.doi}`].filter(Boolean).join(' · '),
+                  toPlainText(publication.summary),
+              ],
+          }, site);
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  return router;
+};
+
+module.exports = {
+  createSeoRouter,
+};
@@ -0,0 +1,317 @@
+//////////////////////////////
+//  routes/stats.js
+//  Publication and team statistics, and the co-authorship graph
+//////////////////////////////
+
+const { validate } = require('../lib/validation');
+const { ACTIVE_USER_FILTER, PUBLISHED_FILTER } = require('../lib/models');
+const { describeRoute } = require('../lib/openapi');
+const { createRouter } = require('./helpers');
+
+// Mounted under /api by createApp() (app.js)
+const createStatsRouter = ({ models }) => {
+  const { User, Team, Publication } = models;
+  const router = createRouter();
+  const doc = describeRoute('Statistics');
+
+  // ?from= &to= dates limit every statistic; publications are counted by their year
+  const rangeQuery = {
+      from: { type: 'date' },
+      to: { type: 'date' },
+  };
+
+  // ===================
+  // CACHE
+  // ===================
+  // Results are kept per URL until the publications, team entries or users they are
+  // computed from change. The version is read from the database on every request, so
+  // a change made through another instance of the app invalidates this one's cache too.
+  const MAX_CACHE_ENTRIES = 100;
+  const cache = new Map();
+
+  // Raw collections: trashing a document changes its updatedAt, purging it the count.
+  // Both are cheap: the latest updatedAt comes from its index (lib/models.js) and the
+  // count from the collection metadata.
+  const dataVersion = async () => {
+      const stamps = await Promise.all([Publication, Team, User].map(async (Model) => {
+          const [latest, count] = await Promise.all([
+              Model.collection.findOne({}, { sort: { updatedAt: -1 }, projection: { updatedAt: 1 } }),
+              Model.collection.estimatedDocumentCount(),
+          ]);
+          return `${count}:${latest && latest.updatedAt ? latest.updatedAt.getTime() : 0}`;
+      }));
+      return stamps.join('|');
+  };
+
+  // Send compute()'s result, from the cache when the data has not changed since.
+  // X-Cache says which it was. Results that depend on the current date (see /stats/team)
+  // pass `asOf`, the UTC day, so they are recomputed at least daily.
+  const sendCached = async (req, res, compute, { asOf } = {}) => {
+      const version = await dataVersion();
+      const key = asOf ? `${req.originalUrl} @${asOf}` : req.originalUrl;
+      const hit = cache.get(key);
+      if (hit && hit.version === version) {
+          res.set('X-Cache', 'hit');
+          return res.status(200).json(hit.value);
+      }
+
+      const value = await compute();
+      // Oldest entries go first
+      cache.delete(key);
+      cache.set(key, { version, value });
+      if (cache.size > MAX_CACHE_ENTRIES) cache.delete(cache.keys().next().value);
+      res.set('X-Cache', 'miss');
+      return res.status(200).json(value);
+  };
+
+  // ===================
+  // HELPERS
+  // ===================
+  const publicationFilter = ({ from, to }) => {
+      const filter = { ...PUBLISHED_FILTER };
+      if (from || to) {
+          filter.year = {};
+          if (from) filter.year.$gte = from.getUTCFullYear();
+          if (to) filter.year.$lte = to.getUTCFullYear();
+      }
+      return filter;
+  };
+
+  const inRange = (date, { from, to }) => Boolean(date) && (!from || date >= from) && (!to || date <= to);
+
+  // Team entries of active accounts with their user, as on the roster (routes/team.js)
+  const loadMembers = async () => {
+      const entries = await Team.find({}, 'userId isAlumni periods').lean().exec();
+      const users = await User.find({ _id: { $in: entries.map((entry) => entry.userId) }, ...ACTIVE_USER_FILTER }, 'name role').lean().exec();
+      const usersById = new Map(users.map((user) => [String(user._id), user]));
+      return entries
+          .filter((entry) => usersById.has(String(entry.userId)))
+          .map((entry) => ({ ...entry, periods: entry.periods || [], user: usersById.get(String(entry.userId)) }));
+  };
+
+  // Role of a member in `year`: the latest period overlapping it, else their roster role
+  const roleInYear = (member, year) => {
+      const { periods } = member;
+      const during = periods.filter((period) => period.startDate.getUTCFullYear() <= year
+          && (!period.endDate || period.endDate.getUTCFullYear() >= year));
+      if (during.length) return during[during.length - 1].role;
+      if (periods.length) return periods[periods.length - 1].role;
+      return member.user.role;
+  };
+
+  // { key: count } -> [{ [name]: key, count }], biggest first then by key
+  const toCountList = (counts, name) => [...counts.entries()]
+      .map(([key, count]) => ({ [name]: key, count }))
+      .sort((a, b) => b.count - a.count || String(a[name]).localeCompare(String(b[name])));
+
+  const increment = (counts, key) => counts.set(key, (counts.get(key) || 0) + 1);
+
+  // Same key for "Jane  Doe" and "jane doe"
+  const externalKey = (name) => `external:${name.trim().replace(/\s+/g, ' ').toLowerCase()}`;
+
+  // ===================
+  // PUBLICATIONS
+  // ===================
+  // Published publications per year, per member (active accounts) and per role. A
+  // member's role is the one they held in the publication's year; a publication counts
+  // once per role however many members in that role wrote it.
+  router.get('/stats/publications', doc('Publication statistics', {
+      response: {
+          total: 'integer',
+          byYear: [{ year: 'integer', count: 'integer' }],
+          byMember: [{ user: { _id: 'ObjectId', name: 'string' }, count: 'integer' }],
+          byRole: [{ role: 'string', count: 'integer' }],
+      },
+      description: 'Cached until publications, team entries or users change (see the X-Cache header).',
+  }), validate({ query: rangeQuery }), async (req, res, next) => {
+      try {
+          await sendCached(req, res, async () => {
+              const [publications, members] = await Promise.all([
+                  Publication.find(publicationFilter(req.query), 'year authors.user').lean().exec(),
+                  loadMembers(),
+              ]);
+              const membersById = new Map(members.map((member) => [String(member.userId), member]));
+              // Authors with an account may have no team entry
+              const authorIds = publications.flatMap((publication) => publication.authors
+                  .filter((author) => author.user)
+                  .map((author) => author.user));
+              const authors = await User.find({ _id: { $in: authorIds }, ...ACTIVE_USER_FILTER }, 'name role').lean().exec();
+              const usersById = new Map(authors.map((user) => [String(user._id), user]));
+
+              const byYear = new Map();
+              const byMember = new Map();
+              const byRole = new Map();
+              publications.forEach((publication) => {
+                  increment(byYear, publication.year);
+                  const roles = new Set();
+                  publication.authors.forEach((author) => {
+                      const id = author.user && String(author.user);
+                      if (!id || !usersById.has(id)) return;
+                      increment(byMember, id);
+                      const member = membersById.get(id);
+                      roles.add(member ? roleInYear(member, publication.year) : usersById.get(id).role);
+                  });
+                  roles.forEach((role) => increment(byRole, role));
+              });
+
+              return {
+                  total: publications.length,
+                  byYear: [...byYear.entries()]
+                      .map(([year, count]) => ({ year, count }))
+                      .sort((a, b) => a.year - b.year),
+                  byMember: [...byMember.entries()]
+                      .map(([id, count]) => ({ user: { _id: id, name: usersById.get(id).name }, count }))
+                      .sort((a, b) => b.count - a.count || a.user.name.localeCompare(b.user.name)),
+                  byRole: toCountList(byRole, 'role'),
+              };
+          });
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  // ===================
+  // TEAM
+  // ===================
+  // Members joining (start of their first period) and leaving (end of their last, once
+  // all are closed) per year within the range, and who is current or alumni at ?to=
+  // (default today), with their role then. Entries from before membership periods have no
+  // dates and only count by their stored alumni flag.
+  router.get('/stats/team', doc('Team statistics', {
+      response: {
+          joinedByYear: [{ year: 'integer', count: 'integer' }],
+          leftByYear: [{ year: 'integer', count: 'integer' }],
+          current: { count: 'integer', byRole: [{ role: 'string', count: 'integer' }] },
+          alumni: { count: 'integer', byRole: [{ role: 'string', count: 'integer' }] },
+      },
+      description: 'Cached until publications, team entries or users change, and without `to` until the end of the day (see the X-Cache header).',
+  }), validate({ query: rangeQuery }), async (req, res, next) => {
+      try {
+          // Without ?to= the counts are as of the end of the current UTC day, cached for that day
+          const today = new Date().toISOString().slice(0, 10);
+          const at = req.query.to || new Date(`${today}T23:59:59.999Z`);
+          await sendCached(req, res, async () => {
+              const members = await loadMembers();
+
+              const joined = new Map();
+              const left = new Map();
+              const current = new Map();
+              const alumni = new Map();
+              members.forEach((member) => {
+                  const { periods } = member;
+                  if (!periods.length) {
+                      increment(member.isAlumni ? alumni : current, member.user.role);
+                      return;
+                  }
+
+                  const first = periods[0];
+                  const ends = periods.map((period) => period.endDate);
+                  const lastEnd = ends.every(Boolean) ? new Date(Math.max(...ends)) : null;
+                  if (inRange(first.startDate, req.query)) increment(joined, first.startDate.getUTCFullYear());
+                  if (inRange(lastEnd, req.query)) increment(left, lastEnd.getUTCFullYear());
+
+                  const started = periods.filter((period) => period.startDate <= at);
+                  if (!started.length) return;
+                  const open = started.filter((period) => !period.endDate || period.endDate > at);
+                  if (open.length) increment(current, open[open.length - 1].role);
+                  else increment(alumni, started[started.length - 1].role);
+              });
+
+              const perYear = (counts) => [...counts.entries()]
+                  .map(([year, count]) => ({ year, count }))
+                  .sort((a, b) => a.year - b.year);
+              const total = (counts) => [...counts.values()].reduce((sum, count) => sum + count, 0);
+
+              return {
+                  joinedByYear: perYear(joined),
+                  leftByYear: perYear(left),
+                  current: { count: total(current), byRole: toCountList(current, 'role') },
+                  alumni: { count: total(alumni), byRole: toCountList(alumni, 'role') },
+              };
+          }, { asOf: req.query.to ? null : today });
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  // ===================
+  // CO-AUTHORSHIP GRAPH
+  // ===================
+  // JSON Graph Format (https://jsongraphformat.info/): nodes are members (keyed by user
+  // id) and external authors (keyed by normalized name), an edge joins two authors of
+  // the same publication and its weight is the number of publications they share.
+  // Authors whose account is no longer active are left out.
+  router.get('/stats/coauthors', doc('Co-authorship graph', {
+      response: {
+          graph: {
+              id: 'string',
+              type: 'string',
+              label: 'string',
+              directed: 'boolean',
+              metadata: 'object',
+              nodes: 'object',
+              edges: [{ source: 'string', target: 'string', relation: 'string', metadata: { weight: 'integer' } }],
+          },
+      },
+      description: '`nodes` maps ids to `{ label, metadata: { kind, publications, userId? } }`, `kind` being member or external. Cached until publications, team entries or users change (see the X-Cache header).',
+  }), validate({ query: rangeQuery }), async (req, res, next) => {
+      try {
+          await sendCached(req, res, async () => {
+              const publications = await Publication.find(publicationFilter(req.query), 'authors.user authors.name')
+                  .populate({ path: 'authors.user', select: 'name', match: ACTIVE_USER_FILTER })
+                  .lean()
+                  .exec();
+
+              const nodes = {};
+              const edges = new Map();
+              publications.forEach((publication) => {
+                  const ids = new Set();
+                  publication.authors.forEach((author) => {
+                      let id;
+                      if (author.user) {
+                          id = String(author.user._id);
+                          nodes[id] = nodes[id] || { label: author.user.name, metadata: { kind: 'member', userId: id, publications: 0 } };
+                      } else if (author.name) {
+                          id = externalKey(author.name);
+                          nodes[id] = nodes[id] || { label: author.name.trim(), metadata: { kind: 'external', publications: 0 } };
+                      }
+                      if (id) ids.add(id);
+                  });
+
+                  const authors = [...ids].sort();
+                  authors.forEach((id, index) => {
+                      nodes[id].metadata.publications += 1;
+                      authors.slice(index + 1).forEach((other) => increment(edges, `${id}\n${other}`));
+                  });
+              });
+
+              return {
+                  graph: {
+                      id: 'coauthorship',
+                      type: 'coauthorship',
+                      label: 'Co-authorship',
+                      directed: false,
+                      metadata: {
+                          from: req.query.from || null,
+                          to: req.query.to || null,
+                          publications: publications.length,
+                      },
+                      nodes,
+                      edges: [...edges.entries()].map(([pair, weight]) => {
+                          const [source, target] = pair.split('\n');
+                          return { source, target, relation: 'coauthor', metadata: { weight } };
+                      }),
+                  },
+              };
+          });
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  return router;
+};
+
+module.exports = {
+  createStatsRouter,
+};
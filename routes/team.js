@@ -0,0 +1,393 @@
+//////////////////////////////
+//  routes/team.js
+//  Team membership and member pages
+//////////////////////////////
+
+const { HttpError } = require('../lib/errors');
+const { validate } = require('../lib/validation');
+const { serializeUser, PUBLIC_USER_FIELDS } = require('../lib/serializers');
+const { ACTIVE_USER_FILTER, PUBLISHED_FILTER, isActiveUser } = require('../lib/models');
+const { describeRoute } = require('../lib/openapi');
+const {
+  createRouter, citationFormatRule, sendCitationExport, citationExportContent, memberPublicationsFilter, withProjects,
+} = require('./helpers');
+
+// Mounted under /api by createApp() (app.js)
+const createTeamRouter = ({ models, auth }) => {
+  const { User, Publication, Team, Role, Project } = models;
+  const { authenticate, identify, requirePermission, userViewFor } = auth;
+  const router = createRouter();
+  const doc = describeRoute('Team');
+
+  // ===================
+  // TEAM MANAGEMENT
+  // ===================
+  // Self-chosen and period roles must name an existing Role
+  const checkRoleName = async (roleName, path = 'role') => {
+      if (!(await Role.exists({ roleName }))) {
+          throw new HttpError(422, 'Unknown role', { details: [{ path, message: 'must be the name of an existing role' }] });
+      }
+  };
+
+  // Body: { userId, role?, startDate? }. Opens the first membership period, in the
+  // role on the user's profile unless another one is given, starting today by default.
+  const addMemberSchema = {
+      userId: { type: 'objectId', required: true },
+      role: { type: 'string', maxLength: 100 },
+      startDate: { type: 'date' },
+  };
+
+  router.post('/team', [doc('Add a user to the team', { status: 201, response: 'text', errors: [404, 409] }), authenticate, requirePermission('team:manage'), validate({ body: addMemberSchema })], async (req, res, next) => {
+      try {
+
+          const { userId, startDate = new Date() } = req.body;
+          const user = await User.findById(userId).exec();
+          if (!user) throw new HttpError(404, 'User not found');
+          const role = req.body.role || user.role;
+          if (req.body.role) await checkRoleName(role);
+
+          const teamMember = new Team({
+              userId,
+              addedBy: req.user._id,
+              periods: [{ role, startDate }],
+          });
+
+          await teamMember.save();
+          res.status(201).send('Team member added successfully');
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  router.delete('/team/:userId', [doc('Remove a user from the team', { response: 'text' }), authenticate, requirePermission('team:manage')], async (req, res, next) => {
+      try {
+          const { userId } = req.params;
+
+          const removedMember = await Team.findOneAndDelete({ userId });
+          if (!removedMember) {
+              throw new HttpError(404, 'Team member not found');
+          }
+          res.status(200).send('Team member removed successfully');
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  // Toggle Alumni. Kept for older clients: closes the open membership period today, or
+  // opens a new one (in the last role held) for an alumnus who rejoins.
+  router.patch('/team/:userId/alumni', [doc('Toggle a member\'s alumni status', { response: { message: 'string', updatedMember: 'TeamMember' } }), authenticate, requirePermission('team:manage')], async (req, res, next) => {
+      try {
+
+          const { userId } = req.params;
+          const member = await Team.findOne({ userId });
+          if (!member) throw new HttpError(404, 'Team member not found');
+
+          const now = new Date();
+          const current = member.currentPeriod();
+          if (current) {
+              current.endDate = now;
+          } else if (member.periods.length) {
+              member.periods.push({ role: member.periods[member.periods.length - 1].role, startDate: now });
+          } else {
+              // An entry from before membership periods: its history starts now
+              if (member.isAlumni) {
+                  const user = await User.findById(userId, 'role').exec();
+                  if (!user) throw new HttpError(404, 'User not found');
+                  member.periods.push({ role: user.role, startDate: now });
+              } else {
+                  member.isAlumni = true;
+              }
+          }
+          await member.save();
+
+          res.status(200).send({
+              message: 'Team member alumni status toggled successfully',
+              updatedMember: member
+          });
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  // ===================
+  // MEMBERSHIP PERIODS
+  // ===================
+  // A member has at most one open period and periods never overlap; a change of role
+  // is recorded by closing the current period and adding the next one.
+  const periodFields = {
+      role: { type: 'string', required: true, maxLength: 100 },
+      startDate: { type: 'date', required: true },
+      endDate: { type: 'date' },
+  };
+  const afterLeavingFields = {
+      type: 'object',
+      nullable: true,
+      fields: {
+          position: { type: 'string', maxLength: 200 },
+          organization: { type: 'string', maxLength: 200 },
+          link: { type: 'url' },
+      },
+  };
+  const periodIdParams = { periodId: { type: 'objectId', required: true } };
+
+  const periodEnds = (period) => (period.endDate ? period.endDate.getTime() : Infinity);
+  const overlaps = (a, b) => a.startDate.getTime() < periodEnds(b) && b.startDate.getTime() < periodEnds(a);
+
+  const checkEndDate = (startDate, endDate) => {
+      if (endDate < startDate) {
+          throw new HttpError(422, 'Validation failed', { details: [{ path: 'endDate', message: 'must not be before startDate' }] });
+      }
+      if (endDate > new Date()) {
+          throw new HttpError(422, 'Validation failed', { details: [{ path: 'endDate', message: 'must not be in the future' }] });
+      }
+  };
+
+  const findMember = async (userId) => {
+      const member = await Team.findOne({ userId }).exec();
+      if (!member) throw new HttpError(404, 'Team member not found');
+      return member;
+  };
+
+  router.post('/team/:userId/periods', [doc('Add a membership period', { status: 201, response: 'TeamMember', errors: [404, 409] }), authenticate, requirePermission('team:manage'), validate({ body: periodFields })], async (req, res, next) => {
+      try {
+          const { role, startDate, endDate } = req.body;
+          await checkRoleName(role);
+          if (endDate) checkEndDate(startDate, endDate);
+
+          const member = await findMember(req.params.userId);
+          const period = { startDate, endDate };
+          const clash = member.periods.find((existing) => overlaps(existing, period));
+          if (clash) {
+              throw new HttpError(409, clash.endDate ? 'Overlaps another membership period' : 'Close the current membership period first', { details: { periodId: clash._id } });
+          }
+
+          member.periods.push({ role, startDate, endDate });
+          await member.save();
+          res.status(201).json(member);
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  // Body: { endDate? (default now), afterLeaving? }
+  router.post('/team/:userId/periods/:periodId/close', [doc('Close a membership period', { response: 'TeamMember', errors: [404, 409] }), authenticate, requirePermission('team:manage'), validate({ params: periodIdParams, body: { endDate: { type: 'date' }, afterLeaving: afterLeavingFields } })], async (req, res, next) => {
+      try {
+          const member = await findMember(req.params.userId);
+          const period = member.periods.id(req.params.periodId);
+          if (!period) throw new HttpError(404, 'Membership period not found');
+          if (period.endDate) throw new HttpError(409, 'Membership period is already closed');
+
+          const { endDate = new Date(), afterLeaving } = req.body;
+          checkEndDate(period.startDate, endDate);
+          period.endDate = endDate;
+          if (afterLeaving !== undefined) member.afterLeaving = afterLeaving;
+          await member.save();
+          res.status(200).json(member);
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  // Body: { afterLeaving } - where an alumnus is now (null clears it)
+  router.patch('/team/:userId', [doc('Update a member\'s position after leaving', { response: 'TeamMember' }), authenticate, requirePermission('team:manage'), validate({ body: { afterLeaving: { ...afterLeavingFields, required: true } } })], async (req, res, next) => {
+      try {
+          const member = await findMember(req.params.userId);
+          member.afterLeaving = req.body.afterLeaving;
+          await member.save();
+          res.status(200).json(member);
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  router.get('/team', doc('List the team', { response: 'TeamMember[]' }), async (req, res, next) => {
+      try {
+          const teamMembers = await Team.find().exec();
+          res.status(200).json(teamMembers);
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  // ===================
+  // ROSTER
+  // ===================
+  // The public team page in one aggregation: active members with their public profile,
+  // membership periods, Role and published publication count. A member's Role is the one of their
+  // latest period (the profile's role for entries without periods). Sorted current
+  // members first, then by Role.displayOrder and Team.displayOrder; anything without an
+  // order comes after the ordered ones, by name.
+  const UNORDERED = Number.MAX_SAFE_INTEGER;
+  const rosterUserFields = {};
+  [...PUBLIC_USER_FIELDS, 'email', 'showEmail'].forEach((field) => { rosterUserFields[field] = 1; });
+
+  const rosterPipeline = () => [
+      { $lookup: { from: User.collection.name, localField: 'userId', foreignField: '_id', as: 'user' } },
+      { $unwind: '$user' },
+      { $match: { 'user.status': ACTIVE_USER_FILTER.status } },
+      // periods are kept sorted by startDate (lib/models.js)
+      { $addFields: { rosterRole: { $ifNull: [{ $last: '$periods.role' }, '$user.role'] } } },
+      // aggregate() is not filtered by lib/softDelete.js, so trashed roles and publications are skipped here
+      {
+          $lookup: {
+              from: Role.collection.name,
+              localField: 'rosterRole',
+              foreignField: 'roleName',
+              pipeline: [{ $match: { deletedAt: null } }, { $project: { roleName: 1, displayOrder: 1 } }],
+              as: 'role',
+          },
+      },
+      {
+          $lookup: {
+              from: Publication.collection.name,
+              localField: 'userId',
+              foreignField: 'authors.user',
+              pipeline: [{ $match: { deletedAt: null, ...PUBLISHED_FILTER } }, { $count: 'count' }],
+              as: 'publications',
+          },
+      },
+      {
+          $project: {
+              isAlumni: { $eq: ['$isAlumni', true] },
+              displayOrder: 1,
+              periods: 1,
+              afterLeaving: 1,
+              rosterRole: 1,
+              user: rosterUserFields,
+              role: { $first: '$role' },
+              publicationCount: { $ifNull: [{ $first: '$publications.count' }, 0] },
+          },
+      },
+      {
+          $addFields: {
+              roleOrder: { $ifNull: ['$role.displayOrder', UNORDERED] },
+              memberOrder: { $ifNull: ['$displayOrder', UNORDERED] },
+          },
+      },
+      { $sort: { isAlumni: 1, roleOrder: 1, rosterRole: 1, memberOrder: 1, 'user.name': 1 } },
+  ];
+
+  // Sorted roster entries -> [{ roleName, role, members }]. Members whose role no longer
+  // exists are grouped under its name with `role: null`.
+  const groupByRole = (entries) => {
+      const groups = [];
+      entries.forEach((entry) => {
+          const roleName = entry.role ? entry.role.roleName : entry.rosterRole;
+          let group = groups[groups.length - 1];
+          if (!group || group.roleName !== roleName) {
+              group = { roleName, role: entry.role || null, members: [] };
+              groups.push(group);
+          }
+          group.members.push({
+              ...serializeUser(entry.user, 'public'),
+              publicationCount: entry.publicationCount,
+              displayOrder: entry.displayOrder ?? null,
+              periods: entry.periods || [],
+              afterLeaving: entry.afterLeaving || null,
+          });
+      });
+      return groups;
+  };
+
+  router.get('/team/roster', doc('Show the team roster', {
+      response: {
+          current: [{ roleName: 'string', role: 'Role?', members: 'RosterMember[]' }],
+          alumni: [{ roleName: 'string', role: 'Role?', members: 'RosterMember[]' }],
+      },
+      description: 'Current members and alumni, each grouped by role in the order set by the admins.',
+  }), async (req, res, next) => {
+      try {
+          const entries = await Team.aggregate(rosterPipeline()).exec();
+          res.status(200).json({
+              current: groupByRole(entries.filter((entry) => !entry.isAlumni)),
+              alumni: groupByRole(entries.filter((entry) => entry.isAlumni)),
+          });
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  // Members are shown in the order of `userIds`. Members left out that had a position
+  // are renumbered after them, in their previous order, so no two share a position;
+  // the others stay unordered. The order of the role groups is Role.displayOrder
+  // (PATCH /api/role/:id).
+  router.put('/team/order', [doc('Set the roster order of members', { response: { message: 'string', updated: 'integer' }, errors: [404] }), authenticate, requirePermission('team:manage'), validate({ body: { userIds: { type: 'array', required: true, items: { type: 'objectId' }, max: 1000 } } })], async (req, res, next) => {
+      try {
+          const userIds = [...new Set(req.body.userIds.map(String))];
+          const members = await Team.find({ userId: { $in: userIds } }, 'userId').exec();
+          if (members.length !== userIds.length) {
+              const found = new Set(members.map((member) => String(member.userId)));
+              throw new HttpError(404, 'Team member not found', { details: { userIds: userIds.filter((id) => !found.has(id)) } });
+          }
+
+          const others = await Team.find({ userId: { $nin: userIds }, displayOrder: { $ne: null } }, 'userId displayOrder')
+              .sort({ displayOrder: 1, _id: 1 })
+              .exec();
+          const ordered = [...userIds, ...others.map((member) => String(member.userId))];
+          await Promise.all(ordered.map((userId, index) => Team.findOneAndUpdate({ userId }, { $set: { displayOrder: index } })));
+          res.status(200).json({ message: 'Roster order updated', updated: ordered.length });
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  // Retrieve specific member & their projects and published publications
+  // ?format=bibtex|ris|csljson downloads the member's publications instead of the JSON profile
+  router.get('/team/:userId', [doc('Show a member with their projects and publications', { response: { teamMember: 'User', membership: 'Membership', projects: [{ _id: 'ObjectId', title: 'string', status: 'string', startDate: 'date?', endDate: 'date?', role: 'string?' }], publications: 'Publication[]' }, content: citationExportContent, description: 'With ?format= the publications are downloaded as a citation file instead.' }), identify, validate({ query: { format: citationFormatRule } })], async (req, res, next) => {
+      try {
+          const { userId } = req.params;
+          const { format } = req.query;
+
+          // Like GET /api/user/:id: accounts that are not active are only shown to themselves
+          // and to user managers, and only members have a profile
+          const [teamMember, membership] = await Promise.all([
+              User.findById(userId).exec(),
+              Team.findOne({ userId }, 'isAlumni periods afterLeaving').exec(),
+          ]);
+          const view = teamMember && await userViewFor(req, teamMember);
+          if (!teamMember || !membership || (!isActiveUser(teamMember) && view === 'public')) {
+              throw new HttpError(404, 'Team member not found');
+          }
+
+          if (format) {
+              const publications = await Publication.find(memberPublicationsFilter(userId))
+                  .sort({ year: -1, createdAt: -1 })
+                  .populate('authors.user', 'name')
+                  .exec();
+              return sendCitationExport(res, publications, format, `publications-${userId}`);
+          }
+
+          const [publications, projects] = await Promise.all([
+              Publication.find(memberPublicationsFilter(userId)).exec(),
+              Project.find({ 'members.user': userId }, 'title status startDate endDate members').sort({ startDate: -1 }).exec(),
+          ]);
+          res.status(200).json({
+              teamMember: serializeUser(teamMember, view),
+              // Membership timeline
+              membership: {
+                  isAlumni: membership.isAlumni,
+                  periods: membership.periods,
+                  afterLeaving: membership.afterLeaving || null,
+              },
+              // The member's projects, with their role in each
+              projects: projects.map(({ _id, title, status, startDate, endDate, members }) => ({
+                  _id,
+                  title,
+                  status,
+                  startDate,
+                  endDate,
+                  role: members.find((member) => member.user.equals(userId)).role || null,
+              })),
+              publications: await withProjects(Project, publications),
+          });
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  return router;
+};
+
+module.exports = {
+  createTeamRouter,
+};
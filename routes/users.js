@@ -0,0 +1,455 @@
+//////////////////////////////
+//  routes/users.js
+//  Registration, sign-in, sessions and member profiles
+//////////////////////////////
+
+const bcrypt = require('bcrypt');
+const mongoose = require('mongoose');
+const { HttpError } = require('../lib/errors');
+const { validate } = require('../lib/validation');
+const { serializeUser } = require('../lib/serializers');
+const { ACTIVE_USER_FILTER, isActiveUser } = require('../lib/models');
+const { hashToken } = require('../lib/auth');
+const { SUPERUSER } = require('../lib/permissions');
+const { describeRoute } = require('../lib/openapi');
+const { createRouter, userProfileSchema, passwordRule, storedFileRule } = require('./helpers');
+
+// Mounted under /api by createApp() (app.js)
+const createUserRouter = ({ models, auth, accounts, uploads }) => {
+  const { User, Role, Session } = models;
+  const {
+    newRefreshToken, tokenResponse, createSession, revokeAllSessions, authenticate, identify, can, userViewFor, findSuperusers,
+  } = auth;
+  const {
+    consumeAccountToken, sendVerificationEmail, sendPasswordResetEmail, findOpenInvite,
+  } = accounts;
+  const router = createRouter();
+  const doc = describeRoute('Users');
+
+  // Self-chosen display roles must name an existing Role
+  const checkRoleName = async (roleName) => {
+      const role = roleName ? await Role.findOne({ roleName }).exec() : null;
+      if (!role) {
+          throw new HttpError(422, 'Unknown role', { details: [{ path: 'role', message: 'must be the name of an existing role' }] });
+      }
+      return role;
+  };
+
+  // ===================
+  // USER REGISTRATION
+  // ===================
+  const registerSchema = {
+      ...userProfileSchema,
+      password: passwordRule,
+      invite: { type: 'string', maxLength: 200 },
+  };
+
+  router.post('/users/register', doc('Register an account', { status: 201, response: 'text', errors: [400, 409], description: 'With a valid invite code the account is active at once; otherwise it waits for admin approval.' }), uploads.single('userImage'), validate({ body: registerSchema }), async (req, res, next) => {
+    try {
+      // Extract main fields
+      const {
+        name, email, address, bio, password, invite: inviteCode,
+        education = [], experience = [], links = [],
+      } = req.body;
+
+      // With a valid invite the role comes from the invite and the account is active
+      // straight away; without one the account waits in the approval queue.
+      let invite = null;
+      let role;
+      let inviteRoleId = null;
+      if (inviteCode) {
+        invite = await findOpenInvite(inviteCode);
+        if (!invite) throw new HttpError(400, 'Invalid or expired invite');
+        if (invite.email !== email) {
+          throw new HttpError(400, 'This invite was issued for a different email address');
+        }
+        const inviteRole = await Role.findById(invite.roleId).exec();
+        if (!inviteRole) throw new HttpError(400, 'The role on this invite no longer exists');
+        role = inviteRole.roleName;
+        inviteRoleId = inviteRole._id;
+      } else {
+        role = (await checkRoleName(req.body.role)).roleName;
+      }
+
+      // If file was uploaded, store it (plus avatar variants)
+      let uploadedImage = {};
+      if (req.file) {
+        uploadedImage = await uploads.save('userImage', req.file);
+      }
+
+      // Hash the password
+      const salt = await bcrypt.genSalt(10);
+      const hashedPassword = await bcrypt.hash(password, salt);
+
+      // Create & save user
+      const user = new User({
+        name,
+        email,
+        address,
+        role,
+        bio,
+        image: uploadedImage.url,
+        imageVariants: uploadedImage.variants,
+        education,
+        experience,
+        links,
+        password: hashedPassword,
+        // The invite code was sent to this address, so using it proves ownership
+        emailVerified: Boolean(invite),
+        status: invite ? 'active' : 'pending',
+        // The invite's Role also grants its permissions; a self-chosen role grants none
+        roles: inviteRoleId ? [inviteRoleId] : [],
+      });
+
+      await user.save();
+
+      if (invite) {
+        invite.usedAt = new Date();
+        invite.usedBy = user._id;
+        await invite.save();
+        return res.status(201).send('User registered successfully');
+      }
+
+      // A failed email should not undo the registration; the user can ask for a new link
+      try {
+        await sendVerificationEmail(user);
+      } catch (mailError) {
+        console.error('Error sending verification email:', mailError);
+      }
+
+      res.status(201).send('Registration received and awaiting admin approval');
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // ===================
+  // USER LOGIN
+  // ===================
+  const loginSchema = {
+      email: { type: 'string', required: true, maxLength: 254 },
+      password: { type: 'string', required: true, maxLength: 200, trim: false },
+  };
+
+  router.post('/users/login', doc('Sign in', { response: 'TokenResponse', errors: [403] }), validate({ body: loginSchema }), async (req, res, next) => {
+    try {
+        const { email, password } = req.body;
+        // Stored lower-cased, like every email (see the `email` validation type)
+        const user = await User.findOne({ email: email.toLowerCase() });
+        if (!user) throw new HttpError(400, 'Invalid email or password');
+
+        const validPassword = await bcrypt.compare(password, user.password);
+        if (!validPassword) throw new HttpError(400, 'Invalid email or password');
+
+        if (user.status === 'pending') throw new HttpError(403, 'Account is awaiting admin approval');
+        if (user.status === 'rejected') throw new HttpError(403, 'Account registration was rejected');
+        if (user.status === 'disabled') throw new HttpError(403, 'Account is disabled');
+
+        const tokens = await createSession(user, req);
+        res.header('Authorization', tokens.token).send({ user: serializeUser(user, 'self'), ...tokens });
+    } catch (error) {
+        next(error);
+    }
+  });
+
+  // ===================
+  // EMAIL VERIFICATION
+  // ===================
+  // Body: { token } from the emailed link
+  router.post('/users/verify-email', doc('Verify an email address', { response: 'Message' }), validate({ body: { token: { type: 'string', required: true } } }), async (req, res, next) => {
+    try {
+        const accountToken = await consumeAccountToken(req.body.token, 'email-verification');
+        if (!accountToken) throw new HttpError(400, 'Invalid or expired verification link');
+
+        const user = await User.findById(accountToken.userId).exec();
+        if (!user) throw new HttpError(400, 'Invalid or expired verification link');
+        if (accountToken.email && accountToken.email !== user.email) {
+            throw new HttpError(400, 'This link was sent to a different email address');
+        }
+
+        user.emailVerified = true;
+        await user.save();
+        res.status(200).json({ message: 'Email verified successfully' });
+    } catch (error) {
+        next(error);
+    }
+  });
+
+  router.post('/users/resend-verification', doc('Resend the verification email', { response: 'Message' }), authenticate, async (req, res, next) => {
+    try {
+        if (req.user.emailVerified !== false) throw new HttpError(400, 'Email is already verified');
+        await sendVerificationEmail(req.user);
+        res.status(200).json({ message: 'Verification email sent' });
+    } catch (error) {
+        next(error);
+    }
+  });
+
+  // ===================
+  // PASSWORD RESET
+  // ===================
+  // Body: { email }. Always answers the same way so it cannot be used to probe for accounts.
+  router.post('/users/forgot-password', doc('Request a password reset email', { response: 'Message', description: 'Always answers the same way so that it does not reveal which emails have accounts.' }), validate({ body: { email: { type: 'email', required: true } } }), async (req, res, next) => {
+    try {
+        const { email } = req.body;
+
+        const user = await User.findOne({ email }).exec();
+        if (user) {
+            try {
+                await sendPasswordResetEmail(user);
+            } catch (mailError) {
+                console.error('Error sending password reset email:', mailError);
+            }
+        }
+        res.status(200).json({ message: 'If an account exists for that email, a reset link has been sent' });
+    } catch (error) {
+        next(error);
+    }
+  });
+
+  // Body: { token, password }. Signs the user out everywhere.
+  const resetPasswordSchema = {
+      token: { type: 'string', required: true },
+      password: passwordRule,
+  };
+
+  router.post('/users/reset-password', doc('Reset a password with an emailed token', { response: 'Message' }), validate({ body: resetPasswordSchema }), async (req, res, next) => {
+    try {
+        const { token, password } = req.body;
+
+        const accountToken = await consumeAccountToken(token, 'password-reset');
+        if (!accountToken) throw new HttpError(400, 'Invalid or expired reset link');
+
+        const user = await User.findById(accountToken.userId).exec();
+        if (!user) throw new HttpError(400, 'Invalid or expired reset link');
+
+        const salt = await bcrypt.genSalt(10);
+        user.password = await bcrypt.hash(password, salt);
+        // Following the emailed link proves the user controls the address
+        if (accountToken.email === user.email) user.emailVerified = true;
+        await user.save();
+        await revokeAllSessions(user._id);
+
+        res.status(200).json({ message: 'Password reset successfully' });
+    } catch (error) {
+        next(error);
+    }
+  });
+
+  // ===================
+  // TOKEN REFRESH
+  // ===================
+  // Body: { refreshToken }. Returns a new access token and a new refresh token;
+  // the old refresh token stops working. Presenting an already-rotated token
+  // revokes the whole session, since it means the token was copied.
+  router.post('/users/refresh', doc('Exchange a refresh token for new tokens', { response: 'TokenResponse', errors: [401] }), validate({ body: { refreshToken: { type: 'string', required: true } } }), async (req, res, next) => {
+    try {
+        const { refreshToken } = req.body;
+
+        const [sessionId] = refreshToken.split('.');
+        if (!mongoose.Types.ObjectId.isValid(sessionId)) throw new HttpError(401, 'Invalid refresh token');
+
+        const session = await Session.findById(sessionId).exec();
+        if (!session || session.revokedAt || session.expiresAt < new Date()) {
+            throw new HttpError(401, 'Invalid refresh token');
+        }
+
+        const presentedHash = hashToken(refreshToken);
+        if (presentedHash !== session.refreshTokenHash) {
+            if (presentedHash === session.previousRefreshTokenHash) {
+                session.revokedAt = new Date();
+                await session.save();
+            }
+            throw new HttpError(401, 'Invalid refresh token');
+        }
+
+        const user = await User.findById(session.userId).exec();
+        if (!user || !isActiveUser(user)) throw new HttpError(401, 'Invalid refresh token');
+
+        const nextRefreshToken = newRefreshToken(session);
+        session.previousRefreshTokenHash = session.refreshTokenHash;
+        session.refreshTokenHash = hashToken(nextRefreshToken);
+        session.lastUsedAt = new Date();
+        await session.save();
+
+        const tokens = tokenResponse(user, session, nextRefreshToken);
+        res.header('Authorization', tokens.token).send(tokens);
+    } catch (error) {
+        next(error);
+    }
+  });
+
+  // ===================
+  // LOGOUT
+  // ===================
+  // Ends the session the access token belongs to. Body { all: true } ends every session of the user.
+  router.post('/users/logout', [doc('Sign out this session, or every session with all=true', { response: 'Message' }), authenticate, validate({ body: { all: { type: 'boolean', default: false } } })], async (req, res, next) => {
+    try {
+        if (req.body.all) {
+            await revokeAllSessions(req.user._id);
+        } else if (req.sessionId) {
+            await Session.updateOne({ _id: req.sessionId, revokedAt: null }, { $set: { revokedAt: new Date() } });
+        }
+        res.status(200).json({ message: 'Logged out successfully' });
+    } catch (error) {
+        next(error);
+    }
+  });
+
+  // Only profile fields are writable here: roles, permissions, status and the
+  // verification flag are not in the schema and never reach the update.
+  const profileUpdateSchema = {
+      ...userProfileSchema,
+      showEmail: { type: 'boolean' },
+      image: storedFileRule,
+      password: { ...passwordRule, required: false }, // empty = unchanged
+  };
+
+  router.patch('/users', [doc('Update the signed-in user\'s profile', { response: 'User', errors: [404] }), authenticate, uploads.single('userImage'), validate({ body: profileUpdateSchema }, { partial: true })], async (req, res, next) => {
+  try {
+      const updates = req.body;
+      if (updates.role !== undefined) await checkRoleName(updates.role);
+
+      // 1. Handle image upload
+      uploads.checkFileField(updates, 'image', req.user.image);
+      if (req.file) {
+        const { url, variants } = await uploads.save('userImage', req.file);
+        updates.image = url;
+        updates.imageVariants = variants;
+      } else if (updates.image !== undefined && updates.image !== req.user.image) {
+        // Image cleared or pointed elsewhere: the old variants no longer apply
+        updates.imageVariants = null;
+      }
+
+      // 2. If user wants to update password, hash it
+      let passwordChanged = false;
+      if (updates.password) {
+        const salt = await bcrypt.genSalt(10);
+        updates.password = await bcrypt.hash(updates.password, salt);
+        passwordChanged = true;
+      } else {
+        delete updates.password;
+      }
+
+      // A new email address has to be verified again
+      const emailChanged = updates.email !== undefined && updates.email !== req.user.email;
+      if (emailChanged) updates.emailVerified = false;
+
+      // 3. Run the DB update
+      const updatedUser = await User.findByIdAndUpdate(req.user._id, { $set: updates }, { new: true });
+      if (!updatedUser) {
+          throw new HttpError(404, 'User not found');
+      }
+
+      // A new password invalidates every token issued before it, including this one
+      if (passwordChanged) await revokeAllSessions(updatedUser._id);
+
+      // Remove the replaced image and its variants
+      await uploads.replace([req.user.image, req.user.imageVariants], [updatedUser.image, updatedUser.imageVariants]);
+
+      if (emailChanged) {
+        try {
+          await sendVerificationEmail(updatedUser);
+        } catch (mailError) {
+          console.error('Error sending verification email:', mailError);
+        }
+      }
+
+      res.json(serializeUser(updatedUser, 'self'));
+  } catch (error) {
+      next(error);
+  }
+  });
+
+  // ===================
+  // USERS
+  // ===================
+  router.get('/user', doc('List active users', { response: 'User[]' }), identify, async (req, res, next) => {
+      try {
+          const filter = (await can(req, 'users:manage')) ? {} : ACTIVE_USER_FILTER;
+          const users = await User.find(filter).exec();
+          const views = await Promise.all(users.map((user) => userViewFor(req, user)));
+          res.status(200).json(users.map((user, i) => serializeUser(user, views[i])));
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  router.get('/admins', doc('List superusers', { response: 'User[]', errors: [404] }), identify, async (req, res, next) => {
+      try {
+          const admins = (await findSuperusers()).filter(isActiveUser);
+          if (admins.length === 0) {
+              throw new HttpError(404, 'No admins found');
+          }
+          const views = await Promise.all(admins.map((admin) => userViewFor(req, admin)));
+          res.status(200).json(admins.map((admin, i) => serializeUser(admin, views[i])));
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  // Check Admin Status
+  router.get('/isAdmin', doc('Show whether the signed-in user is a superuser', { response: { message: 'string', isAdmin: 'boolean', permissions: 'string[]' } }), authenticate, async (req, res, next) => {
+      try {
+          // Ensure the request contains the authenticated user data
+          if (!req.user) throw new HttpError(401, 'Unauthorized');
+
+          // "Admin" now means holding the superuser permission
+          const isAdmin = await can(req, SUPERUSER);
+
+          res.status(200).json({
+              message: isAdmin ? 'User is an admin' : 'User is not an admin',
+              isAdmin: isAdmin,
+              permissions: [...req.permissions],
+          });
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  // Public: lets the registration page show who an invite is for
+  router.get('/invites/:code', doc('Show who an invite is for', { response: { email: 'string', role: { _id: 'ObjectId', roleName: 'string' }, expiresAt: 'date?' }, errors: [404] }), async (req, res, next) => {
+      try {
+          const invite = await findOpenInvite(req.params.code);
+          if (!invite) throw new HttpError(404, 'Invalid or expired invite');
+          const role = await Role.findById(invite.roleId).exec();
+          res.status(200).json({
+              email: invite.email,
+              role: role ? { _id: role._id, roleName: role.roleName } : null,
+              expiresAt: invite.expiresAt || null,
+          });
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  router.get('/user/:id', doc('Show a user', { response: 'User' }), identify, async (req, res, next) => {
+      try {
+          const user = await User.findById(req.params.id).exec();
+          const view = user && await userViewFor(req, user);
+          if (!user || (!isActiveUser(user) && view === 'public')) throw new HttpError(404, 'User not found');
+          res.status(200).json(serializeUser(user, view));
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  router.get('/userid', doc('Show the signed-in user\'s id', { response: { id: 'ObjectId' } }), authenticate, async (req, res, next) => {
+      try {
+          // Assuming `authenticate` middleware sets `req.user`
+  
+          if (!req.user) {
+              throw new HttpError(401, 'Unauthorized');
+          }
+          res.status(200).json({ id: req.user._id });
+      } catch (error) {
+          next(error);
+      }
+  });
+
+  return router;
+};
+
+module.exports = {
+  createUserRouter,
+};
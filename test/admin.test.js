@@ -0,0 +1,370 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  startTestServer, formData, PASSWORD, requiresDb,
+} = require('./helpers');
+
+describe('admin', requiresDb, () => {
+  let ctx;
+  let admin;
+  let userManager;
+  let member;
+
+  before(async () => {
+    ctx = await startTestServer();
+    admin = await ctx.createUser({ name: 'Admin', permissions: ['*'] });
+    userManager = await ctx.createUser({ name: 'Manager', permissions: ['users:manage'] });
+    member = await ctx.createUser({ name: 'Member', team: true });
+  });
+
+  after(() => ctx.close());
+
+  describe('user management', () => {
+    it('needs users:manage', async () => {
+      const res = await ctx.request('GET', '/api/admin/users', { token: member.token });
+      assert.equal(res.status, 403);
+    });
+
+    it('lists and searches users with admin fields', async () => {
+      const res = await ctx.request('GET', '/api/admin/users?q=manag', { token: userManager.token });
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.map((user) => user.name), ['Manager']);
+      assert.equal(res.body[0].email, userManager.user.email);
+      assert.deepEqual(res.body[0].permissions, ['users:manage']);
+    });
+
+    it('shows one user with team entry and publication count', async () => {
+      await ctx.models.Publication.create({ title: 'Counted', authors: [{ user: member.user._id }] });
+      const res = await ctx.request('GET', `/api/admin/users/${member.user._id}`, { token: userManager.token });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.publicationCount, 1);
+      assert.ok(res.body.teamMember);
+    });
+
+    it('edits profile fields only', async () => {
+      const res = await ctx.request('PATCH', `/api/admin/users/${member.user._id}`, {
+        token: userManager.token,
+        body: { bio: 'Edited by an admin', permissions: ['*'] },
+      });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.bio, 'Edited by an admin');
+      assert.deepEqual(res.body.permissions, []);
+    });
+
+    it('only sets roles that exist', async () => {
+      await ctx.models.Role.create({ roleName: 'Lab Manager' });
+      const unknown = await ctx.request('PATCH', `/api/admin/users/${member.user._id}`, { token: userManager.token, body: { role: 'Emperor' } });
+      assert.equal(unknown.status, 422);
+      assert.deepEqual(unknown.body.error.details, [{ path: 'role', message: 'must be the name of an existing role' }]);
+
+      const known = await ctx.request('PATCH', `/api/admin/users/${member.user._id}`, { token: userManager.token, body: { role: 'Lab Manager' } });
+      assert.equal(known.status, 200);
+      assert.equal(known.body.role, 'Lab Manager');
+    });
+
+    it('grants admin rights and protects the last admin', async () => {
+      const byManager = await ctx.request('POST', `/api/admin/users/${member.user._id}/admin`, { token: userManager.token, body: { isAdmin: true } });
+      assert.equal(byManager.status, 403);
+
+      const lastAdmin = await ctx.request('POST', `/api/admin/users/${admin.user._id}/admin`, { token: admin.token, body: { isAdmin: false } });
+      assert.equal(lastAdmin.status, 409);
+
+      const granted = await ctx.request('POST', `/api/admin/users/${member.user._id}/admin`, { token: admin.token, body: { isAdmin: true } });
+      assert.equal(granted.status, 200);
+      const check = await ctx.request('GET', '/api/isAdmin', { token: member.token });
+      assert.equal(check.body.isAdmin, true);
+
+      const removed = await ctx.request('POST', `/api/admin/users/${member.user._id}/admin`, { token: admin.token, body: { isAdmin: false } });
+      assert.equal(removed.status, 200);
+    });
+
+    it('leaves admin accounts to admins', async () => {
+      const superRole = await ctx.models.Role.create({ roleName: 'Lab admins', permissions: ['*'] });
+      const other = await ctx.createUser({ name: 'Other admin', roles: [superRole._id] });
+      const target = `/api/admin/users/${other.user._id}`;
+
+      const email = await ctx.request('PATCH', target, { token: userManager.token, body: { email: 'taken@over.test' } });
+      assert.equal(email.status, 403);
+      const reset = await ctx.request('POST', `${target}/force-password-reset`, { token: userManager.token });
+      assert.equal(reset.status, 403);
+      const disabled = await ctx.request('POST', `${target}/disable`, { token: userManager.token, body: {} });
+      assert.equal(disabled.status, 403);
+      const deleted = await ctx.request('DELETE', target, { token: userManager.token });
+      assert.equal(deleted.status, 403);
+      const unchanged = await ctx.models.User.findById(other.user._id);
+      assert.equal(unchanged.email, other.user.email);
+      assert.equal(unchanged.status, 'active');
+
+      const byAdmin = await ctx.request('PATCH', target, { token: admin.token, body: { bio: 'Edited by an admin' } });
+      assert.equal(byAdmin.status, 200);
+      // Leaves `admin` the last admin again for the tests below
+      const removed = await ctx.request('DELETE', target, { token: admin.token });
+      assert.equal(removed.status, 200);
+    });
+
+    it('forces a password reset, signing the user out', async () => {
+      const target = await ctx.createUser();
+      const res = await ctx.request('POST', `/api/admin/users/${target.user._id}/force-password-reset`, { token: userManager.token });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.emailed, true);
+      assert.ok(ctx.tokenFromMail(target.user.email));
+
+      const old = await ctx.request('GET', '/api/userid', { token: target.token });
+      assert.equal(old.status, 401);
+      const login = await ctx.request('POST', '/api/users/login', { body: { email: target.user.email, password: PASSWORD } });
+      assert.equal(login.status, 400);
+    });
+
+    it('revokes every session of a user', async () => {
+      const target = await ctx.createUser();
+      const res = await ctx.request('POST', `/api/admin/users/${target.user._id}/revoke-sessions`, { token: userManager.token });
+      assert.equal(res.status, 200);
+      const old = await ctx.request('GET', '/api/userid', { token: target.token });
+      assert.equal(old.status, 401);
+    });
+
+    it('disables and re-enables an account, converting its authorship', async () => {
+      const target = await ctx.createUser({ name: 'Leaving Member', team: true });
+      const paper = await ctx.models.Publication.create({ title: 'Shared', authors: [{ user: target.user._id, corresponding: true }, { user: member.user._id }] });
+
+      const self = await ctx.request('POST', `/api/admin/users/${userManager.user._id}/disable`, { token: userManager.token, body: {} });
+      assert.equal(self.status, 409);
+
+      const res = await ctx.request('POST', `/api/admin/users/${target.user._id}/disable`, {
+        token: userManager.token,
+        body: { reason: 'Left the lab', team: 'alumni', authors: 'convert' },
+      });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.publicationsUpdated, 1);
+
+      const updated = await ctx.models.Publication.findById(paper._id);
+      // Same place in the list, now as an external author
+      assert.equal(updated.authors[0].user, undefined);
+      assert.equal(updated.authors[0].name, 'Leaving Member');
+      assert.equal(updated.authors[0].corresponding, true);
+      assert.equal(String(updated.authors[1].user), String(member.user._id));
+      assert.equal((await ctx.models.Team.findOne({ userId: target.user._id })).isAlumni, true);
+
+      const login = await ctx.request('POST', '/api/users/login', { body: { email: target.user.email, password: PASSWORD } });
+      assert.equal(login.status, 403);
+
+      const enabled = await ctx.request('POST', `/api/admin/users/${target.user._id}/enable`, { token: userManager.token });
+      assert.equal(enabled.status, 200);
+      const again = await ctx.request('POST', `/api/admin/users/${target.user._id}/enable`, { token: userManager.token });
+      assert.equal(again.status, 404);
+    });
+
+    it('deletes an account, reassigning its publications', async () => {
+      const target = await ctx.createUser({ team: true });
+      const paper = await ctx.models.Publication.create({ title: 'Reassigned', authors: [{ user: target.user._id }] });
+
+      const missingTarget = await ctx.request('DELETE', `/api/admin/users/${target.user._id}?authors=reassign`, { token: userManager.token });
+      assert.equal(missingTarget.status, 422);
+
+      const res = await ctx.request('DELETE', `/api/admin/users/${target.user._id}?authors=reassign&reassignTo=${member.user._id}`, { token: userManager.token });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.publicationsUpdated, 1);
+
+      const updated = await ctx.models.Publication.findById(paper._id);
+      assert.deepEqual(updated.authors.map((author) => String(author.user)), [String(member.user._id)]);
+      assert.equal(await ctx.models.User.exists({ _id: target.user._id }), null);
+      assert.equal(await ctx.models.Team.exists({ userId: target.user._id }), null);
+    });
+  });
+
+  describe('invites', () => {
+    let role;
+
+    before(async () => {
+      role = await ctx.models.Role.create({ roleName: 'PhD student' });
+    });
+
+    it('creates, lists and revokes invites', async () => {
+      const created = await ctx.request('POST', '/api/admin/invites', {
+        token: userManager.token,
+        body: { email: 'student@lab.test', roleId: String(role._id), expiresInDays: 7 },
+      });
+      assert.equal(created.status, 201);
+      assert.equal(created.body.emailed, true);
+      assert.equal(created.body.invite.codeHash, undefined);
+      assert.equal(ctx.tokenFromMail('student@lab.test'), created.body.code);
+
+      const listed = await ctx.request('GET', '/api/admin/invites', { token: userManager.token });
+      assert.equal(listed.status, 200);
+      assert.equal(listed.body[0].roleId.roleName, 'PhD student');
+
+      const revoked = await ctx.request('DELETE', `/api/admin/invites/${created.body.invite._id}`, { token: userManager.token });
+      assert.equal(revoked.status, 200);
+      const lookup = await ctx.request('GET', `/api/invites/${created.body.code}`);
+      assert.equal(lookup.status, 404);
+
+      const again = await ctx.request('DELETE', `/api/admin/invites/${created.body.invite._id}`, { token: userManager.token });
+      assert.equal(again.status, 404);
+    });
+
+    it('rejects an unknown role', async () => {
+      const res = await ctx.request('POST', '/api/admin/invites', {
+        token: userManager.token,
+        body: { email: 'x@lab.test', roleId: '000000000000000000000000' },
+      });
+      assert.equal(res.status, 404);
+    });
+  });
+
+  describe('registration queue', () => {
+    let pending;
+    let rejected;
+
+    before(async () => {
+      ({ user: pending } = await ctx.createUser({ name: 'Applicant', status: 'pending' }));
+      ({ user: rejected } = await ctx.createUser({ name: 'Second applicant', status: 'pending' }));
+    });
+
+    it('lists pending registrations', async () => {
+      const res = await ctx.request('GET', '/api/admin/registrations', { token: userManager.token });
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.map((user) => user.name), ['Applicant', 'Second applicant']);
+    });
+
+    it('rejects a registration', async () => {
+      const res = await ctx.request('POST', `/api/admin/registrations/${rejected._id}/reject`, { token: userManager.token, body: { reason: 'Unknown applicant' } });
+      assert.equal(res.status, 200);
+      assert.match(ctx.lastMail(rejected.email).text, /Unknown applicant/);
+
+      const listed = await ctx.request('GET', '/api/admin/registrations?status=rejected', { token: userManager.token });
+      assert.deepEqual(listed.body.map((user) => user.name), ['Second applicant']);
+    });
+
+    it('approves a registration; adding to the team needs team:manage', async () => {
+      const withoutTeamRights = await ctx.request('POST', `/api/admin/registrations/${pending._id}/approve`, { token: userManager.token, body: { addToTeam: true } });
+      assert.equal(withoutTeamRights.status, 403);
+
+      const res = await ctx.request('POST', `/api/admin/registrations/${pending._id}/approve`, { token: admin.token, body: { addToTeam: true } });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.user.status, 'active');
+      assert.ok(res.body.teamMember);
+
+      const login = await ctx.request('POST', '/api/users/login', { body: { email: pending.email, password: PASSWORD } });
+      assert.equal(login.status, 200);
+    });
+  });
+
+  describe('permissions', () => {
+    let roleManager;
+
+    before(async () => {
+      roleManager = await ctx.createUser({ permissions: ['roles:manage'] });
+    });
+
+    it('lists the known permissions', async () => {
+      const res = await ctx.request('GET', '/api/admin/permissions', { token: roleManager.token });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.superuser, '*');
+      assert.ok(res.body.permissions['content:edit']);
+    });
+
+    it('replaces the permissions of a role, which then apply to its members', async () => {
+      const role = await ctx.models.Role.create({ roleName: 'Editor' });
+      const editor = await ctx.createUser({ roles: [role._id] });
+
+      const unknown = await ctx.request('PUT', `/api/admin/roles/${role._id}/permissions`, { token: roleManager.token, body: { permissions: ['fly'] } });
+      assert.equal(unknown.status, 422);
+
+      const res = await ctx.request('PUT', `/api/admin/roles/${role._id}/permissions`, { token: roleManager.token, body: { permissions: ['content:edit'] } });
+      assert.equal(res.status, 200);
+
+      const about = await ctx.request('POST', '/api/about', { token: editor.token, body: { text: 'Edited through a role' } });
+      assert.equal(about.status, 201);
+    });
+
+    it('only lets superusers hand out the superuser permission', async () => {
+      const res = await ctx.request('PUT', `/api/admin/users/${member.user._id}/permissions`, { token: roleManager.token, body: { permissions: ['*'] } });
+      assert.equal(res.status, 403);
+
+      const granted = await ctx.request('PUT', `/api/admin/users/${member.user._id}/permissions`, { token: roleManager.token, body: { permissions: ['team:manage'] } });
+      assert.equal(granted.status, 200);
+      assert.deepEqual(granted.body.permissions, ['team:manage']);
+    });
+
+    it('keeps at least one admin', async () => {
+      const res = await ctx.request('PUT', `/api/admin/users/${admin.user._id}/permissions`, { token: admin.token, body: { permissions: [] } });
+      assert.equal(res.status, 409);
+    });
+  });
+
+  describe('audit log', () => {
+    it('records changes made through the API', async () => {
+      const auditor = await ctx.createUser({ permissions: ['audit:view'] });
+      const forbidden = await ctx.request('GET', '/api/admin/audit', { token: member.token });
+      assert.equal(forbidden.status, 403);
+
+      const res = await ctx.request('GET', `/api/admin/audit?actor=${userManager.user._id}&resourceType=user`, { token: auditor.token });
+      assert.equal(res.status, 200);
+      assert.ok(res.body.total > 0);
+      assert.ok(res.body.entries.every((entry) => String(entry.actor) === String(userManager.user._id)));
+      assert.ok(res.body.entries.every((entry) => !JSON.stringify(entry).includes('$2b$')));
+    });
+
+    it('records changes sent as multipart forms', async () => {
+      const editor = await ctx.createUser({ permissions: ['content:edit'] });
+      const created = await ctx.request('POST', '/api/technology', { token: editor.token, form: formData({ name: 'Multipart tech' }) });
+      assert.equal(created.status, 201);
+      const updated = await ctx.request('PATCH', `/api/technology/${created.body._id}`, { token: editor.token, form: formData({ description: 'Changed' }) });
+      assert.equal(updated.status, 200);
+
+      const res = await ctx.request('GET', `/api/admin/audit?resourceType=technology&resourceId=${created.body._id}`, { token: admin.token });
+      assert.deepEqual(res.body.entries.map((entry) => entry.action).sort(), ['create', 'update']);
+      assert.ok(res.body.entries.every((entry) => String(entry.actor) === String(editor.user._id)));
+      const update = res.body.entries.find((entry) => entry.action === 'update');
+      assert.equal(update.changes.description.to, 'Changed');
+    });
+  });
+
+  describe('trash', () => {
+    it('lists, restores and purges trashed items by permission', async () => {
+      const editor = await ctx.createUser({ permissions: ['content:edit'] });
+      const tech = await ctx.request('POST', '/api/technology', { token: editor.token, body: { name: 'Trashable' } });
+      await ctx.request('DELETE', `/api/technology/${tech.body._id}`, { token: editor.token });
+
+      const denied = await ctx.request('GET', '/api/admin/trash', { token: member.token });
+      assert.equal(denied.status, 403);
+
+      const listed = await ctx.request('GET', '/api/admin/trash?type=technology', { token: editor.token });
+      assert.equal(listed.status, 200);
+      assert.deepEqual(listed.body.items.map((item) => item.label), ['Trashable']);
+
+      const wrongType = await ctx.request('POST', `/api/admin/trash/publication/${tech.body._id}/restore`, { token: editor.token });
+      assert.equal(wrongType.status, 403);
+
+      const restored = await ctx.request('POST', `/api/admin/trash/technology/${tech.body._id}/restore`, { token: editor.token });
+      assert.equal(restored.status, 200);
+      const visible = await ctx.request('GET', '/api/technology');
+      assert.ok(visible.body.some((doc) => doc._id === tech.body._id));
+
+      await ctx.request('DELETE', `/api/technology/${tech.body._id}`, { token: editor.token });
+      const purged = await ctx.request('DELETE', `/api/admin/trash/technology/${tech.body._id}`, { token: editor.token });
+      assert.equal(purged.status, 200);
+      assert.equal(await ctx.models.Technology.exists({ _id: tech.body._id, deletedAt: { $ne: null } }), null);
+
+      const unknownType = await ctx.request('DELETE', `/api/admin/trash/widget/${tech.body._id}`, { token: editor.token });
+      assert.equal(unknownType.status, 404);
+    });
+
+    it('unlinks purged publications and deleted accounts from news', async () => {
+      const { models } = ctx;
+      const person = await ctx.createUser({ team: true });
+      const paper = await models.Publication.create({ title: 'Purged paper', authors: [{ user: member.user._id }] });
+      const news = await models.News.create({ title: 'Accepted', people: [person.user._id, member.user._id], publications: [paper._id] });
+
+      await paper.softDelete(admin.user._id);
+      const purged = await ctx.request('DELETE', `/api/admin/trash/publication/${paper._id}`, { token: admin.token });
+      assert.equal(purged.status, 200);
+      const deleted = await ctx.request('DELETE', `/api/admin/users/${person.user._id}`, { token: admin.token });
+      assert.equal(deleted.status, 200);
+
+      const updated = await models.News.findById(news._id);
+      assert.equal(updated.publications.length, 0);
+      assert.deepEqual(updated.people.map(String), [String(member.user._id)]);
+    });
+  });
+});
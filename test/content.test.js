@@ -0,0 +1,166 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, formData, SVG_ICON, requiresDb } = require('./helpers');
+
+// Site content resources: create/list/update/trash with the permission each needs
+const SIMPLE_RESOURCES = [
+  { path: '/api/address', create: { department: 'Chemistry', city: 'Lyon' }, update: { city: 'Paris' }, field: 'city' },
+  { path: '/api/about', create: { text: 'We study materials.' }, update: { text: 'We study crystals.' }, field: 'text' },
+];
+
+const ICON_RESOURCES = [
+  { path: '/api/technology', iconField: 'icon', stored: 'icon', linkField: 'downloadLink' },
+  { path: '/api/tutorial', iconField: 'newIcon', stored: 'newIcon', linkField: 'tutorialLink' },
+  { path: '/api/notes', iconField: 'newIcon', stored: 'newIcon', linkField: 'noteLink' },
+];
+
+describe('site content', requiresDb, () => {
+  let ctx;
+  let editor;
+  let roleManager;
+  let member;
+
+  before(async () => {
+    ctx = await startTestServer();
+    editor = await ctx.createUser({ permissions: ['content:edit'] });
+    roleManager = await ctx.createUser({ permissions: ['roles:manage'] });
+    member = await ctx.createUser({ team: true });
+  });
+
+  after(() => ctx.close());
+
+  SIMPLE_RESOURCES.forEach(({ path, create, update, field }) => {
+    it(`${path}: needs content:edit and supports create, list, update and trash`, async () => {
+      const anonymous = await ctx.request('POST', path, { body: create });
+      assert.equal(anonymous.status, 401);
+      const forbidden = await ctx.request('POST', path, { token: member.token, body: create });
+      assert.equal(forbidden.status, 403);
+
+      const created = await ctx.request('POST', path, { token: editor.token, body: create });
+      assert.equal(created.status, 201);
+      const { _id: id } = created.body;
+
+      const listed = await ctx.request('GET', path);
+      assert.equal(listed.status, 200);
+      assert.ok(listed.body.some((doc) => doc._id === id));
+
+      const updated = await ctx.request('PATCH', `${path}/${id}`, { token: editor.token, body: update });
+      assert.equal(updated.status, 200);
+      assert.equal(updated.body[field], update[field]);
+
+      const deleted = await ctx.request('DELETE', `${path}/${id}`, { token: editor.token });
+      assert.equal(deleted.status, 200);
+      const afterDelete = await ctx.request('GET', path);
+      assert.ok(!afterDelete.body.some((doc) => doc._id === id));
+
+      const missing = await ctx.request('PATCH', `${path}/${id}`, { token: editor.token, body: update });
+      assert.equal(missing.status, 404);
+    });
+  });
+
+  it('/api/about: rejects a blank text', async () => {
+    const res = await ctx.request('POST', '/api/about', { token: editor.token, body: { text: '  ' } });
+    assert.equal(res.status, 422);
+  });
+
+  ICON_RESOURCES.forEach(({ path, iconField, stored, linkField }) => {
+    it(`${path}: stores the uploaded icon and deletes it when replaced or cleared`, async () => {
+      const forbidden = await ctx.request('POST', path, { token: member.token, body: { name: 'X' } });
+      assert.equal(forbidden.status, 403);
+
+      const form = formData(
+        { name: 'Icon resource', [linkField]: 'https://example.org/resource' },
+        { [iconField]: { content: SVG_ICON, type: 'image/svg+xml', name: 'icon.svg' } }
+      );
+      const created = await ctx.request('POST', path, { token: editor.token, form });
+      assert.equal(created.status, 201);
+      const firstIcon = created.body[stored];
+      assert.match(firstIcon, /^memory:\/\//);
+      assert.ok(ctx.storage.files.has(firstIcon.slice('memory://'.length)));
+
+      const replaced = await ctx.request('PATCH', `${path}/${created.body._id}`, {
+        token: editor.token,
+        form: formData({}, { [iconField]: { content: SVG_ICON, type: 'image/svg+xml', name: 'other.svg' } }),
+      });
+      assert.equal(replaced.status, 200);
+      assert.notEqual(replaced.body[stored], firstIcon);
+      assert.ok(!ctx.storage.files.has(firstIcon.slice('memory://'.length)));
+
+      const cleared = await ctx.request('PATCH', `${path}/${created.body._id}`, { token: editor.token, body: { [stored]: null } });
+      assert.equal(cleared.status, 200);
+      assert.equal(cleared.body[stored], null);
+
+      const listed = await ctx.request('GET', path);
+      assert.ok(listed.body.some((doc) => doc._id === created.body._id));
+
+      const deleted = await ctx.request('DELETE', `${path}/${created.body._id}`, { token: editor.token });
+      assert.equal(deleted.status, 200);
+    });
+
+    it(`${path}: never deletes another record's icon`, async () => {
+      const upload = (name) => ctx.request('POST', path, {
+        token: editor.token,
+        form: formData({ name }, { [iconField]: { content: SVG_ICON, type: 'image/svg+xml', name: `${name}.svg` } }),
+      });
+      const first = (await upload('Owner')).body;
+      const second = (await upload('Borrower')).body;
+      const key = first[stored].slice('memory://'.length);
+
+      const borrowed = await ctx.request('PATCH', `${path}/${second._id}`, { token: editor.token, body: { [stored]: first[stored] } });
+      assert.equal(borrowed.status, 422);
+      assert.deepEqual(borrowed.body.error.details.map((detail) => detail.path), [stored]);
+      const external = await ctx.request('PATCH', `${path}/${second._id}`, { token: editor.token, body: { [stored]: 'https://example.org/icon.svg' } });
+      assert.equal(external.status, 422);
+      const unchanged = await ctx.request('PATCH', `${path}/${second._id}`, { token: editor.token, body: { name: 'Renamed', [stored]: second[stored] } });
+      assert.equal(unchanged.status, 200);
+
+      const replaced = await ctx.request('PATCH', `${path}/${second._id}`, {
+        token: editor.token,
+        form: formData({}, { [iconField]: { content: SVG_ICON, type: 'image/svg+xml', name: 'new.svg' } }),
+      });
+      assert.equal(replaced.status, 200);
+      assert.ok(ctx.storage.files.has(key));
+      assert.ok(!ctx.storage.files.has(second[stored].slice('memory://'.length)));
+    });
+
+    it(`${path}: refuses SVG icons with scripts and non-URL links`, async () => {
+      const scripted = formData(
+        { name: 'Scripted' },
+        { [iconField]: { content: '<svg onload="alert(1)"></svg>', type: 'image/svg+xml', name: 'x.svg' } }
+      );
+      const res = await ctx.request('POST', path, { token: editor.token, form: scripted });
+      assert.equal(res.status, 415);
+
+      const badLink = await ctx.request('POST', path, { token: editor.token, body: { name: 'Link', [linkField]: 'javascript:alert(1)' } });
+      assert.equal(badLink.status, 422);
+    });
+  });
+
+  describe('roles', () => {
+    it('need roles:manage', async () => {
+      const res = await ctx.request('POST', '/api/role', { token: editor.token, body: { roleName: 'Postdoc' } });
+      assert.equal(res.status, 403);
+    });
+
+    it('can be created, listed, renamed and trashed', async () => {
+      const created = await ctx.request('POST', '/api/role', { token: roleManager.token, body: { roleName: 'Postdoc' } });
+      assert.equal(created.status, 201);
+
+      const listed = await ctx.request('GET', '/api/role');
+      assert.ok(listed.body.some((role) => role.roleName === 'Postdoc'));
+
+      const renamed = await ctx.request('PATCH', `/api/role/${created.body._id}`, { token: roleManager.token, body: { roleName: 'Postdoctoral researcher' } });
+      assert.equal(renamed.status, 200);
+      assert.equal(renamed.body.roleName, 'Postdoctoral researcher');
+
+      const deleted = await ctx.request('DELETE', `/api/role/${created.body._id}`, { token: roleManager.token });
+      assert.equal(deleted.status, 200);
+    });
+
+    it('that grant superuser rights cannot be deleted', async () => {
+      const superRole = await ctx.models.Role.create({ roleName: 'Superuser', permissions: ['*'] });
+      const res = await ctx.request('DELETE', `/api/role/${superRole._id}`, { token: roleManager.token });
+      assert.equal(res.status, 409);
+    });
+  });
+});
@@ -0,0 +1,98 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { startTestServer, requiresDb } = require('./helpers');
+
+describe('publication feeds', requiresDb, () => {
+  let ctx;
+  let member;
+
+  before(async () => {
+    ctx = await startTestServer();
+    member = await ctx.createUser({ name: 'Ada Lovelace', team: true });
+    const other = await ctx.createUser({ name: 'Grace Hopper', team: true });
+    await ctx.models.Publication.create({
+      title: 'Analytical engines & you',
+      authors: [{ user: member.user._id }, { name: 'Charles Babbage' }],
+      summary: 'Notes on the engine.',
+      doi: '10.1000/engine.1',
+      year: 2023,
+      coverImage: 'https://example.test/cover.png',
+      status: 'published',
+      publishedAt: new Date('2024-01-10'),
+    });
+    await ctx.models.Publication.create({ title: 'Compilers', authors: [{ user: other.user._id }], year: 2024, status: 'published', publishedAt: new Date('2024-02-01') });
+    await ctx.models.Publication.create({ title: 'Unreviewed draft', authors: [{ user: member.user._id }], year: 2024, status: 'draft' });
+  });
+
+  after(() => ctx.close());
+
+  it('serves Atom with DOI links, author names and cover images', async () => {
+    const res = await ctx.request('GET', '/feeds/publications.atom');
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-type'), /^application\/atom\+xml/);
+    assert.match(res.body, /<title>Analytical engines &amp; you<\/title>/);
+    assert.match(res.body, /<link rel="alternate" href="https:\/\/doi.org\/10.1000\/engine.1"\/>/);
+    assert.match(res.body, /<author><name>Ada Lovelace<\/name><\/author><author><name>Charles Babbage<\/name><\/author>/);
+    assert.match(res.body, /<media:content url="https:\/\/example.test\/cover.png" medium="image"\/>/);
+    assert.doesNotMatch(res.body, /Unreviewed draft/);
+    assert.ok(res.body.indexOf('Compilers') < res.body.indexOf('Analytical engines'));
+  });
+
+  it('serves RSS and JSON Feed', async () => {
+    const rss = await ctx.request('GET', '/feeds/publications.rss');
+    assert.match(rss.headers.get('content-type'), /^application\/rss\+xml/);
+    assert.match(rss.body, /<dc:creator>Charles Babbage<\/dc:creator>/);
+
+    const json = await ctx.request('GET', '/feeds/publications.json');
+    assert.match(json.headers.get('content-type'), /^application\/feed\+json/);
+    const feed = JSON.parse(json.body);
+    assert.equal(feed.version, 'https://jsonfeed.org/version/1.1');
+    assert.deepEqual(feed.items.map((item) => item.title), ['Compilers', 'Analytical engines & you']);
+    assert.deepEqual(feed.items[1].authors, [{ name: 'Ada Lovelace' }, { name: 'Charles Babbage' }]);
+    assert.equal(feed.items[1].url, 'https://doi.org/10.1000/engine.1');
+  });
+
+  it('serves per-member and per-year feeds', async () => {
+    const byMember = JSON.parse((await ctx.request('GET', `/feeds/members/${member.user._id}/publications.json`)).body);
+    assert.match(byMember.title, /Ada Lovelace/);
+    assert.deepEqual(byMember.items.map((item) => item.title), ['Analytical engines & you']);
+
+    const byYear = JSON.parse((await ctx.request('GET', '/feeds/years/2024/publications.json')).body);
+    assert.deepEqual(byYear.items.map((item) => item.title), ['Compilers']);
+
+    const unknown = await ctx.request('GET', `/feeds/members/${new mongoose.Types.ObjectId()}/publications.atom`);
+    assert.equal(unknown.status, 404);
+
+    const disabled = await ctx.createUser({ name: 'Disabled Member', team: true, status: 'disabled' });
+    const hidden = await ctx.request('GET', `/feeds/members/${disabled.user._id}/publications.atom`);
+    assert.equal(hidden.status, 404);
+  });
+
+  it('answers conditional requests with 304 until a publication changes', async () => {
+    const first = await ctx.request('GET', '/feeds/publications.atom');
+    const etag = first.headers.get('etag');
+    assert.ok(etag);
+
+    const unchanged = await ctx.request('GET', '/feeds/publications.atom', { headers: { 'If-None-Match': etag } });
+    assert.equal(unchanged.status, 304);
+    const notModified = await ctx.request('GET', '/feeds/publications.atom', { headers: { 'If-Modified-Since': first.headers.get('last-modified') } });
+    assert.equal(notModified.status, 304);
+
+    await ctx.models.Publication.updateOne({ title: 'Compilers' }, { summary: 'Now with a summary.' });
+    const changed = await ctx.request('GET', '/feeds/publications.atom', { headers: { 'If-None-Match': etag } });
+    assert.equal(changed.status, 200);
+    assert.notEqual(changed.headers.get('etag'), etag);
+  });
+
+  it('changes the ETag when a member author is renamed', async () => {
+    const first = await ctx.request('GET', '/feeds/publications.atom');
+    const etag = first.headers.get('etag');
+
+    await ctx.models.User.findByIdAndUpdate(member.user._id, { name: 'Augusta Ada King' });
+    const renamed = await ctx.request('GET', '/feeds/publications.atom', { headers: { 'If-None-Match': etag } });
+    assert.equal(renamed.status, 200);
+    assert.notEqual(renamed.headers.get('etag'), etag);
+    assert.match(renamed.body, /<author><name>Augusta Ada King<\/name><\/author>/);
+  });
+});
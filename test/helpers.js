@@ -0,0 +1,146 @@
+//////////////////////////////
+//  test/helpers.js
+//  Boots the app against an in-memory MongoDB and in-memory stores
+//////////////////////////////
+
+const { spawnSync } = require('child_process');
+const bcrypt = require('bcrypt');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { createApp } = require('../app');
+const { loadConfig } = require('../lib/config');
+const { createModels } = require('../lib/models');
+const { createMemoryStorage } = require('../lib/storage');
+const { createMemoryTransport } = require('../lib/mailer');
+const { createFixtureResolver } = require('../lib/doiResolver');
+
+const PASSWORD = 'correct horse battery';
+
+// The database suites need a mongod binary. mongodb-memory-server downloads one on
+// first use and caches it (~/.cache/mongodb-binaries); without network access, point
+// MONGOMS_SYSTEM_BINARY at an installed mongod (e.g. MONGOMS_SYSTEM_BINARY=/usr/bin/mongod
+// npm test). When neither works those suites are skipped with the reason instead of
+// failing. Looked up in a child process because describe() needs the answer synchronously.
+const FIND_MONGOD = `require('mongodb-memory-server').MongoBinary.getPath()
+  .then((binary) => process.stdout.write(binary), (error) => { process.stderr.write(error.message); process.exit(1); })`;
+
+const findMongodProblem = () => {
+  const result = spawnSync(process.execPath, ['-e', FIND_MONGOD], { cwd: __dirname, encoding: 'utf8' });
+  if (result.status === 0 && result.stdout) return null;
+  const lines = String(result.stderr || result.error || 'unknown error').trim().split('\n');
+  return `no mongod binary (${lines[lines.length - 1]}); set MONGOMS_SYSTEM_BINARY to run the database tests`;
+};
+
+// Options for describe() around suites that call startTestServer():
+//   describe('team', requiresDb, () => { ... })
+const requiresDb = { skip: findMongodProblem() || false };
+
+// One server per test file:
+//
+//   const ctx = await startTestServer();
+//   const res = await ctx.request('GET', '/api/team', { token });
+//   await ctx.close();
+//
+// Once the mongod binary is there (see requiresDb) nothing here touches the network:
+// DOI lookups use fixtures/doi.json.
+const startTestServer = async () => {
+  const mongod = await MongoMemoryServer.create();
+  const db = await mongoose.createConnection(mongod.getUri()).asPromise();
+
+  const storage = createMemoryStorage();
+  const mailer = createMemoryTransport();
+  const config = loadConfig({ JWT_SECRET: 'test-secret', APP_URL: 'http://lab.test' });
+  const app = createApp({ db, storage, config, mailer, doiResolver: createFixtureResolver() });
+
+  const models = createModels(db);
+  await Promise.all(Object.values(models).map((Model) => Model.init()));
+
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  // `body` is sent as JSON, `form` (a FormData) as multipart. Resolves to { status, headers, body }
+  // where body is parsed JSON when the response is JSON and text otherwise.
+  const request = async (method, path, { token, body, form, headers = {} } = {}) => {
+    const init = { method, headers: { ...headers } };
+    if (token) init.headers.Authorization = `Bearer ${token}`;
+    if (form) {
+      init.body = form;
+    } else if (body !== undefined) {
+      init.headers['Content-Type'] = 'application/json';
+      init.body = JSON.stringify(body);
+    }
+
+    const res = await fetch(baseUrl + path, init);
+    const text = await res.text();
+    const isJson = (res.headers.get('content-type') || '').includes('application/json');
+    return { status: res.status, headers: res.headers, body: isJson && text ? JSON.parse(text) : text };
+  };
+
+  // Create an active, verified account directly in the database and sign it in.
+  // Options: permissions, roles, team (true or { isAlumni }), plus any User field.
+  let counter = 0;
+  const createUser = async ({ permissions = [], roles = [], team = false, ...fields } = {}) => {
+    counter += 1;
+    const user = await models.User.create({
+      name: `Member ${counter}`,
+      email: `member${counter}@lab.test`,
+      role: 'Researcher',
+      password: await bcrypt.hash(PASSWORD, 4),
+      emailVerified: true,
+      status: 'active',
+      permissions,
+      roles,
+      ...fields,
+    });
+    if (team) {
+      await models.Team.create({ userId: user._id, addedBy: user._id, isAlumni: Boolean(team.isAlumni) });
+    }
+
+    if (user.status !== 'active') return { user };
+    const res = await request('POST', '/api/users/login', { body: { email: user.email, password: PASSWORD } });
+    return { user, token: res.body.token, refreshToken: res.body.refreshToken };
+  };
+
+  // The most recent email sent to `to`, and the token in its link
+  const lastMail = (to) => [...mailer.sent].reverse().find((message) => message.to === to);
+  const tokenFromMail = (to) => {
+    const message = lastMail(to);
+    const match = message && message.text.match(/[?&](?:token|invite)=([\w-]+)/);
+    return match ? match[1] : null;
+  };
+
+  const close = async () => {
+    await new Promise((resolve) => server.close(resolve));
+    await db.close();
+    await mongod.stop();
+  };
+
+  return {
+    baseUrl, app, db, models, storage, mailer, config,
+    request, createUser, lastMail, tokenFromMail, close,
+  };
+};
+
+// A multipart form from plain fields; arrays and objects are JSON-encoded as the frontend does
+const formData = (fields, files = {}) => {
+  const form = new FormData();
+  Object.entries(fields).forEach(([key, value]) => {
+    form.append(key, typeof value === 'object' ? JSON.stringify(value) : String(value));
+  });
+  Object.entries(files).forEach(([key, { content, type, name }]) => {
+    form.append(key, new Blob([content], { type }), name);
+  });
+  return form;
+};
+
+const SVG_ICON = '<svg xmlns="http://www.w3.org/2000/svg" width="1" height="1"></svg>';
+
+module.exports = {
+  PASSWORD,
+  SVG_ICON,
+  requiresDb,
+  startTestServer,
+  formData,
+};
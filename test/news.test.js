@@ -0,0 +1,130 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const { startTestServer, formData, requiresDb } = require('./helpers');
+
+const DAY = 24 * 60 * 60 * 1000;
+const daysFromNow = (days) => new Date(Date.now() + days * DAY).toISOString();
+
+describe('news and events', requiresDb, () => {
+  let ctx;
+  let writer;
+  let member;
+  let paper;
+  let draftPaper;
+
+  before(async () => {
+    ctx = await startTestServer();
+    writer = await ctx.createUser({ permissions: ['news:edit'] });
+    member = await ctx.createUser({ name: 'Nora Newcomer', team: true });
+    paper = await ctx.models.Publication.create({ title: 'Accepted paper', authors: [{ user: member.user._id }], status: 'published' });
+    draftPaper = await ctx.models.Publication.create({ title: 'Unfinished paper', authors: [{ user: member.user._id }], status: 'draft' });
+  });
+
+  after(() => ctx.close());
+
+  const create = (body) => ctx.request('POST', '/api/news', { token: writer.token, body });
+
+  it('needs news:edit to write news', async () => {
+    const anonymous = await ctx.request('POST', '/api/news', { body: { title: 'Hello' } });
+    assert.equal(anonymous.status, 401);
+    const forbidden = await ctx.request('POST', '/api/news', { token: member.token, body: { title: 'Hello' } });
+    assert.equal(forbidden.status, 403);
+    const drafts = await ctx.request('GET', '/api/news/unpublished', { token: member.token });
+    assert.equal(drafts.status, 403);
+  });
+
+  it('publishes items from their publish date and links members and publications', async () => {
+    const published = await create({
+      title: 'Paper accepted',
+      body: 'Our paper was **accepted**.',
+      tags: ['Papers', ' papers ', 'Awards'],
+      people: [String(member.user._id)],
+      publications: [String(paper._id), String(draftPaper._id)],
+      publishAt: daysFromNow(-1),
+    });
+    assert.equal(published.status, 201);
+    assert.equal(published.body.kind, 'news');
+    assert.deepEqual(published.body.tags, ['papers', 'awards']);
+
+    const draft = await create({ title: 'Draft news' });
+    const scheduled = await create({ title: 'Scheduled news', publishAt: daysFromNow(2) });
+
+    const listing = await ctx.request('GET', '/api/news');
+    assert.equal(listing.status, 200);
+    assert.deepEqual(listing.body.items.map((item) => item.title), ['Paper accepted']);
+    const [item] = listing.body.items;
+    assert.equal(item.people[0].name, 'Nora Newcomer');
+    assert.equal(item.people[0].email, undefined);
+    assert.deepEqual(item.publications.map((publication) => publication.title), ['Accepted paper']);
+
+    const byTag = await ctx.request('GET', '/api/news?tag=AWARDS');
+    assert.equal(byTag.body.total, 1);
+    const byPerson = await ctx.request('GET', `/api/news?person=${writer.user._id}`);
+    assert.equal(byPerson.body.total, 0);
+
+    const hidden = await ctx.request('GET', `/api/news/${scheduled.body._id}`);
+    assert.equal(hidden.status, 404);
+    const asWriter = await ctx.request('GET', `/api/news/${scheduled.body._id}`, { token: writer.token });
+    assert.equal(asWriter.status, 200);
+
+    const unpublished = await ctx.request('GET', '/api/news/unpublished', { token: writer.token });
+    assert.deepEqual(unpublished.body.map((entry) => entry._id).sort(), [draft.body._id, scheduled.body._id].sort());
+  });
+
+  it('checks event times and linked records', async () => {
+    const noStart = await create({ kind: 'event', title: 'Seminar' });
+    assert.equal(noStart.status, 422);
+    assert.deepEqual(noStart.body.error.details, [{ path: 'startsAt', message: 'is required for events' }]);
+
+    const backwards = await create({ kind: 'event', title: 'Seminar', startsAt: daysFromNow(2), endsAt: daysFromNow(1) });
+    assert.equal(backwards.status, 422);
+
+    const unknown = await create({ title: 'Welcome', people: [String(paper._id)], location: { address: String(paper._id) } });
+    assert.equal(unknown.status, 422);
+    assert.deepEqual(unknown.body.error.details.map((detail) => detail.path), ['people[0]', 'location.address']);
+  });
+
+  it('lists upcoming events soonest first', async () => {
+    const address = await ctx.models.Address.create({ room: 'B12', department: 'Chemistry' });
+    const publishAt = daysFromNow(-1);
+    await create({ kind: 'event', title: 'Later seminar', startsAt: daysFromNow(10), publishAt });
+    await create({ kind: 'event', title: 'Workshop', startsAt: daysFromNow(-1), endsAt: daysFromNow(1), publishAt, location: { address: String(address._id), name: 'Room B12' } });
+    await create({ kind: 'event', title: 'Past talk', startsAt: daysFromNow(-3), endsAt: daysFromNow(-2), publishAt });
+    await create({ kind: 'event', title: 'Unannounced talk', startsAt: daysFromNow(3) });
+
+    const res = await ctx.request('GET', '/api/events/upcoming');
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.map((event) => event.title), ['Workshop', 'Later seminar']);
+    assert.equal(res.body[0].location.address.room, 'B12');
+
+    const events = await ctx.request('GET', '/api/news?kind=event');
+    assert.equal(events.body.total, 3);
+  });
+
+  it('updates items, clearing event fields when an event becomes news', async () => {
+    const event = await create({ kind: 'event', title: 'Open day', startsAt: daysFromNow(5), location: { name: 'Lobby' } });
+    const updated = await ctx.request('PATCH', `/api/news/${event.body._id}`, { token: writer.token, body: { kind: 'news', title: 'Open day moved online' } });
+    assert.equal(updated.status, 200);
+    assert.equal(updated.body.title, 'Open day moved online');
+    assert.equal(updated.body.startsAt, undefined);
+    assert.equal(updated.body.location, undefined);
+
+    const invalid = await ctx.request('PATCH', `/api/news/${event.body._id}`, { token: writer.token, body: { kind: 'event' } });
+    assert.equal(invalid.status, 422);
+  });
+
+  it('stores a cover image and moves items to the trash', async () => {
+    const png = await sharp({ create: { width: 40, height: 30, channels: 3, background: '#993366' } }).png().toBuffer();
+    const form = formData({ title: 'Group photo', tags: ['team'] }, { coverImage: { content: png, type: 'image/png', name: 'photo.png' } });
+    const created = await ctx.request('POST', '/api/news', { token: writer.token, form });
+    assert.equal(created.status, 201);
+    assert.match(created.body.coverImage, /^memory:\/\/cover-images\//);
+    assert.deepEqual(created.body.tags, ['team']);
+
+    const deleted = await ctx.request('DELETE', `/api/news/${created.body._id}`, { token: writer.token });
+    assert.equal(deleted.status, 200);
+    const trash = await ctx.request('GET', '/api/admin/trash?type=news', { token: writer.token });
+    assert.deepEqual(trash.body.items.map((entry) => entry.label), ['Group photo']);
+  });
+});
@@ -0,0 +1,112 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { createApp } = require('../app');
+const { loadConfig } = require('../lib/config');
+const { createMemoryStorage } = require('../lib/storage');
+const { createMemoryTransport } = require('../lib/mailer');
+const { createFixtureResolver } = require('../lib/doiResolver');
+const { listRoutes, findUndocumentedRoutes } = require('../lib/openapi');
+
+// Building the document only inspects the routes and the model schemas, so these
+// tests run against a connection that is never opened.
+describe('OpenAPI document', () => {
+  let app;
+  let db;
+  let server;
+  let baseUrl;
+  let document;
+
+  before(async () => {
+    db = mongoose.createConnection();
+    app = createApp({
+      db,
+      storage: createMemoryStorage(),
+      config: loadConfig({ JWT_SECRET: 'test-secret' }),
+      mailer: createMemoryTransport(),
+      doiResolver: createFixtureResolver(),
+    });
+    server = await new Promise((resolve) => {
+      const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    const res = await fetch(`${baseUrl}/api/openapi.json`);
+    assert.equal(res.status, 200);
+    document = await res.json();
+  });
+
+  after(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    await db.close();
+  });
+
+  it('documents every registered route', () => {
+    assert.ok(listRoutes(app).length > 70);
+    assert.deepEqual(findUndocumentedRoutes(app, document), []);
+  });
+
+  it('only references components that exist', () => {
+    const refs = JSON.stringify(document).match(/"\$ref":"[^"]+"/g);
+    refs.forEach((entry) => {
+      const [, kind, name] = entry.match(/#\/components\/(\w+)\/(\w+)/);
+      assert.ok(document.components[kind][name], `${entry} is not defined`);
+    });
+  });
+
+  it('describes security requirements and their error responses', () => {
+    const operation = document.paths['/api/admin/users/{id}'].patch;
+    assert.deepEqual(operation.security, [{ bearerAuth: [] }]);
+    assert.deepEqual(operation['x-permissions'], ['users:manage']);
+    ['401', '403', '404', '422'].forEach((status) => assert.ok(operation.responses[status], status));
+
+    const publicList = document.paths['/api/publications'].get;
+    assert.deepEqual(publicList.security, []);
+    assert.ok(!publicList.responses['401']);
+
+    const member = document.paths['/api/team/{userId}'].get;
+    assert.deepEqual(member.security, [{}, { bearerAuth: [] }]);
+  });
+
+  it('describes query parameters and JSON bodies from the validation schemas', () => {
+    const list = document.paths['/api/publications'].get;
+    const limit = list.parameters.find((parameter) => parameter.name === 'limit');
+    assert.equal(limit.in, 'query');
+    assert.equal(limit.schema.type, 'integer');
+
+    const forgot = document.paths['/api/users/forgot-password'].post.requestBody.content['application/json'].schema;
+    assert.equal(forgot.properties.email.format, 'email');
+    assert.deepEqual(forgot.required, ['email']);
+
+    const update = document.paths['/api/publications/{id}'].patch.requestBody.content['application/json'].schema;
+    assert.equal(update.required, undefined);
+  });
+
+  it('describes multipart uploads with their file field and limits', () => {
+    const operation = document.paths['/api/publications'].post;
+    const multipart = operation.requestBody.content['multipart/form-data'];
+    assert.deepEqual(multipart.schema.properties.coverImage, {
+      type: 'string',
+      format: 'binary',
+      description: multipart.schema.properties.coverImage.description,
+    });
+    assert.match(multipart.encoding.coverImage.contentType, /image\/png/);
+    assert.equal(multipart.schema.properties.authors.contentMediaType, 'application/json');
+    assert.ok(operation.responses['413']);
+    assert.ok(operation.responses['415']);
+  });
+
+  it('leaves secrets out of the component schemas', () => {
+    assert.equal(document.components.schemas.User.properties.password, undefined);
+    assert.equal(document.components.schemas.Invite.properties.codeHash, undefined);
+  });
+
+  it('serves a docs page', async () => {
+    const page = await fetch(`${baseUrl}/api/docs`);
+    assert.equal(page.status, 200);
+    assert.match(await page.text(), /\/api\/openapi\.json/);
+
+    const asset = await fetch(`${baseUrl}/api/docs/swagger-ui-bundle.js`);
+    assert.equal(asset.status, 200);
+  });
+});
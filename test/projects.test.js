@@ -0,0 +1,115 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, requiresDb } = require('./helpers');
+
+describe('projects', requiresDb, () => {
+  let ctx;
+  let editor;
+  let pi;
+  let student;
+  let paper;
+  let draftPaper;
+  let technology;
+  let projectId;
+
+  before(async () => {
+    ctx = await startTestServer();
+    editor = await ctx.createUser({ permissions: ['projects:edit'] });
+    pi = await ctx.createUser({ name: 'Pat PI', team: true });
+    student = await ctx.createUser({ name: 'Sam Student', team: true });
+    paper = await ctx.models.Publication.create({ title: 'Project paper', authors: [{ user: pi.user._id }], year: 2024, status: 'published' });
+    draftPaper = await ctx.models.Publication.create({ title: 'Project draft', authors: [{ user: pi.user._id }], status: 'draft' });
+    technology = await ctx.models.Technology.create({ name: 'CrystalNet' });
+  });
+
+  after(() => ctx.close());
+
+  it('needs projects:edit to create a project and checks what it links to', async () => {
+    const body = { title: 'Materials genome' };
+    const forbidden = await ctx.request('POST', '/api/projects', { token: pi.token, body });
+    assert.equal(forbidden.status, 403);
+
+    const invalid = await ctx.request('POST', '/api/projects', {
+      token: editor.token,
+      body: {
+        title: 'Broken',
+        startDate: '2024-01-01',
+        endDate: '2023-01-01',
+        members: [{ user: String(pi.user._id) }, { user: String(pi.user._id) }],
+        technologies: [String(paper._id)],
+      },
+    });
+    assert.equal(invalid.status, 422);
+    assert.deepEqual(invalid.body.error.details.map((detail) => detail.path), ['endDate', 'members[1].user', 'technologies[0]']);
+  });
+
+  it('creates a project and shows it publicly with its links', async () => {
+    const created = await ctx.request('POST', '/api/projects', {
+      token: editor.token,
+      body: {
+        title: 'Materials genome',
+        description: 'Finding new **crystals**.',
+        funding: [{ agency: 'ERC', grantNumber: '101000001' }],
+        startDate: '2023-01-01',
+        members: [{ user: String(pi.user._id), role: 'Principal investigator' }, { user: String(student.user._id) }],
+        publications: [String(paper._id), String(draftPaper._id)],
+        technologies: [String(technology._id)],
+      },
+    });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.status, 'active');
+    projectId = created.body._id;
+
+    await ctx.request('POST', '/api/projects', { token: editor.token, body: { title: 'Finished project', status: 'completed', startDate: '2024-01-01' } });
+
+    const listing = await ctx.request('GET', '/api/projects');
+    assert.equal(listing.status, 200);
+    assert.deepEqual(listing.body.map((project) => project.title), ['Materials genome', 'Finished project']);
+    assert.equal(listing.body[0].members[0].user.name, 'Pat PI');
+    assert.equal(listing.body[0].members[0].user.email, undefined);
+
+    const byMember = await ctx.request('GET', `/api/projects?member=${student.user._id}`);
+    assert.deepEqual(byMember.body.map((project) => project.title), ['Materials genome']);
+
+    const detail = await ctx.request('GET', `/api/projects/${projectId}`);
+    assert.deepEqual(detail.body.publications.map((publication) => publication.title), ['Project paper']);
+    assert.equal(detail.body.technologies[0].name, 'CrystalNet');
+    assert.equal(detail.body.funding[0].agency, 'ERC');
+  });
+
+  it('includes projects in member and publication responses', async () => {
+    const member = await ctx.request('GET', `/api/team/${pi.user._id}`);
+    assert.deepEqual(member.body.projects.map(({ title, role }) => [title, role]), [['Materials genome', 'Principal investigator']]);
+    assert.deepEqual(member.body.publications[0].projects.map((project) => project.title), ['Materials genome']);
+
+    const publications = await ctx.request('GET', '/api/publications?page=1');
+    assert.deepEqual(publications.body.publications[0].projects.map((project) => project._id), [projectId]);
+  });
+
+  it('hides disabled members and drops purged links', async () => {
+    await ctx.models.User.updateOne({ _id: student.user._id }, { status: 'disabled' });
+    const detail = await ctx.request('GET', `/api/projects/${projectId}`);
+    assert.deepEqual(detail.body.members.map((member) => member.user.name), ['Pat PI']);
+
+    const admin = await ctx.createUser({ permissions: ['content:edit'] });
+    await ctx.request('DELETE', `/api/technology/${technology._id}`, { token: admin.token });
+    const purged = await ctx.request('DELETE', `/api/admin/trash/technology/${technology._id}`, { token: admin.token });
+    assert.equal(purged.status, 200);
+    const project = await ctx.models.Project.findById(projectId);
+    assert.deepEqual(project.technologies, []);
+  });
+
+  it('updates and trashes projects', async () => {
+    const updated = await ctx.request('PATCH', `/api/projects/${projectId}`, { token: editor.token, body: { status: 'completed', endDate: '2025-06-30' } });
+    assert.equal(updated.status, 200);
+    assert.equal(updated.body.status, 'completed');
+
+    const backwards = await ctx.request('PATCH', `/api/projects/${projectId}`, { token: editor.token, body: { endDate: '2020-01-01' } });
+    assert.equal(backwards.status, 422);
+
+    const deleted = await ctx.request('DELETE', `/api/projects/${projectId}`, { token: editor.token });
+    assert.equal(deleted.status, 200);
+    const missing = await ctx.request('GET', `/api/projects/${projectId}`);
+    assert.equal(missing.status, 404);
+  });
+});
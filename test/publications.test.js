@@ -0,0 +1,485 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const { migratePublicationAuthors } = require('../lib/models');
+const citations = require('../lib/citations');
+const { startTestServer, formData, requiresDb } = require('./helpers');
+
+describe('citation formats', () => {
+  it('escapes LaTeX markup in BibTeX and reads it back', () => {
+    const title = 'Sets {a, b} \\ paths ~user ^2 at 50% & $5';
+    const bibtex = citations.toBibtex([{ title, authors: ['Ada Lovelace'], year: 2020 }]);
+    assert.match(bibtex, /title = \{Sets \\\{a, b\\\} \\textbackslash\{\} paths \\textasciitilde\{\}user \\textasciicircum\{\}2 at 50\\% \\& \\\$5\}/);
+    assert.equal(citations.parseBibtex(bibtex)[0].title, title);
+  });
+
+  it('keeps a year it cannot read for validation to report', () => {
+    assert.equal(citations.parseBibtex('@article{a, title = {A}, year = {in press}}')[0].year, 'in press');
+    assert.equal(citations.parseBibtex('@article{b, title = {B}, year = {2021a}}')[0].year, 2021);
+    assert.equal(citations.parseRis('TY  - JOUR\nTI  - C\nPY  - n.d.\nER  - \n')[0].year, 'n.d.');
+  });
+});
+
+describe('publications', requiresDb, () => {
+  let ctx;
+  let author;
+  let coauthor;
+  let otherMember;
+  let outsider;
+  let editor;
+  let reviewer;
+
+  const findByTitle = (title) => ctx.models.Publication.findOne({ title }).exec();
+
+  before(async () => {
+    ctx = await startTestServer();
+    author = await ctx.createUser({ name: 'Ada Lovelace', team: true });
+    coauthor = await ctx.createUser({ team: true });
+    otherMember = await ctx.createUser({ team: true });
+    outsider = await ctx.createUser();
+    editor = await ctx.createUser({ team: true, permissions: ['publications:edit-any'] });
+    reviewer = await ctx.createUser({ permissions: ['publications:review'] });
+  });
+
+  after(() => ctx.close());
+
+  describe('creating', () => {
+    it('is limited to verified team members', async () => {
+      const body = { title: 'Not allowed', authors: [{ user: String(outsider.user._id) }] };
+      const notMember = await ctx.request('POST', '/api/publications', { token: outsider.token, body });
+      assert.equal(notMember.status, 403);
+
+      const unverified = await ctx.createUser({ team: true, emailVerified: false });
+      const notVerified = await ctx.request('POST', '/api/publications', { token: unverified.token, body });
+      assert.equal(notVerified.status, 403);
+
+      const anonymous = await ctx.request('POST', '/api/publications', { body });
+      assert.equal(anonymous.status, 401);
+    });
+
+    it('creates a publication from a multipart form, keeping the author order', async () => {
+      const form = formData({
+        title: 'Graph networks for crystals',
+        authors: [
+          { user: String(author.user._id), equalContribution: true },
+          { name: 'Grace Hopper', affiliation: 'Yale', orcid: '0000-0002-1825-0097', equalContribution: true },
+          { user: String(coauthor.user._id), corresponding: true },
+        ],
+        year: 2022,
+        doi: 'https://doi.org/10.1000/graph.1',
+      });
+      const res = await ctx.request('POST', '/api/publications', { token: author.token, form });
+      assert.equal(res.status, 201);
+
+      const publication = await findByTitle('Graph networks for crystals');
+      assert.deepEqual(publication.authors.map((a) => (a.user ? String(a.user) : a.name)), [String(author.user._id), 'Grace Hopper', String(coauthor.user._id)]);
+      assert.deepEqual(publication.authors.map((a) => a.equalContribution), [true, true, false]);
+      assert.equal(publication.authors[2].corresponding, true);
+      assert.equal(publication.authors[1].affiliation, 'Yale');
+      assert.equal(publication.doi, '10.1000/graph.1');
+    });
+
+    it('checks the author entries', async () => {
+      const res = await ctx.request('POST', '/api/publications', {
+        token: author.token,
+        body: {
+          title: 'Bad authors',
+          authors: [{ user: String(author.user._id) }, { user: String(author.user._id) }, { affiliation: 'Nowhere' }, { user: '000000000000000000000000' }, { name: 'X', orcid: 'nope' }],
+        },
+      });
+      assert.equal(res.status, 422);
+      const paths = res.body.error.details.map((detail) => detail.path);
+      assert.ok(paths.includes('authors[4].orcid'));
+
+      const res2 = await ctx.request('POST', '/api/publications', {
+        token: author.token,
+        body: { title: 'Bad authors', authors: [{ user: String(author.user._id) }, { user: String(author.user._id) }, { affiliation: 'Nowhere' }, { user: '000000000000000000000000' }] },
+      });
+      assert.equal(res2.status, 422);
+      assert.deepEqual(res2.body.error.details.map((detail) => detail.path), ['authors[1].user', 'authors[2].name', 'authors[3].user']);
+    });
+
+    it('validates the body', async () => {
+      const res = await ctx.request('POST', '/api/publications', {
+        token: author.token,
+        body: { authors: [{ user: 'not-an-id' }], year: 'soon' },
+      });
+      assert.equal(res.status, 422);
+      const paths = res.body.error.details.map((detail) => detail.path);
+      assert.ok(paths.includes('authors[0].user'));
+      assert.ok(paths.includes('year'));
+
+      const untitled = await ctx.request('POST', '/api/publications', { token: author.token, body: { year: 2020 } });
+      assert.equal(untitled.status, 422);
+      assert.deepEqual(untitled.body.error.details, [{ path: 'title', message: 'is required' }]);
+    });
+
+    it('fills a publication from DOI metadata and matches authors to members', async () => {
+      const res = await ctx.request('POST', '/api/publications', {
+        token: author.token,
+        body: { fromDoi: true, doi: '10.1000/cml.2023.001' },
+      });
+      assert.equal(res.status, 201);
+
+      const publication = await findByTitle('Machine Learning for Computational Materials Discovery');
+      assert.equal(publication.year, 2023);
+      assert.deepEqual(publication.authors.map((a) => String(a.user || a.name)), [String(author.user._id), 'Alan Turing']);
+
+      const duplicate = await ctx.request('POST', '/api/publications', {
+        token: author.token,
+        body: { fromDoi: true, doi: '10.1000/CML.2023.001' },
+      });
+      assert.equal(duplicate.status, 409);
+      assert.equal(duplicate.body.error.details.id, String(publication._id));
+    });
+
+    it('returns a DOI draft without saving it', async () => {
+      const before = await ctx.models.Publication.countDocuments();
+      const res = await ctx.request('GET', '/api/publications/draft?doi=10.5281/zenodo.0000001', { token: author.token });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.draft.title, 'CML Lab Benchmark Dataset');
+      assert.equal(res.body.resolver, 'fixture');
+      assert.equal(await ctx.models.Publication.countDocuments(), before);
+
+      const unknown = await ctx.request('GET', '/api/publications/draft?doi=10.1000/unknown', { token: author.token });
+      assert.equal(unknown.status, 404);
+
+      const outsiderDraft = await ctx.request('GET', '/api/publications/draft?doi=10.5281/zenodo.0000001', { token: outsider.token });
+      assert.equal(outsiderDraft.status, 403);
+    });
+
+    it('imports a BibTeX file, skipping known DOIs', async () => {
+      const bibtex = [
+        '@article{one, title = {Imported paper}, author = {Lovelace, Ada and Someone, Else}, year = {2021}, doi = {10.1000/imported.1}}',
+        '@article{two, title = {Graph networks again}, author = {Someone, Else}, year = {2022}, doi = {10.1000/graph.1}}',
+      ].join('\n');
+      const form = formData({}, { file: { content: bibtex, type: 'application/x-bibtex', name: 'refs.bib' } });
+
+      const res = await ctx.request('POST', '/api/publications/import', { token: author.token, form });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.created, 1);
+      assert.equal(res.body.skipped, 1);
+
+      const imported = await findByTitle('Imported paper');
+      assert.deepEqual(imported.authors.map((a) => String(a.user || a.name)), [String(author.user._id), 'Else Someone']);
+    });
+
+    it('skips DOIs in the trash and lists a member matched twice once', async () => {
+      const trashed = await ctx.models.Publication.create({ title: 'Trashed paper', doi: '10.1000/trashed.1', authors: [{ user: author.user._id }] });
+      await trashed.softDelete(author.user._id);
+      const bibtex = [
+        '@article{one, title = {Trashed paper}, author = {Lovelace, Ada}, doi = {10.1000/trashed.1}}',
+        '@article{two, title = {Named twice}, author = {Lovelace, Ada and Ada Lovelace and Someone, Else}, doi = {10.1000/twice.1}}',
+      ].join('\n');
+      const form = formData({}, { file: { content: bibtex, type: 'application/x-bibtex', name: 'refs.bib' } });
+
+      const res = await ctx.request('POST', '/api/publications/import', { token: author.token, form });
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.results.map((result) => [result.status, result.reason]), [
+        ['skipped', 'A publication with this DOI is in the trash'],
+        ['created', undefined],
+      ]);
+      assert.equal(res.body.results[1].matchedAuthors, 1);
+      const imported = await findByTitle('Named twice');
+      assert.deepEqual(imported.authors.map((a) => String(a.user || a.name)), [String(author.user._id), 'Else Someone']);
+    });
+
+    it('reports imported entries that break the publication field rules', async () => {
+      const bibtex = [
+        '@article{one, title = {Undated}, year = {forthcoming}}',
+        `@article{two, title = {${'Long '.repeat(120)}}, year = {2020}}`,
+      ].join('\n');
+      const form = formData({}, { file: { content: bibtex, type: 'application/x-bibtex', name: 'refs.bib' } });
+
+      const res = await ctx.request('POST', '/api/publications/import', { token: author.token, form });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.created, 0);
+      assert.deepEqual(res.body.results.map((result) => [result.status, result.reason]), [
+        ['failed', 'year must be an integer'],
+        ['failed', 'title must be at most 500 characters'],
+      ]);
+    });
+
+    it('rejects an import without a file', async () => {
+      const res = await ctx.request('POST', '/api/publications/import', { token: author.token, body: {} });
+      assert.equal(res.status, 422);
+    });
+  });
+
+  describe('review workflow', () => {
+    const transition = async (title, action, token, body) => {
+      const publication = await findByTitle(title);
+      return ctx.request('POST', `/api/publications/${publication._id}/${action}`, { token, body });
+    };
+
+    it('keeps drafts out of public listings and lets co-authors edit them', async () => {
+      const listing = await ctx.request('GET', '/api/publications?page=1');
+      assert.equal(listing.body.total, 0);
+
+      const mine = await ctx.request('GET', '/api/publications/my?status=draft', { token: coauthor.token });
+      assert.deepEqual(mine.body.map((p) => [p.title, p.status]), [['Graph networks for crystals', 'draft']]);
+
+      const publication = await findByTitle('Graph networks for crystals');
+      const edited = await ctx.request('PATCH', `/api/publications/${publication._id}`, { token: coauthor.token, body: { summary: 'First summary' } });
+      assert.equal(edited.status, 200);
+    });
+
+    it('submits, rejects with a comment and resubmits, recording each revision', async () => {
+      const title = 'Graph networks for crystals';
+      assert.equal((await transition(title, 'submit', otherMember.token)).status, 403);
+      assert.equal((await transition(title, 'publish', reviewer.token)).status, 409);
+
+      const submitted = await transition(title, 'submit', author.token);
+      assert.equal(submitted.status, 200);
+      assert.equal(submitted.body.status, 'submitted');
+
+      const publication = await findByTitle(title);
+      const locked = await ctx.request('PATCH', `/api/publications/${publication._id}`, { token: coauthor.token, body: { summary: 'Too late' } });
+      assert.equal(locked.status, 409);
+
+      assert.equal((await ctx.request('GET', '/api/publications/review', { token: author.token })).status, 403);
+      const queue = await ctx.request('GET', '/api/publications/review', { token: reviewer.token });
+      assert.equal(queue.status, 200);
+      assert.deepEqual(queue.body.map((entry) => entry.publication.title), [title]);
+      assert.equal(queue.body[0].revision.number, 1);
+      assert.equal(queue.body[0].revision.changes, null);
+
+      assert.equal((await transition(title, 'reject', reviewer.token, {})).status, 422);
+      const rejected = await transition(title, 'reject', reviewer.token, { comment: 'Please expand the summary' });
+      assert.equal(rejected.body.status, 'rejected');
+      assert.equal(rejected.body.reviewComment, 'Please expand the summary');
+
+      await ctx.request('PATCH', `/api/publications/${publication._id}`, { token: coauthor.token, body: { summary: 'Expanded summary' } });
+      assert.equal((await transition(title, 'submit', coauthor.token)).status, 200);
+
+      const revisions = await ctx.request('GET', `/api/publications/${publication._id}/revisions`, { token: reviewer.token });
+      assert.deepEqual(revisions.body.map((revision) => revision.number), [2, 1]);
+      assert.deepEqual(revisions.body[0].changes, { summary: { from: 'First summary', to: 'Expanded summary' } });
+      assert.equal(revisions.body[0].submittedBy.name, coauthor.user.name);
+
+      const asOther = await ctx.request('GET', `/api/publications/${publication._id}/revisions`, { token: otherMember.token });
+      assert.equal(asOther.status, 403);
+    });
+
+    it('withdraws a submission back to draft', async () => {
+      assert.equal((await transition('Imported paper', 'submit', author.token)).status, 200);
+      const withdrawn = await transition('Imported paper', 'withdraw', author.token);
+      assert.equal(withdrawn.body.status, 'draft');
+      assert.equal((await transition('Imported paper', 'withdraw', author.token)).status, 409);
+    });
+
+    it('publishes submitted publications', async () => {
+      assert.equal((await transition('Graph networks for crystals', 'publish', author.token)).status, 403);
+
+      const published = await transition('Graph networks for crystals', 'publish', reviewer.token);
+      assert.equal(published.status, 200);
+      assert.equal(published.body.status, 'published');
+      assert.equal(published.body.reviewComment, undefined);
+      assert.ok(published.body.publishedAt);
+
+      for (const title of ['Imported paper', 'Machine Learning for Computational Materials Discovery']) {
+        await transition(title, 'submit', author.token);
+        await transition(title, 'publish', reviewer.token);
+      }
+      const queue = await ctx.request('GET', '/api/publications/review', { token: reviewer.token });
+      assert.deepEqual(queue.body, []);
+    });
+  });
+
+  describe('reading', () => {
+    it('lists, filters and pages publications', async () => {
+      const all = await ctx.request('GET', '/api/publications?sort=year&order=asc');
+      assert.equal(all.status, 200);
+      assert.equal(all.body.total, 3);
+      assert.deepEqual(all.body.publications.map((p) => p.year), [2021, 2022, 2023]);
+      assert.equal(all.body.publications[0].authors[0].user.name, 'Ada Lovelace');
+      assert.equal(all.body.publications[0].authors[0].user.email, undefined);
+
+      const filtered = await ctx.request('GET', `/api/publications?yearFrom=2022&author=${coauthor.user._id}`);
+      assert.equal(filtered.body.total, 1);
+
+      const firstPage = await ctx.request('GET', '/api/publications?sort=year&limit=2');
+      assert.equal(firstPage.body.publications.length, 2);
+      const nextPage = await ctx.request('GET', `/api/publications?sort=year&limit=2&cursor=${encodeURIComponent(firstPage.body.nextCursor)}`);
+      assert.deepEqual(nextPage.body.publications.map((p) => p.year), [2021]);
+      assert.equal(nextPage.body.nextCursor, null);
+
+      const invalid = await ctx.request('GET', '/api/publications?limit=0');
+      assert.equal(invalid.status, 422);
+    });
+
+    it('refuses cursors that do not hold a plain value of the sort field', async () => {
+      const cursor = (value) => Buffer.from(JSON.stringify({ value, id: 'f'.repeat(24) })).toString('base64url');
+      const injected = await ctx.request('GET', `/api/publications?sort=year&cursor=${cursor({ $ne: null })}`);
+      assert.equal(injected.status, 422);
+      assert.deepEqual(injected.body.error.details, [{ path: 'query.cursor', message: 'is not a cursor from this listing' }]);
+      const wrongType = await ctx.request('GET', `/api/publications?sort=createdAt&cursor=${cursor(2021)}`);
+      assert.equal(wrongType.status, 422);
+      const valid = await ctx.request('GET', `/api/publications?sort=year&cursor=${cursor(2022)}`);
+      assert.deepEqual(valid.body.publications.map((p) => p.year), [2022, 2021]);
+    });
+
+    it('keeps the original response without query parameters', async () => {
+      const res = await ctx.request('GET', '/api/publications');
+      assert.equal(res.status, 200);
+      assert.ok(Array.isArray(res.body));
+      assert.equal(res.body.length, 3);
+      assert.equal(res.body.find((p) => p.year === 2021).authors[0].user.name, 'Ada Lovelace');
+    });
+
+    it('exports citations', async () => {
+      const res = await ctx.request('GET', '/api/publications/export?format=ris&yearFrom=2023');
+      assert.equal(res.status, 200);
+      assert.match(res.headers.get('content-type'), /application\/x-research-info-systems/);
+      assert.match(res.body, /Machine Learning for Computational Materials Discovery/);
+      assert.doesNotMatch(res.body, /Imported paper/);
+    });
+
+    it('lists publications of a year', async () => {
+      const res = await ctx.request('GET', '/api/publications/year/2022');
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.map((p) => p.title), ['Graph networks for crystals']);
+
+      const invalid = await ctx.request('GET', '/api/publications/year/last');
+      assert.equal(invalid.status, 422);
+    });
+
+    it('lists the signed-in author\'s publications', async () => {
+      const res = await ctx.request('GET', '/api/publications/my', { token: coauthor.token });
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.map((p) => p.title), ['Graph networks for crystals']);
+
+      const drafts = await ctx.request('GET', '/api/publications/my?status=draft', { token: coauthor.token });
+      assert.deepEqual(drafts.body, []);
+    });
+
+    it('shows a single publication to its authors, reviewers and editors only', async () => {
+      const publication = await findByTitle('Graph networks for crystals');
+      const asAuthor = await ctx.request('GET', `/api/publications/${publication._id}`, { token: coauthor.token });
+      assert.equal(asAuthor.status, 200);
+
+      const asEditor = await ctx.request('GET', `/api/publications/${publication._id}`, { token: editor.token });
+      assert.equal(asEditor.status, 200);
+
+      const asReviewer = await ctx.request('GET', `/api/publications/${publication._id}`, { token: reviewer.token });
+      assert.equal(asReviewer.status, 200);
+
+      const asOther = await ctx.request('GET', `/api/publications/${publication._id}`, { token: otherMember.token });
+      assert.equal(asOther.status, 403);
+    });
+  });
+
+  describe('authorship checks', () => {
+    before(async () => {
+      const body = { title: 'Authorship draft', authors: [{ user: String(author.user._id) }, { user: String(coauthor.user._id) }] };
+      await ctx.request('POST', '/api/publications', { token: author.token, body });
+    });
+
+    it('lets authors edit drafts and refuses other members', async () => {
+      const publication = await findByTitle('Authorship draft');
+
+      const asOther = await ctx.request('PATCH', `/api/publications/${publication._id}`, { token: otherMember.token, body: { summary: 'Hijacked' } });
+      assert.equal(asOther.status, 403);
+
+      const asOutsider = await ctx.request('PATCH', `/api/publications/${publication._id}`, { token: outsider.token, body: { summary: 'Hijacked' } });
+      assert.equal(asOutsider.status, 403);
+
+      const asAuthor = await ctx.request('PATCH', `/api/publications/${publication._id}`, { token: coauthor.token, body: { summary: 'Updated' } });
+      assert.equal(asAuthor.status, 200);
+      assert.equal(asAuthor.body.summary, 'Updated');
+
+      const asEditor = await ctx.request('PATCH', `/api/publications/${publication._id}`, { token: editor.token, body: { year: 2020 } });
+      assert.equal(asEditor.status, 200);
+      assert.equal(asEditor.body.year, 2020);
+
+      const blankTitle = await ctx.request('PATCH', `/api/publications/${publication._id}`, { token: author.token, body: { title: '' } });
+      assert.equal(blankTitle.status, 422);
+    });
+
+    it('lets the creator of a draft without them as author finish or remove it', async () => {
+      const body = { title: 'Written for a colleague', authors: [{ name: 'External Colleague' }] };
+      const created = await ctx.request('POST', '/api/publications', { token: otherMember.token, body });
+      assert.equal(created.status, 201);
+      const publication = await findByTitle('Written for a colleague');
+
+      const mine = await ctx.request('GET', '/api/publications/my?status=draft', { token: otherMember.token });
+      assert.deepEqual(mine.body.map((p) => p.title), ['Written for a colleague']);
+      const edited = await ctx.request('PATCH', `/api/publications/${publication._id}`, { token: otherMember.token, body: { year: 2024 } });
+      assert.equal(edited.status, 200);
+      const asOther = await ctx.request('PATCH', `/api/publications/${publication._id}`, { token: coauthor.token, body: { year: 2020 } });
+      assert.equal(asOther.status, 403);
+      const deleted = await ctx.request('DELETE', `/api/publications/${publication._id}`, { token: otherMember.token });
+      assert.equal(deleted.status, 200);
+    });
+
+    it('leaves published publications to editors', async () => {
+      const publication = await findByTitle('Graph networks for crystals');
+
+      const asAuthor = await ctx.request('PATCH', `/api/publications/${publication._id}`, { token: coauthor.token, body: { summary: 'Updated' } });
+      assert.equal(asAuthor.status, 409);
+
+      const asEditor = await ctx.request('PATCH', `/api/publications/${publication._id}`, { token: editor.token, body: { summary: 'Updated' } });
+      assert.equal(asEditor.status, 200);
+      assert.equal(asEditor.body.status, 'published');
+    });
+
+    it('stores an uploaded cover image and its variants, and removes them when replaced', async () => {
+      const publication = await findByTitle('Authorship draft');
+      const png = await sharp({ create: { width: 40, height: 30, channels: 3, background: '#336699' } }).png().toBuffer();
+
+      const form = formData({}, { coverImage: { content: png, type: 'image/png', name: 'cover.png' } });
+      const res = await ctx.request('PATCH', `/api/publications/${publication._id}`, { token: author.token, form });
+      assert.equal(res.status, 200);
+      assert.match(res.body.coverImage, /^memory:\/\/cover-images\//);
+      assert.deepEqual(Object.keys(res.body.coverImageVariants).sort(), ['large', 'medium', 'thumb']);
+      assert.equal(ctx.storage.files.size, 4);
+
+      const cleared = await ctx.request('PATCH', `/api/publications/${publication._id}`, { token: author.token, body: { coverImage: null } });
+      assert.equal(cleared.status, 200);
+      assert.equal(ctx.storage.files.size, 0);
+    });
+
+    it('rejects unsupported cover image types', async () => {
+      const publication = await findByTitle('Authorship draft');
+      const form = formData({}, { coverImage: { content: 'plain text', type: 'text/plain', name: 'cover.txt' } });
+      const res = await ctx.request('PATCH', `/api/publications/${publication._id}`, { token: author.token, form });
+      assert.equal(res.status, 415);
+    });
+
+    it('lets only authors and editors move a publication to the trash', async () => {
+      const publication = await findByTitle('Imported paper');
+
+      const asOther = await ctx.request('DELETE', `/api/publications/${publication._id}`, { token: otherMember.token });
+      assert.equal(asOther.status, 403);
+
+      const asAuthor = await ctx.request('DELETE', `/api/publications/${publication._id}`, { token: author.token });
+      assert.equal(asAuthor.status, 200);
+
+      const listing = await ctx.request('GET', '/api/publications?page=1');
+      assert.ok(!listing.body.publications.some((p) => p.title === 'Imported paper'));
+
+      const again = await ctx.request('DELETE', `/api/publications/${publication._id}`, { token: author.token });
+      assert.equal(again.status, 404);
+    });
+  });
+
+  describe('author list migration', () => {
+    it('merges member ids and external names into one author list', async () => {
+      const { insertedId } = await ctx.models.Publication.collection.insertOne({
+        title: 'Legacy paper',
+        authors: [author.user._id, coauthor.user._id],
+        additionalAuthors: ['Grace Hopper'],
+      });
+
+      await migratePublicationAuthors(ctx.models);
+      await migratePublicationAuthors(ctx.models);
+
+      const raw = await ctx.models.Publication.collection.findOne({ _id: insertedId });
+      assert.equal(raw.additionalAuthors, undefined);
+      assert.deepEqual(raw.authors.map((a) => String(a.user || a.name)), [String(author.user._id), String(coauthor.user._id), 'Grace Hopper']);
+
+      const asCoauthor = await ctx.request('GET', `/api/publications/${insertedId}`, { token: coauthor.token });
+      assert.equal(asCoauthor.status, 200);
+    });
+  });
+});
@@ -0,0 +1,87 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { queryTerms, buildSnippet } = require('../lib/search');
+const { startTestServer, requiresDb } = require('./helpers');
+
+describe('search snippets', () => {
+  it('highlights stemmed matches and escapes the text', () => {
+    const terms = queryTerms('Crystals, "graph" a');
+    assert.deepEqual(terms, ['crystals', 'graph']);
+    assert.equal(
+      buildSnippet(['', 'We study **crystal** <b>structures</b> & graphs.'], terms),
+      'We study <mark>crystal</mark> structures &amp; <mark>graphs</mark>.'
+    );
+  });
+
+  it('centres long texts on the first match', () => {
+    const text = `${'lorem ipsum '.repeat(30)}our crystals ${'dolor sit '.repeat(30)}`;
+    const snippet = buildSnippet([text], ['crystals'], { length: 80 });
+    assert.match(snippet, /^… .*<mark>crystals<\/mark>.* …$/);
+    assert.ok(snippet.length < 120);
+  });
+});
+
+describe('search', requiresDb, () => {
+  let ctx;
+
+  before(async () => {
+    ctx = await startTestServer();
+    const { models } = ctx;
+    const member = await ctx.createUser({ name: 'Carla Crystal', bio: 'Grows perovskite crystals.', team: true });
+    await ctx.createUser({ name: 'Cedric Crystal', bio: 'Former crystal grower.', team: true, status: 'disabled' });
+    await ctx.createUser({ name: 'Chris Crystalline', bio: 'Not on the team.' });
+
+    await models.Publication.create({ title: 'Crystal graph networks', summary: 'Learning on crystals.', authors: [{ user: member.user._id }], status: 'published' });
+    await models.Publication.create({ title: 'Crystal draft', authors: [{ user: member.user._id }], status: 'draft' });
+    await models.Technology.create({ name: 'CrystalViewer', description: 'Renders crystal structures.' });
+    const trashed = await models.Notes.create({ name: 'Old crystal notes', description: 'Outdated.' });
+    await trashed.softDelete(member.user._id);
+    await models.News.create({ title: 'Crystal award', body: 'Carla won a prize.', publishAt: new Date(Date.now() - 1000) });
+    await models.News.create({ title: 'Crystal secret', body: 'Not yet.', publishAt: new Date(Date.now() + 86400000) });
+  });
+
+  after(() => ctx.close());
+
+  it('ranks visible results of every type together', async () => {
+    const res = await ctx.request('GET', '/api/search?q=crystal');
+    assert.equal(res.status, 200);
+    const titles = res.body.results.map((result) => `${result.type}:${result.title}`).sort();
+    assert.deepEqual(titles, [
+      'member:Carla Crystal',
+      'news:Crystal award',
+      'publication:Crystal graph networks',
+      'technology:CrystalViewer',
+    ]);
+    const scores = res.body.results.map((result) => result.score);
+    assert.deepEqual(scores, [...scores].sort((a, b) => b - a));
+    // One hit of each type, each the best of its type
+    assert.deepEqual(scores, [1, 1, 1, 1]);
+    assert.deepEqual(res.body.counts, { publication: 1, member: 1, technology: 1, tutorial: 0, note: 0, news: 1, project: 0 });
+
+    const publication = res.body.results.find((result) => result.type === 'publication');
+    assert.equal(publication.snippet, 'Learning on <mark>crystals</mark>.');
+  });
+
+  it('filters by type', async () => {
+    const res = await ctx.request('GET', '/api/search?q=crystals&type=member&type=technology');
+    assert.deepEqual(res.body.results.map((result) => result.type).sort(), ['member', 'technology']);
+    assert.deepEqual(Object.keys(res.body.counts), ['member', 'technology']);
+
+    const invalid = await ctx.request('GET', '/api/search?q=crystal&type=secret');
+    assert.equal(invalid.status, 422);
+    const empty = await ctx.request('GET', '/api/search?q=%21%21');
+    assert.equal(empty.status, 422);
+  });
+
+  it('suggests member names and publication titles', async () => {
+    const res = await ctx.request('GET', '/api/search/suggest?q=cry');
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.map((suggestion) => [suggestion.type, suggestion.label]), [
+      ['publication', 'Crystal graph networks'],
+      ['member', 'Carla Crystal'],
+    ]);
+
+    const short = await ctx.request('GET', '/api/search/suggest?q=c');
+    assert.equal(short.status, 422);
+  });
+});
@@ -0,0 +1,127 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { htmlSnapshot, sitemapXml } = require('../lib/seo');
+const { startTestServer, requiresDb } = require('./helpers');
+
+describe('seo documents', () => {
+  const site = { name: 'Lab & co', url: 'http://lab.test', origin: 'http://api.lab.test' };
+
+  it('escapes snapshot text and keeps the JSON-LD script closed', () => {
+    const html = htmlSnapshot({
+      title: 'Graphs <i>and</i> "crystals"',
+      description: '**Bold** claim',
+      url: 'http://lab.test/publications/1',
+      type: 'article',
+      jsonLd: { name: '</script><script>alert(1)</script>' },
+      body: ['A & B'],
+    }, site);
+    assert.match(html, /<title>Graphs &lt;i&gt;and&lt;\/i&gt; &quot;crystals&quot; \| Lab &amp; co<\/title>/);
+    assert.match(html, /<meta property="og:description" content="Bold claim">/);
+    assert.match(html, /<meta name="twitter:card" content="summary">/);
+    assert.doesNotMatch(html, /og:image/);
+    assert.match(html, /\\u003c\/script>\\u003cscript>/);
+    assert.match(html, /<p>A &amp; B<\/p>/);
+  });
+
+  it('writes lastmod only when known', () => {
+    const xml = sitemapXml([{ loc: 'http://lab.test/?a=1&b=2' }, { loc: 'http://lab.test/team', lastmod: new Date('2024-01-02T03:04:05Z') }]);
+    assert.match(xml, /<url><loc>http:\/\/lab.test\/\?a=1&amp;b=2<\/loc><\/url>/);
+    assert.match(xml, /<lastmod>2024-01-02T03:04:05.000Z<\/lastmod>/);
+  });
+});
+
+describe('seo', requiresDb, () => {
+  let ctx;
+  let member;
+  let outsider;
+  let published;
+  let draft;
+
+  before(async () => {
+    ctx = await startTestServer();
+    const { models } = ctx;
+    member = (await ctx.createUser({
+      name: 'Ada Lovelace', bio: 'Works on *analytical* engines.', team: true, showEmail: true, links: [{ linkType: 'website', link: 'https://ada.example' }],
+    })).user;
+    outsider = (await ctx.createUser({ name: 'Not Listed' })).user;
+    const disabled = (await ctx.createUser({ name: 'Disabled Member', team: true, status: 'disabled' })).user;
+
+    published = await models.Publication.create({
+      title: 'Engines', summary: 'Notes on engines.', doi: '10.1000/engines', year: 2021, status: 'published',
+      authors: [{ user: member._id }, { name: 'Charles Babbage', orcid: '0000-0002-1825-0097' }, { user: disabled._id }],
+    });
+    draft = await models.Publication.create({ title: 'Secret', authors: [{ user: member._id }], status: 'draft' });
+    await models.Technology.create({ name: 'Engine' });
+    await models.AboutText.create({ text: 'We build **engines**.' });
+    await models.Address.create({ department: 'Computing', institution: 'University', city: 'London', country: 'UK' });
+  });
+
+  after(() => ctx.close());
+
+  it('lists public pages in the sitemap', async () => {
+    const res = await ctx.request('GET', '/sitemap.xml');
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-type'), /application\/xml/);
+    const locs = [...res.body.matchAll(/<loc>([^<]+)<\/loc>/g)].map((match) => match[1]);
+    assert.ok(locs.includes('http://lab.test/'));
+    assert.ok(locs.includes(`http://lab.test/team/${member._id}`));
+    assert.ok(locs.includes(`http://lab.test/publications/${published._id}`));
+    assert.ok(!locs.includes(`http://lab.test/publications/${draft._id}`));
+    assert.ok(!locs.includes(`http://lab.test/team/${outsider._id}`));
+    assert.equal(locs.filter((loc) => loc.startsWith('http://lab.test/team/')).length, 1);
+    assert.equal(locs.filter((loc) => loc.startsWith('http://lab.test/technologies/')).length, 1);
+  });
+
+  it('describes publications, members and the lab in JSON-LD', async () => {
+    const article = await ctx.request('GET', `/jsonld/publications/${published._id}`);
+    assert.equal(article.status, 200);
+    assert.match(article.headers.get('content-type'), /application\/ld\+json/);
+    const body = JSON.parse(article.body);
+    assert.equal(body['@type'], 'ScholarlyArticle');
+    assert.equal(body.headline, 'Engines');
+    assert.equal(body.sameAs, 'https://doi.org/10.1000/engines');
+    assert.deepEqual(body.author.map((author) => author.name), ['Ada Lovelace', 'Charles Babbage']);
+    assert.equal(body.author[0]['@id'], `http://lab.test/team/${member._id}#person`);
+    assert.equal(body.author[1].sameAs, 'https://orcid.org/0000-0002-1825-0097');
+
+    const hidden = await ctx.request('GET', `/jsonld/publications/${draft._id}`);
+    assert.equal(hidden.status, 404);
+
+    const person = JSON.parse((await ctx.request('GET', `/jsonld/members/${member._id}`)).body);
+    assert.equal(person['@type'], 'Person');
+    assert.equal(person.jobTitle, 'Researcher');
+    assert.equal(person.description, 'Works on analytical engines.');
+    assert.equal(person.email, member.email);
+    assert.deepEqual(person.sameAs, ['https://ada.example']);
+    const notMember = await ctx.request('GET', `/jsonld/members/${outsider._id}`);
+    assert.equal(notMember.status, 404);
+
+    const organization = JSON.parse((await ctx.request('GET', '/jsonld/organization')).body);
+    assert.equal(organization['@type'], 'ResearchOrganization');
+    assert.equal(organization.description, 'We build engines.');
+    assert.deepEqual(organization.address, {
+      '@type': 'PostalAddress', streetAddress: 'Computing, University', addressLocality: 'London', addressCountry: 'UK',
+    });
+  });
+
+  it('renders HTML snapshots with Open Graph and Twitter tags', async () => {
+    const res = await ctx.request('GET', `/snapshots/publications/${published._id}`);
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-type'), /text\/html/);
+    assert.match(res.body, /<meta property="og:type" content="article">/);
+    assert.match(res.body, /<meta property="og:title" content="Engines">/);
+    assert.match(res.body, new RegExp(`<link rel="canonical" href="http://lab.test/publications/${published._id}">`));
+    assert.match(res.body, /<script type="application\/ld\+json">\{"@context":"https:\/\/schema.org","@type":"ScholarlyArticle"/);
+    assert.doesNotMatch(res.body, /Disabled Member/);
+
+    const profile = await ctx.request('GET', `/snapshots/team/${member._id}`);
+    assert.match(profile.body, /<meta property="og:type" content="profile">/);
+    assert.match(profile.body, /<meta name="twitter:description" content="Works on analytical engines.">/);
+
+    const home = await ctx.request('GET', '/snapshots');
+    assert.match(home.body, /<meta property="og:description" content="We build engines.">/);
+
+    const missing = await ctx.request('GET', `/snapshots/publications/${draft._id}`);
+    assert.equal(missing.status, 404);
+  });
+});
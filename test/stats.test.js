@@ -0,0 +1,114 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, requiresDb } = require('./helpers');
+
+describe('statistics', requiresDb, () => {
+  let ctx;
+  let ada;
+  let ben;
+  let cleo;
+
+  before(async () => {
+    ctx = await startTestServer();
+    const { models } = ctx;
+    ada = (await ctx.createUser({ name: 'Ada' })).user;
+    ben = (await ctx.createUser({ name: 'Ben' })).user;
+    cleo = (await ctx.createUser({ name: 'Cleo' })).user;
+    const gone = (await ctx.createUser({ name: 'Gone', status: 'disabled' })).user;
+
+    await models.Team.create({
+      userId: ada._id,
+      addedBy: ada._id,
+      periods: [
+        { role: 'PhD Student', startDate: new Date('2018-09-01'), endDate: new Date('2021-08-31') },
+        { role: 'Postdoc', startDate: new Date('2021-09-01') },
+      ],
+    });
+    await models.Team.create({
+      userId: ben._id,
+      addedBy: ada._id,
+      periods: [{ role: 'PhD Student', startDate: new Date('2019-01-01'), endDate: new Date('2022-12-31') }],
+    });
+    await models.Team.create({ userId: gone._id, addedBy: ada._id, periods: [{ role: 'PhD Student', startDate: new Date('2019-01-01') }] });
+
+    const publish = (title, year, authors) => models.Publication.create({ title, year, authors, status: 'published' });
+    await publish('One', 2020, [{ user: ada._id }, { user: ben._id }, { name: 'Xu Li' }]);
+    await publish('Two', 2022, [{ user: ada._id }, { name: 'Xu  Li' }, { user: gone._id }]);
+    await publish('Three', 2022, [{ user: ben._id }, { user: cleo._id }]);
+    await models.Publication.create({ title: 'Draft', year: 2022, authors: [{ user: ada._id }], status: 'draft' });
+  });
+
+  after(() => ctx.close());
+
+  it('counts published publications per year, member and role', async () => {
+    const res = await ctx.request('GET', '/api/stats/publications');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.total, 3);
+    assert.deepEqual(res.body.byYear, [{ year: 2020, count: 1 }, { year: 2022, count: 2 }]);
+    assert.deepEqual(res.body.byMember.map((entry) => [entry.user.name, entry.count]), [['Ada', 2], ['Ben', 2], ['Cleo', 1]]);
+    // 2020: Ada and Ben were both PhD students; 2022: Ada a postdoc, Ben a PhD student,
+    // Cleo has no team entry and counts with her account role
+    assert.deepEqual(res.body.byRole, [
+      { role: 'PhD Student', count: 2 },
+      { role: 'Postdoc', count: 1 },
+      { role: 'Researcher', count: 1 },
+    ]);
+
+    const ranged = await ctx.request('GET', '/api/stats/publications?from=2021-01-01&to=2021-12-31');
+    assert.equal(ranged.body.total, 0);
+    const invalid = await ctx.request('GET', '/api/stats/publications?from=soon');
+    assert.equal(invalid.status, 422);
+  });
+
+  it('counts members joining and leaving, current members and alumni', async () => {
+    const res = await ctx.request('GET', '/api/stats/team');
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.joinedByYear, [{ year: 2018, count: 1 }, { year: 2019, count: 1 }]);
+    assert.deepEqual(res.body.leftByYear, [{ year: 2022, count: 1 }]);
+    assert.deepEqual(res.body.current, { count: 1, byRole: [{ role: 'Postdoc', count: 1 }] });
+    assert.deepEqual(res.body.alumni, { count: 1, byRole: [{ role: 'PhD Student', count: 1 }] });
+
+    const past = await ctx.request('GET', '/api/stats/team?to=2020-06-01');
+    assert.deepEqual(past.body.leftByYear, []);
+    assert.deepEqual(past.body.current, { count: 2, byRole: [{ role: 'PhD Student', count: 2 }] });
+    assert.equal(past.body.alumni.count, 0);
+  });
+
+  it('builds the co-authorship graph in JSON Graph Format', async () => {
+    const res = await ctx.request('GET', '/api/stats/coauthors');
+    assert.equal(res.status, 200);
+    const { graph } = res.body;
+    assert.equal(graph.directed, false);
+    assert.equal(graph.metadata.publications, 3);
+    assert.deepEqual(Object.keys(graph.nodes).sort(), [String(ada._id), String(ben._id), String(cleo._id), 'external:xu li'].sort());
+    assert.deepEqual(graph.nodes['external:xu li'], { label: 'Xu Li', metadata: { kind: 'external', publications: 2 } });
+    assert.equal(graph.nodes[String(ada._id)].metadata.kind, 'member');
+
+    const weight = (a, b) => {
+      const edge = graph.edges.find((candidate) => [candidate.source, candidate.target].sort().join() === [a, b].sort().join());
+      return edge ? edge.metadata.weight : 0;
+    };
+    assert.equal(weight(String(ada._id), 'external:xu li'), 2);
+    assert.equal(weight(String(ada._id), String(ben._id)), 1);
+    assert.equal(weight(String(ada._id), String(cleo._id)), 0);
+    assert.equal(graph.edges.length, 4);
+  });
+
+  it('serves cached results until the data changes', async () => {
+    const first = await ctx.request('GET', '/api/stats/publications?to=2030-01-01');
+    assert.equal(first.headers.get('x-cache'), 'miss');
+    const second = await ctx.request('GET', '/api/stats/publications?to=2030-01-01');
+    assert.equal(second.headers.get('x-cache'), 'hit');
+    assert.deepEqual(second.body, first.body);
+
+    await ctx.models.Publication.create({ title: 'Four', year: 2023, authors: [{ user: cleo._id }], status: 'published' });
+    const third = await ctx.request('GET', '/api/stats/publications?to=2030-01-01');
+    assert.equal(third.headers.get('x-cache'), 'miss');
+    assert.equal(third.body.total, 4);
+
+    await ctx.models.Team.updateOne({ userId: ben._id }, { $set: { 'periods.0.role': 'Visitor' } });
+    const fourth = await ctx.request('GET', '/api/stats/publications?to=2030-01-01');
+    assert.equal(fourth.headers.get('x-cache'), 'miss');
+    assert.ok(fourth.body.byRole.some((entry) => entry.role === 'Visitor'));
+  });
+});
@@ -0,0 +1,208 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, requiresDb } = require('./helpers');
+
+describe('team', requiresDb, () => {
+  let ctx;
+  let manager;
+  let member;
+
+  before(async () => {
+    ctx = await startTestServer();
+    manager = await ctx.createUser({ permissions: ['team:manage'] });
+    member = await ctx.createUser();
+  });
+
+  after(() => ctx.close());
+
+  it('requires team:manage to add members', async () => {
+    const anonymous = await ctx.request('POST', '/api/team', { body: { userId: String(member.user._id) } });
+    assert.equal(anonymous.status, 401);
+
+    const other = await ctx.createUser();
+    const forbidden = await ctx.request('POST', '/api/team', { token: other.token, body: { userId: String(member.user._id) } });
+    assert.equal(forbidden.status, 403);
+  });
+
+  it('adds a member once', async () => {
+    const res = await ctx.request('POST', '/api/team', { token: manager.token, body: { userId: String(member.user._id) } });
+    assert.equal(res.status, 201);
+
+    const duplicate = await ctx.request('POST', '/api/team', { token: manager.token, body: { userId: String(member.user._id) } });
+    assert.equal(duplicate.status, 409);
+
+    const missing = await ctx.request('POST', '/api/team', { token: manager.token, body: { userId: '000000000000000000000000' } });
+    assert.equal(missing.status, 404);
+  });
+
+  it('lists the team', async () => {
+    const res = await ctx.request('GET', '/api/team');
+    assert.equal(res.status, 200);
+    assert.ok(res.body.some((entry) => entry.userId === String(member.user._id)));
+  });
+
+  it('toggles alumni status', async () => {
+    const res = await ctx.request('PATCH', `/api/team/${member.user._id}/alumni`, { token: manager.token });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.updatedMember.isAlumni, true);
+
+    const forbidden = await ctx.request('PATCH', `/api/team/${member.user._id}/alumni`, { token: member.token });
+    assert.equal(forbidden.status, 403);
+  });
+
+  it('refuses to reopen the membership of a deleted account', async () => {
+    const gone = await ctx.createUser({ name: 'Gone Alumnus', team: { isAlumni: true } });
+    await ctx.models.User.deleteOne({ _id: gone.user._id });
+    const res = await ctx.request('PATCH', `/api/team/${gone.user._id}/alumni`, { token: manager.token });
+    assert.equal(res.status, 404);
+    await ctx.models.Team.deleteOne({ userId: gone.user._id });
+  });
+
+  it('shows a member with their published publications', async () => {
+    await ctx.models.Publication.create({ title: 'Team paper', authors: [{ user: member.user._id }], year: 2024, doi: '10.1000/team.1' });
+    await ctx.models.Publication.create({ title: 'Draft paper', authors: [{ user: member.user._id }], status: 'draft' });
+
+    const res = await ctx.request('GET', `/api/team/${member.user._id}`);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.teamMember.name, member.user.name);
+    assert.equal(res.body.teamMember.email, undefined);
+    assert.equal(res.body.publications.length, 1);
+
+    const bibtex = await ctx.request('GET', `/api/team/${member.user._id}?format=bibtex`);
+    assert.equal(bibtex.status, 200);
+    assert.match(bibtex.headers.get('content-disposition'), /publications-.*\.bib/);
+    assert.match(bibtex.body, /Team paper/);
+    assert.doesNotMatch(bibtex.body, /Draft paper/);
+  });
+
+  it('shows profiles of active members only', async () => {
+    const pending = await ctx.createUser({ name: 'Pending Member', team: true, status: 'pending' });
+    const hidden = await ctx.request('GET', `/api/team/${pending.user._id}`);
+    assert.equal(hidden.status, 404);
+    const byManager = await ctx.createUser({ permissions: ['users:manage'] });
+    const managed = await ctx.request('GET', `/api/team/${pending.user._id}`, { token: byManager.token });
+    assert.equal(managed.status, 200);
+
+    const outsider = await ctx.createUser({ name: 'Not A Member' });
+    const notMember = await ctx.request('GET', `/api/team/${outsider.user._id}`);
+    assert.equal(notMember.status, 404);
+  });
+
+  it('groups the roster by alumni status and role, in display order', async () => {
+    await ctx.models.Role.create({ roleName: 'PI', displayOrder: 0 });
+    await ctx.models.Role.create({ roleName: 'PhD Student', displayOrder: 1 });
+    const pi = await ctx.createUser({ name: 'Pat PI', role: 'PI', team: true });
+    const phdB = await ctx.createUser({ name: 'Bea PhD', role: 'PhD Student', team: true });
+    const phdA = await ctx.createUser({ name: 'Al PhD', role: 'PhD Student', team: true });
+    const alumnus = await ctx.createUser({ name: 'Old PhD', role: 'PhD Student', team: { isAlumni: true } });
+    await ctx.createUser({ role: 'PI', team: true, status: 'disabled' });
+    await ctx.models.Publication.create({ title: 'Roster paper', authors: [{ user: pi.user._id }, { user: phdA.user._id }], doi: '10.1000/roster.1' });
+    await ctx.models.Publication.create({ title: 'Trashed paper', authors: [{ user: pi.user._id }], deletedAt: new Date() });
+    await ctx.models.Publication.create({ title: 'Submitted paper', authors: [{ user: pi.user._id }], status: 'submitted' });
+
+    const order = await ctx.request('PUT', '/api/team/order', { token: manager.token, body: { userIds: [String(phdB.user._id), String(phdA.user._id)] } });
+    assert.equal(order.status, 200);
+    const unknown = await ctx.request('PUT', '/api/team/order', { token: manager.token, body: { userIds: [String(manager.user._id)] } });
+    assert.equal(unknown.status, 404);
+
+    const res = await ctx.request('GET', '/api/team/roster');
+    assert.equal(res.status, 200);
+    const groups = res.body.current.map((group) => group.roleName);
+    assert.deepEqual(groups.slice(0, 2), ['PI', 'PhD Student']);
+    assert.deepEqual(res.body.current[0].members.map((m) => m.name), ['Pat PI']);
+    assert.equal(res.body.current[0].members[0].publicationCount, 1);
+    assert.equal(res.body.current[0].members[0].email, undefined);
+    assert.deepEqual(res.body.current[1].members.map((m) => m.name), ['Bea PhD', 'Al PhD']);
+    // Roles that exist come first; the earlier member's "Researcher" has no Role
+    assert.deepEqual(res.body.alumni.map((group) => group.roleName), ['PhD Student', 'Researcher']);
+    assert.equal(res.body.alumni[1].role, null);
+    assert.deepEqual(res.body.alumni[0].members.map((m) => m._id), [String(alumnus.user._id)]);
+  });
+
+  it('keeps members under their role when it is renamed', async () => {
+    const role = await ctx.models.Role.create({ roleName: 'Lab Technician', displayOrder: 5 });
+    const technician = await ctx.createUser({ name: 'Tess Technician', role: 'Lab Technician' });
+    await ctx.models.Team.create({ userId: technician.user._id, addedBy: manager.user._id, periods: [{ role: 'Lab Technician', startDate: new Date('2020-01-01') }] });
+    const roleManager = await ctx.createUser({ permissions: ['roles:manage'] });
+
+    const renamed = await ctx.request('PATCH', `/api/role/${role._id}`, { token: roleManager.token, body: { roleName: 'Research Technician' } });
+    assert.equal(renamed.status, 200);
+    assert.equal((await ctx.models.User.findById(technician.user._id)).role, 'Research Technician');
+    const entry = await ctx.models.Team.findOne({ userId: technician.user._id });
+    assert.deepEqual(entry.periods.map((period) => period.role), ['Research Technician']);
+
+    const roster = await ctx.request('GET', '/api/team/roster');
+    const group = roster.body.current.find((candidate) => candidate.members.some((m) => m.name === 'Tess Technician'));
+    assert.equal(group.roleName, 'Research Technician');
+    assert.equal(group.role._id, String(role._id));
+  });
+
+  it('renumbers members left out of a new roster order after the ordered ones', async () => {
+    const first = await ctx.createUser({ name: 'First In Line', team: true });
+    const second = await ctx.createUser({ name: 'Second In Line', team: true });
+    const third = await ctx.createUser({ name: 'Third In Line', team: true });
+    const ids = [first, second, third].map((created) => String(created.user._id));
+    await ctx.request('PUT', '/api/team/order', { token: manager.token, body: { userIds: ids } });
+
+    const res = await ctx.request('PUT', '/api/team/order', { token: manager.token, body: { userIds: [ids[2]] } });
+    assert.equal(res.status, 200);
+    const orderOf = async (id) => (await ctx.models.Team.findOne({ userId: id })).displayOrder;
+    const orders = await Promise.all(ids.map(orderOf));
+    assert.equal(orders[2], 0);
+    assert.ok(orders[0] > 0 && orders[1] > orders[0]);
+    const all = (await ctx.models.Team.find({ displayOrder: { $ne: null } })).map((entry) => entry.displayOrder);
+    assert.equal(new Set(all).size, all.length);
+  });
+
+  it('records membership periods and derives alumni status from them', async () => {
+    await ctx.models.Role.create({ roleName: 'Master Student' });
+    const student = await ctx.createUser({ name: 'Sam Student', role: 'Master Student' });
+    const userId = String(student.user._id);
+
+    const unknownRole = await ctx.request('POST', '/api/team', { token: manager.token, body: { userId, role: 'Wizard' } });
+    assert.equal(unknownRole.status, 422);
+    const added = await ctx.request('POST', '/api/team', { token: manager.token, body: { userId, startDate: '2019-09-01' } });
+    assert.equal(added.status, 201);
+
+    const overlapping = await ctx.request('POST', `/api/team/${userId}/periods`, { token: manager.token, body: { role: 'PhD Student', startDate: '2021-10-01' } });
+    assert.equal(overlapping.status, 409);
+
+    const member = await ctx.models.Team.findOne({ userId }).exec();
+    const [masters] = member.periods;
+    const future = await ctx.request('POST', `/api/team/${userId}/periods/${masters._id}/close`, { token: manager.token, body: { endDate: '2999-01-01' } });
+    assert.equal(future.status, 422);
+    const closed = await ctx.request('POST', `/api/team/${userId}/periods/${masters._id}/close`, { token: manager.token, body: { endDate: '2021-08-31' } });
+    assert.equal(closed.status, 200);
+    assert.equal(closed.body.isAlumni, true);
+    const again = await ctx.request('POST', `/api/team/${userId}/periods/${masters._id}/close`, { token: manager.token });
+    assert.equal(again.status, 409);
+
+    const phd = await ctx.request('POST', `/api/team/${userId}/periods`, { token: manager.token, body: { role: 'PhD Student', startDate: '2021-10-01' } });
+    assert.equal(phd.status, 201);
+    assert.equal(phd.body.isAlumni, false);
+    assert.deepEqual(phd.body.periods.map((period) => period.role), ['Master Student', 'PhD Student']);
+
+    const profile = await ctx.request('GET', `/api/team/${userId}`);
+    assert.equal(profile.body.membership.isAlumni, false);
+    assert.equal(profile.body.membership.periods.length, 2);
+
+    const roster = await ctx.request('GET', '/api/team/roster');
+    const phdGroup = roster.body.current.find((group) => group.roleName === 'PhD Student');
+    assert.ok(phdGroup.members.some((m) => m._id === userId && m.periods.length === 2));
+
+    const toggled = await ctx.request('PATCH', `/api/team/${userId}/alumni`, { token: manager.token });
+    assert.equal(toggled.body.updatedMember.isAlumni, true);
+    const afterLeaving = { position: 'Research scientist', organization: 'Acme Labs' };
+    const updated = await ctx.request('PATCH', `/api/team/${userId}`, { token: manager.token, body: { afterLeaving } });
+    assert.equal(updated.status, 200);
+    assert.deepEqual(updated.body.afterLeaving, afterLeaving);
+  });
+
+  it('removes a member', async () => {
+    const res = await ctx.request('DELETE', `/api/team/${member.user._id}`, { token: manager.token });
+    assert.equal(res.status, 200);
+
+    const again = await ctx.request('DELETE', `/api/team/${member.user._id}`, { token: manager.token });
+    assert.equal(again.status, 404);
+  });
+});
@@ -0,0 +1,257 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, PASSWORD, requiresDb } = require('./helpers');
+
+describe('users', requiresDb, () => {
+  let ctx;
+  let admin;
+
+  before(async () => {
+    ctx = await startTestServer();
+    await ctx.models.Role.create({ roleName: 'Researcher' });
+    admin = await ctx.createUser({ permissions: ['*'] });
+  });
+
+  after(() => ctx.close());
+
+  describe('authentication', () => {
+    it('rejects requests without a token', async () => {
+      const res = await ctx.request('GET', '/api/userid');
+      assert.equal(res.status, 401);
+      assert.equal(res.body.error.code, 'unauthorized');
+    });
+
+    it('rejects malformed tokens', async () => {
+      const res = await ctx.request('GET', '/api/userid', { token: 'not-a-jwt' });
+      assert.equal(res.status, 400);
+    });
+
+    it('rejects tokens of disabled accounts', async () => {
+      const member = await ctx.createUser();
+      await ctx.models.User.updateOne({ _id: member.user._id }, { $set: { status: 'disabled' } });
+      const res = await ctx.request('GET', '/api/userid', { token: member.token });
+      assert.equal(res.status, 403);
+    });
+
+    it('returns the id of the signed-in user', async () => {
+      const res = await ctx.request('GET', '/api/userid', { token: admin.token });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.id, String(admin.user._id));
+    });
+  });
+
+  describe('registration', () => {
+    it('queues self-registrations for approval and sends a verification email', async () => {
+      const res = await ctx.request('POST', '/api/users/register', {
+        body: { name: 'New Person', email: 'new@lab.test', password: PASSWORD, role: 'Researcher' },
+      });
+      assert.equal(res.status, 201);
+
+      const user = await ctx.models.User.findOne({ email: 'new@lab.test' });
+      assert.equal(user.status, 'pending');
+      assert.equal(user.emailVerified, false);
+      assert.ok(ctx.tokenFromMail('new@lab.test'));
+
+      const login = await ctx.request('POST', '/api/users/login', { body: { email: 'new@lab.test', password: PASSWORD } });
+      assert.equal(login.status, 403);
+    });
+
+    it('rejects an unknown role and invalid fields', async () => {
+      const unknownRole = await ctx.request('POST', '/api/users/register', {
+        body: { name: 'X', email: 'x@lab.test', password: PASSWORD, role: 'Emperor' },
+      });
+      assert.equal(unknownRole.status, 422);
+
+      const invalid = await ctx.request('POST', '/api/users/register', { body: { email: 'nope', password: 'short' } });
+      assert.equal(invalid.status, 422);
+      assert.deepEqual(invalid.body.error.details.map((d) => d.path).sort(), ['email', 'name', 'password']);
+    });
+
+    it('activates accounts registered with an invite', async () => {
+      const role = await ctx.models.Role.findOne({ roleName: 'Researcher' });
+      const invite = await ctx.request('POST', '/api/admin/invites', {
+        token: admin.token,
+        body: { email: 'invited@lab.test', roleId: String(role._id), sendEmail: false },
+      });
+      assert.equal(invite.status, 201);
+
+      const lookup = await ctx.request('GET', `/api/invites/${invite.body.code}`);
+      assert.equal(lookup.status, 200);
+      assert.equal(lookup.body.email, 'invited@lab.test');
+
+      const res = await ctx.request('POST', '/api/users/register', {
+        body: { name: 'Invited', email: 'invited@lab.test', password: PASSWORD, invite: invite.body.code },
+      });
+      assert.equal(res.status, 201);
+
+      const login = await ctx.request('POST', '/api/users/login', { body: { email: 'invited@lab.test', password: PASSWORD } });
+      assert.equal(login.status, 200);
+
+      const reused = await ctx.request('GET', `/api/invites/${invite.body.code}`);
+      assert.equal(reused.status, 404);
+    });
+
+    it('stores and looks up emails lower-cased', async () => {
+      const role = await ctx.models.Role.findOne({ roleName: 'Researcher' });
+      const invite = await ctx.request('POST', '/api/admin/invites', {
+        token: admin.token,
+        body: { email: 'jane@lab.test', roleId: String(role._id), sendEmail: false },
+      });
+      const res = await ctx.request('POST', '/api/users/register', {
+        body: { name: 'Jane', email: ' Jane@Lab.test ', password: PASSWORD, invite: invite.body.code },
+      });
+      assert.equal(res.status, 201);
+      assert.ok(await ctx.models.User.exists({ email: 'jane@lab.test' }));
+
+      const login = await ctx.request('POST', '/api/users/login', { body: { email: 'jane@lab.test', password: PASSWORD } });
+      assert.equal(login.status, 200);
+      const shouting = await ctx.request('POST', '/api/users/login', { body: { email: 'JANE@LAB.TEST', password: PASSWORD } });
+      assert.equal(shouting.status, 200);
+
+      const again = await ctx.request('POST', '/api/users/register', {
+        body: { name: 'Jane again', email: 'jane@lab.test', password: PASSWORD, role: 'Researcher' },
+      });
+      assert.equal(again.status, 409);
+    });
+  });
+
+  describe('email verification', () => {
+    it('verifies with the emailed token once', async () => {
+      const member = await ctx.createUser({ emailVerified: false });
+      const resend = await ctx.request('POST', '/api/users/resend-verification', { token: member.token });
+      assert.equal(resend.status, 200);
+
+      const token = ctx.tokenFromMail(member.user.email);
+      const res = await ctx.request('POST', '/api/users/verify-email', { body: { token } });
+      assert.equal(res.status, 200);
+      assert.equal((await ctx.models.User.findById(member.user._id)).emailVerified, true);
+
+      const again = await ctx.request('POST', '/api/users/verify-email', { body: { token } });
+      assert.equal(again.status, 400);
+    });
+
+    it('refuses to resend for verified accounts', async () => {
+      const res = await ctx.request('POST', '/api/users/resend-verification', { token: admin.token });
+      assert.equal(res.status, 400);
+    });
+  });
+
+  describe('sessions', () => {
+    it('rejects a wrong password', async () => {
+      const res = await ctx.request('POST', '/api/users/login', { body: { email: admin.user.email, password: 'wrong password' } });
+      assert.equal(res.status, 400);
+    });
+
+    it('rotates refresh tokens and revokes the session when an old one is replayed', async () => {
+      const member = await ctx.createUser();
+      const first = await ctx.request('POST', '/api/users/refresh', { body: { refreshToken: member.refreshToken } });
+      assert.equal(first.status, 200);
+      assert.ok(first.body.token);
+
+      const replay = await ctx.request('POST', '/api/users/refresh', { body: { refreshToken: member.refreshToken } });
+      assert.equal(replay.status, 401);
+
+      const afterReplay = await ctx.request('POST', '/api/users/refresh', { body: { refreshToken: first.body.refreshToken } });
+      assert.equal(afterReplay.status, 401);
+    });
+
+    it('ends the session on logout', async () => {
+      const member = await ctx.createUser();
+      const res = await ctx.request('POST', '/api/users/logout', { token: member.token, body: {} });
+      assert.equal(res.status, 200);
+
+      const after = await ctx.request('GET', '/api/userid', { token: member.token });
+      assert.equal(after.status, 401);
+    });
+
+    it('resets the password from the emailed link and signs out everywhere', async () => {
+      const member = await ctx.createUser();
+      const forgot = await ctx.request('POST', '/api/users/forgot-password', { body: { email: member.user.email } });
+      assert.equal(forgot.status, 200);
+
+      const unknown = await ctx.request('POST', '/api/users/forgot-password', { body: { email: 'nobody@lab.test' } });
+      assert.equal(unknown.status, 200);
+      assert.equal(unknown.body.message, forgot.body.message);
+
+      const token = ctx.tokenFromMail(member.user.email);
+      const reset = await ctx.request('POST', '/api/users/reset-password', { body: { token, password: 'a brand new password' } });
+      assert.equal(reset.status, 200);
+
+      const old = await ctx.request('GET', '/api/userid', { token: member.token });
+      assert.equal(old.status, 401);
+
+      const login = await ctx.request('POST', '/api/users/login', { body: { email: member.user.email, password: 'a brand new password' } });
+      assert.equal(login.status, 200);
+    });
+  });
+
+  describe('profiles', () => {
+    it('updates only profile fields', async () => {
+      const member = await ctx.createUser();
+      const res = await ctx.request('PATCH', '/api/users', {
+        token: member.token,
+        body: { bio: 'Hello', permissions: ['*'], status: 'active', roles: [] },
+      });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.bio, 'Hello');
+      assert.deepEqual(res.body.permissions, []);
+    });
+
+    it('asks for verification again when the email changes', async () => {
+      const member = await ctx.createUser();
+      const res = await ctx.request('PATCH', '/api/users', { token: member.token, body: { email: 'moved@lab.test' } });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.emailVerified, false);
+      assert.ok(ctx.lastMail('moved@lab.test'));
+    });
+
+    it('lists active users without private fields', async () => {
+      const res = await ctx.request('GET', '/api/user');
+      assert.equal(res.status, 200);
+      assert.ok(res.body.every((user) => user.email === undefined && user.status === undefined));
+      assert.ok(!res.body.some((user) => user.name === 'New Person'));
+    });
+
+    it('shows a member their own private fields', async () => {
+      const member = await ctx.createUser();
+      const own = await ctx.request('GET', `/api/user/${member.user._id}`, { token: member.token });
+      assert.equal(own.status, 200);
+      assert.equal(own.body.email, member.user.email);
+
+      const anonymous = await ctx.request('GET', `/api/user/${member.user._id}`);
+      assert.equal(anonymous.body.email, undefined);
+    });
+
+    it('hides pending accounts from the public', async () => {
+      const pending = await ctx.models.User.findOne({ email: 'new@lab.test' });
+      const res = await ctx.request('GET', `/api/user/${pending._id}`);
+      assert.equal(res.status, 404);
+
+      const asAdmin = await ctx.request('GET', `/api/user/${pending._id}`, { token: admin.token });
+      assert.equal(asAdmin.status, 200);
+    });
+
+    it('rejects ids that are not ObjectIds', async () => {
+      const res = await ctx.request('GET', '/api/user/123');
+      assert.equal(res.status, 400);
+    });
+  });
+
+  describe('admins', () => {
+    it('lists superusers', async () => {
+      const res = await ctx.request('GET', '/api/admins');
+      assert.equal(res.status, 200);
+      assert.ok(res.body.some((user) => user._id === String(admin.user._id)));
+    });
+
+    it('reports admin status and permissions', async () => {
+      const asAdmin = await ctx.request('GET', '/api/isAdmin', { token: admin.token });
+      assert.equal(asAdmin.body.isAdmin, true);
+
+      const member = await ctx.createUser({ permissions: ['content:edit'] });
+      const asMember = await ctx.request('GET', '/api/isAdmin', { token: member.token });
+      assert.equal(asMember.body.isAdmin, false);
+      assert.deepEqual(asMember.body.permissions, ['content:edit']);
+    });
+  });
+});